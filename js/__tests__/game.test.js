@@ -1,6 +1,6 @@
 // ゲームロジックのテスト
 import { describe, test, expect, beforeEach } from '@jest/globals';
-import { checkCollision, createEmptyBoard, checkFullLines, clearLines, dropLinesDown, calculateScore } from '../game.js';
+import { checkCollision, createEmptyBoard, clampBoardSize, getSpawnColumn, getSpawnRow, checkFullLines, calculateLevel, getFirstLevelUpLines, clearLines, dropLinesDown, isBoardEmpty, calculateScore, detectTSpin, T_SPIN_NONE, T_SPIN_MINI, T_SPIN_FULL, detectLockOut, checkGarbageTopOut, createGarbageRow, createGarbageRows, insertGarbageRows, GARBAGE_BLOCK, GARBAGE_CLEAN, GARBAGE_MESSY, TOP_OUT_LOCK_OUT, TOP_OUT_PARTIAL_LOCK_OUT } from '../game.js';
 import { createTestTetromino } from '../utils/testHelpers.js';
 
 describe('Game Logic', () => {
@@ -23,6 +23,40 @@ describe('Game Logic', () => {
       expect(board).toHaveLength(15);
       expect(board[0]).toHaveLength(8);
     });
+
+    test('should add hidden buffer rows above the visible field', () => {
+      const board = createEmptyBoard(10, 20, 20);
+      expect(board).toHaveLength(40);
+      expect(board[0]).toHaveLength(10);
+    });
+
+    test('should spawn just above the visible field', () => {
+      expect(getSpawnRow(20)).toBe(18); // 下から21〜22行目
+      expect(getSpawnRow(0)).toBe(0);   // バッファなしは最上段
+    });
+
+    test('should detect an empty board', () => {
+      const board = createEmptyBoard();
+      expect(isBoardEmpty(board)).toBe(true);
+      
+      board[19][9] = 1;
+      expect(isBoardEmpty(board)).toBe(false);
+    });
+
+    test('should clamp board sizes to the supported range', () => {
+      expect(clampBoardSize(2, 50)).toEqual({ width: 4, height: 40 });
+      expect(clampBoardSize(25, 5)).toEqual({ width: 20, height: 10 });
+      expect(clampBoardSize('12.7', 24)).toEqual({ width: 12, height: 24 });
+      expect(clampBoardSize('abc', undefined)).toEqual({ width: 10, height: 20 });
+    });
+
+    test('should center the spawn column for each shape width', () => {
+      expect(getSpawnColumn(10, 3)).toBe(3);
+      expect(getSpawnColumn(10, 4)).toBe(3);
+      expect(getSpawnColumn(10, 2)).toBe(4);
+      expect(getSpawnColumn(4, 4)).toBe(0);
+      expect(getSpawnColumn(15, 3)).toBe(6);
+    });
   });
 
   describe('Collision Detection', () => {
@@ -147,6 +181,31 @@ describe('Game Logic', () => {
     });
   });
 
+  describe('Buffer Rows', () => {
+    let board;
+
+    beforeEach(() => {
+      board = createEmptyBoard(10, 20, 20);
+    });
+
+    test('should collide with blocks inside the buffer', () => {
+      const shape = [[1, 1], [1, 1]];
+      board[10][4] = 1;
+
+      expect(checkCollision(board, shape, 4, 9)).toBe(true);
+      expect(checkCollision(board, shape, 4, 0)).toBe(false);
+      expect(checkCollision(board, shape, 4, 38)).toBe(false);
+      expect(checkCollision(board, shape, 4, 39)).toBe(true); // 床
+    });
+
+    test('should detect full lines inside the buffer', () => {
+      board[15].fill(1);
+      board[39].fill(1);
+
+      expect(checkFullLines(board)).toEqual([15, 39]);
+    });
+  });
+
   describe('Line Clearing', () => {
     let board;
     
@@ -321,6 +380,30 @@ describe('Game Logic', () => {
     });
   });
 
+  describe('Level Progression', () => {
+    test('should level up every 10 lines from level 1', () => {
+      expect(calculateLevel(0)).toBe(1);
+      expect(calculateLevel(9)).toBe(1);
+      expect(calculateLevel(10)).toBe(2);
+      expect(calculateLevel(25)).toBe(3);
+    });
+
+    test('should require start level x 10 lines for the first level up', () => {
+      expect(getFirstLevelUpLines(5)).toBe(50);
+      expect(calculateLevel(49, 5)).toBe(5);
+      expect(calculateLevel(50, 5)).toBe(6);
+      expect(calculateLevel(60, 5)).toBe(7);
+    });
+
+    test('should cap the first threshold for high start levels', () => {
+      expect(getFirstLevelUpLines(10)).toBe(100);
+      expect(getFirstLevelUpLines(15)).toBe(100);
+      expect(getFirstLevelUpLines(19)).toBe(130);
+      expect(calculateLevel(99, 15)).toBe(15);
+      expect(calculateLevel(100, 15)).toBe(16);
+    });
+  });
+
   describe('Scoring Logic', () => {
     describe('calculateScore()', () => {
       test('should score 100 points for a single line clear at level 1', () => {
@@ -346,6 +429,11 @@ describe('Game Logic', () => {
         expect(calculateScore(4, 2)).toBe(1600); // 800 * 2
       });
 
+      test('should score 1200 points for a 5-line pentomino clear at level 1', () => {
+        expect(calculateScore(5, 1)).toBe(1200);
+        expect(calculateScore(5, 3)).toBe(3600);
+      });
+
       test('should return 0 for 0 lines cleared', () => {
         expect(calculateScore(0, 1)).toBe(0);
         expect(calculateScore(0, 10)).toBe(0);
@@ -354,12 +442,192 @@ describe('Game Logic', () => {
       test('should handle invalid inputs gracefully', () => {
         // 無効なライン数
         expect(calculateScore(-1, 1)).toBe(0); // 負のライン数
-        expect(calculateScore(5, 1)).toBe(0);  // 5ラインは一度に消せない
+        expect(calculateScore(6, 1)).toBe(0);  // 6ラインは一度に消せない
         
         // 無効なレベル
         expect(calculateScore(1, 0)).toBe(0);  // レベル0
         expect(calculateScore(1, -5)).toBe(0); // 負のレベル
       });
+
+      test('should score T-spin Zero/Single/Double/Triple', () => {
+        expect(calculateScore(0, 1, T_SPIN_FULL)).toBe(400);
+        expect(calculateScore(1, 1, T_SPIN_FULL)).toBe(800);
+        expect(calculateScore(2, 1, T_SPIN_FULL)).toBe(1200);
+        expect(calculateScore(3, 1, T_SPIN_FULL)).toBe(1600);
+        expect(calculateScore(2, 3, T_SPIN_FULL)).toBe(3600);
+      });
+
+      test('should score T-spin Mini Zero/Single/Double', () => {
+        expect(calculateScore(0, 1, T_SPIN_MINI)).toBe(100);
+        expect(calculateScore(1, 1, T_SPIN_MINI)).toBe(200);
+        expect(calculateScore(2, 1, T_SPIN_MINI)).toBe(400);
+      });
+
+      test('should return 0 for impossible T-spin line counts', () => {
+        expect(calculateScore(4, 1, T_SPIN_FULL)).toBe(0);
+        expect(calculateScore(3, 1, T_SPIN_MINI)).toBe(0);
+        expect(calculateScore(1, 1, 'unknown')).toBe(0);
+      });
+    });
+  });
+
+  describe('T-spin Detection', () => {
+    let board;
+
+    beforeEach(() => {
+      board = createEmptyBoard();
+    });
+
+    /**
+     * T-spin ダブルの形を作る（T-piece は下向きで x=3, y=17 に入る）
+     */
+    function setupTSpinDoubleSlot() {
+      for (let col = 0; col < 10; col++) {
+        if (col !== 4) board[19][col] = 1;
+        if (col < 3 || col > 5) board[18][col] = 1;
+      }
+      board[17][3] = 1; // 張り出し
+    }
+
+    test('should detect a full T-spin with front corners filled', () => {
+      setupTSpinDoubleSlot();
+      const tetromino = { type: 'T', x: 3, y: 17, rotation: 2 };
+
+      expect(detectTSpin(board, tetromino, 'rotate', 2)).toBe(T_SPIN_FULL);
+    });
+
+    test('should detect a T-spin Mini when a front corner is open', () => {
+      board[18][3] = 1;
+      const tetromino = { type: 'T', x: 3, y: 18, rotation: 0 }; // 床の2角 + 左上
+
+      expect(detectTSpin(board, tetromino, 'rotate', 0)).toBe(T_SPIN_MINI);
+    });
+
+    test('should upgrade a Mini to full when the last kick test was used', () => {
+      board[18][3] = 1;
+      const tetromino = { type: 'T', x: 3, y: 18, rotation: 0 };
+
+      expect(detectTSpin(board, tetromino, 'rotate', 4)).toBe(T_SPIN_FULL);
+    });
+
+    test('should not detect a T-spin when the last action was a move', () => {
+      setupTSpinDoubleSlot();
+      const tetromino = { type: 'T', x: 3, y: 17, rotation: 2 };
+
+      expect(detectTSpin(board, tetromino, 'move', null)).toBe(T_SPIN_NONE);
+    });
+
+    test('should not detect a T-spin with fewer than 3 corners filled', () => {
+      const tetromino = { type: 'T', x: 3, y: 10, rotation: 2 };
+
+      expect(detectTSpin(board, tetromino, 'rotate', 0)).toBe(T_SPIN_NONE);
+    });
+
+    test('should ignore pieces other than T', () => {
+      setupTSpinDoubleSlot();
+      const tetromino = { type: 'L', x: 3, y: 17, rotation: 2 };
+
+      expect(detectTSpin(board, tetromino, 'rotate', 0)).toBe(T_SPIN_NONE);
+    });
+
+    test('should count walls as filled corners', () => {
+      // 左壁に接した右向きの T-piece（左側の2角が壁）
+      board[19][1] = 1;
+      const tetromino = { type: 'T', x: -1, y: 17, rotation: 1 };
+
+      expect(detectTSpin(board, tetromino, 'rotate', 0)).toBe(T_SPIN_MINI);
+    });
+  });
+
+  describe('Top Out Detection', () => {
+    const tetromino = { shape: [[0, 1, 0], [1, 1, 1]], x: 3, y: 18 };
+
+    test('should detect lock out when every block is above the visible field', () => {
+      expect(detectLockOut(tetromino, 20)).toBe(TOP_OUT_LOCK_OUT);
+      expect(detectLockOut({ ...tetromino, y: 19 }, 20)).toBeNull();
+    });
+
+    test('should detect partial lock out only when enabled', () => {
+      const partial = { ...tetromino, y: 19 };
+      expect(detectLockOut(partial, 20, true)).toBe(TOP_OUT_PARTIAL_LOCK_OUT);
+      expect(detectLockOut({ ...tetromino, y: 20 }, 20, true)).toBeNull();
+    });
+
+    test('should detect garbage pushing blocks off the top of the board', () => {
+      const board = createEmptyBoard(10, 20);
+      board[2][5] = 1;
+
+      expect(checkGarbageTopOut(board, 2)).toBe(false);
+      expect(checkGarbageTopOut(board, 3)).toBe(true);
+    });
+  });
+
+  describe('Garbage', () => {
+    test('should create a garbage row with a single hole', () => {
+      const row = createGarbageRow(10, () => 0.35);
+
+      expect(row).toHaveLength(10);
+      expect(row[3]).toBe(0);
+      expect(row.filter(cell => cell === GARBAGE_BLOCK)).toHaveLength(9);
+    });
+
+    test('should keep the hole inside the board', () => {
+      expect(createGarbageRow(10, () => 0.9999)[9]).toBe(0);
+      expect(createGarbageRow(10, () => 0)[0]).toBe(0);
+    });
+
+    test('should put every hole in the same column for clean garbage', () => {
+      const values = [0.25, 0.75, 0.5];
+      const random = () => values.shift();
+
+      const rows = createGarbageRows(3, 8, random, GARBAGE_CLEAN);
+
+      expect(rows).toHaveLength(3);
+      rows.forEach(row => expect(row.indexOf(0)).toBe(2));
+    });
+
+    test('should use the given hole column for clean garbage', () => {
+      const rows = createGarbageRows(2, 8, () => 0.99, GARBAGE_CLEAN, 5);
+
+      rows.forEach(row => expect(row.indexOf(0)).toBe(5));
+    });
+
+    test('should place a new hole in every row for messy garbage', () => {
+      const values = [0.25, 0.75, 0.5];
+      const random = () => values.shift();
+
+      const rows = createGarbageRows(3, 8, random, GARBAGE_MESSY);
+
+      expect(rows.map(row => row.indexOf(0))).toEqual([2, 6, 4]);
+    });
+
+    test('should throw for unknown garbage patterns', () => {
+      expect(() => createGarbageRows(1, 10, Math.random, 'swiss')).toThrow('Unknown garbage pattern: swiss');
+    });
+
+    test('should insert garbage at the bottom and push blocks up', () => {
+      const board = createEmptyBoard(4, 10);
+      board[9] = [1, 1, 0, 1];
+      const first = [8, 0, 8, 8];
+      const second = [8, 8, 0, 8];
+
+      insertGarbageRows(board, [first, second]);
+
+      expect(board).toHaveLength(10);
+      expect(board[7]).toEqual([1, 1, 0, 1]);
+      expect(board[8]).toEqual(first);
+      expect(board[9]).toEqual(second);
+      expect(board[9]).not.toBe(second); // 渡した行は複製して挿入する
+    });
+
+    test('should keep the board reference when inserting garbage', () => {
+      const board = createEmptyBoard(4, 10);
+      const original = board;
+
+      insertGarbageRows(board, [[8, 8, 8, 0]]);
+
+      expect(board).toBe(original);
+      expect(board).toHaveLength(10);
     });
   });
 });
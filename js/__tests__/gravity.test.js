@@ -0,0 +1,99 @@
+// 落下速度カーブのテスト
+import { describe, test, expect } from '@jest/globals';
+import {
+  FRAME_MS,
+  GRAVITY_CURVES,
+  INSTANT_GRAVITY_INTERVAL,
+  getGravityInterval,
+  getRowsPerFrame,
+  getTgmGravity,
+  tgmGravityToInterval
+} from '../gravity.js';
+
+describe('Gravity', () => {
+  describe('classic curve', () => {
+    test('should keep the original step table', () => {
+      expect(getGravityInterval('classic', 1)).toBe(1000);
+      expect(getGravityInterval('classic', 2)).toBe(800);
+      expect(getGravityInterval('classic', 5)).toBe(500);
+      expect(getGravityInterval('classic', 7)).toBe(340);
+      expect(getGravityInterval('classic', 10)).toBe(100);
+      expect(getGravityInterval('classic', 30)).toBe(100);
+    });
+  });
+
+  describe('guideline curve', () => {
+    test('should follow (0.8 - (level - 1) * 0.007)^(level - 1) seconds', () => {
+      expect(getGravityInterval('guideline', 1)).toBe(1000);
+      expect(getGravityInterval('guideline', 2)).toBeCloseTo(793, 0);
+      expect(getGravityInterval('guideline', 10)).toBeCloseTo(64.15, 1);
+      expect(getGravityInterval('guideline', 15)).toBeCloseTo(7.05, 1);
+    });
+
+    test('should stop getting faster after level 20', () => {
+      expect(getGravityInterval('guideline', 25)).toBe(getGravityInterval('guideline', 20));
+    });
+  });
+
+  describe('nes curve', () => {
+    const NES_FRAME_MS = 1000 / 60.0988;
+
+    test('should use the NES frames-per-row table from NES level 0', () => {
+      expect(getGravityInterval('nes', 1)).toBeCloseTo(48 * NES_FRAME_MS);
+      expect(getGravityInterval('nes', 10)).toBeCloseTo(6 * NES_FRAME_MS);
+      expect(getGravityInterval('nes', 19)).toBeCloseTo(3 * NES_FRAME_MS);
+      expect(getGravityInterval('nes', 20)).toBeCloseTo(2 * NES_FRAME_MS);
+    });
+
+    test('should reach 1 frame per row at NES level 29', () => {
+      expect(getGravityInterval('nes', 30)).toBeCloseTo(NES_FRAME_MS);
+      expect(getGravityInterval('nes', 50)).toBeCloseTo(NES_FRAME_MS);
+    });
+  });
+
+  describe('tgm curve', () => {
+    test('should look up internal gravity by internal level', () => {
+      expect(getTgmGravity(0)).toBe(4);
+      expect(getTgmGravity(29)).toBe(4);
+      expect(getTgmGravity(30)).toBe(6);
+      expect(getTgmGravity(200)).toBe(4); // レベル200で一度遅くなる
+      expect(getTgmGravity(251)).toBe(256);
+      expect(getTgmGravity(999)).toBe(5120);
+    });
+
+    test('should convert internal gravity to an interval', () => {
+      expect(tgmGravityToInterval(256)).toBeCloseTo(FRAME_MS); // 1G
+      expect(tgmGravityToInterval(5120)).toBeCloseTo(FRAME_MS / 20); // 20G
+    });
+
+    test('should reach 20G at level 51', () => {
+      expect(getGravityInterval('tgm', 1)).toBeCloseTo(FRAME_MS * 64);
+      expect(getGravityInterval('tgm', 51)).toBeCloseTo(FRAME_MS / 20);
+    });
+
+    test('should count the rows dropped per frame', () => {
+      expect(getRowsPerFrame(1000)).toBe(1);
+      expect(getRowsPerFrame(FRAME_MS)).toBe(1);
+      expect(getRowsPerFrame(FRAME_MS / 3)).toBe(3);
+      expect(getRowsPerFrame(INSTANT_GRAVITY_INTERVAL)).toBe(20);
+    });
+  });
+
+  describe('getGravityInterval()', () => {
+    test('should get faster or stay the same as the level rises', () => {
+      Object.keys(GRAVITY_CURVES).filter(name => name !== 'tgm').forEach((name) => {
+        for (let level = 2; level <= 30; level++) {
+          expect(getGravityInterval(name, level)).toBeLessThanOrEqual(getGravityInterval(name, level - 1));
+        }
+      });
+    });
+
+    test('should treat levels below 1 as level 1', () => {
+      expect(getGravityInterval('guideline', 0)).toBe(getGravityInterval('guideline', 1));
+    });
+
+    test('should throw for unknown curve names', () => {
+      expect(() => getGravityInterval('unknown', 1)).toThrow('Unknown gravity curve: unknown');
+    });
+  });
+});
@@ -0,0 +1,379 @@
+// 入力処理（DAS/ARR）のテスト
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { InputHandler, DEFAULT_INPUT_SETTINGS, DEFAULT_KEY_BINDINGS } from '../input.js';
+
+/**
+ * InputHandler のテスト用の Game モックを作成する
+ * @param {number} wallDistance - 壁までに移動できる回数
+ * @returns {Object} Game モック
+ */
+function createMockGame(wallDistance = 100) {
+  const game = {
+    paused: false,
+    gameOver: false,
+    dropInterval: 1000,
+    currentTetromino: {},
+    x: 0,
+    floorDistance: 100,
+    moveCurrentTetromino: jest.fn((direction) => {
+      const next = game.x + (direction === 'left' ? -1 : 1);
+      if (Math.abs(next) > wallDistance) return false;
+      game.x = next;
+      return true;
+    }),
+    softDrop: jest.fn(() => {
+      if (game.floorDistance === 0) return false;
+      game.floorDistance--;
+      return true;
+    }),
+    rotateCurrentTetromino: jest.fn(),
+    hardDrop: jest.fn(),
+    holdCurrentTetromino: jest.fn(),
+    setInitialRotation: jest.fn(),
+    setInitialHold: jest.fn(),
+    syncElapsedTime: jest.fn(() => true),
+    hasSpawnDelay: jest.fn(() => true),
+    listeners: {},
+    on: jest.fn((eventName, listener) => {
+      game.listeners[eventName] = listener;
+    })
+  };
+  return game;
+}
+
+describe('InputHandler', () => {
+  let game;
+  let input;
+
+  beforeEach(() => {
+    game = createMockGame();
+    input = new InputHandler(game, { das: 100, arr: 20 });
+  });
+
+  describe('Settings and bindings', () => {
+    test('should use default settings', () => {
+      const defaultInput = new InputHandler(game);
+      expect(defaultInput.settings).toEqual(DEFAULT_INPUT_SETTINGS);
+      expect(defaultInput.bindings).toEqual(DEFAULT_KEY_BINDINGS);
+    });
+
+    test('should ignore invalid settings', () => {
+      input.setSettings({ das: -1, arr: 'fast', softDropFactor: 0 });
+      expect(input.settings.das).toBe(100);
+      expect(input.settings.arr).toBe(20);
+      expect(input.settings.softDropFactor).toBe(DEFAULT_INPUT_SETTINGS.softDropFactor);
+    });
+
+    test('should map key codes to actions', () => {
+      expect(input.getAction('ArrowLeft')).toBe('moveLeft');
+      expect(input.getAction('KeyX')).toBe('rotateRight');
+      expect(input.getAction('ShiftLeft')).toBe('hold');
+      expect(input.getAction('KeyQ')).toBeNull();
+    });
+
+    test('should accept custom key bindings', () => {
+      const custom = new InputHandler(game, {}, { moveLeft: ['KeyJ'] });
+      expect(custom.getAction('KeyJ')).toBe('moveLeft');
+      expect(custom.getAction('ArrowLeft')).toBeNull();
+    });
+  });
+
+  describe('Delayed Auto Shift', () => {
+    test('should move once immediately on key down', () => {
+      input.keyDown('ArrowLeft', 0);
+      expect(game.x).toBe(-1);
+    });
+
+    test('should not repeat before DAS has charged', () => {
+      input.keyDown('ArrowLeft', 0);
+      input.update(99);
+      expect(game.x).toBe(-1);
+    });
+
+    test('should repeat at ARR interval after DAS has charged', () => {
+      input.keyDown('ArrowRight', 0);
+      input.update(100); // DAS 到達で1回
+      expect(game.x).toBe(2);
+
+      input.update(119);
+      expect(game.x).toBe(2);
+
+      input.update(160); // 120, 140, 160 の3回
+      expect(game.x).toBe(5);
+    });
+
+    test('should stop repeating when the key is released', () => {
+      input.keyDown('ArrowRight', 0);
+      input.update(100);
+      input.keyUp('ArrowRight', 110);
+      input.update(500);
+      expect(game.x).toBe(2);
+    });
+
+    test('should give priority to the most recently pressed direction', () => {
+      input.keyDown('ArrowLeft', 0);
+      input.keyDown('ArrowRight', 50);
+      expect(game.x).toBe(0);
+
+      input.update(149);
+      expect(game.x).toBe(0);
+      input.update(150);
+      expect(game.x).toBe(1);
+    });
+
+    test('should recharge DAS for the still held direction after release', () => {
+      input.keyDown('ArrowLeft', 0);
+      input.keyDown('ArrowRight', 10);
+      input.keyUp('ArrowRight', 200);
+      const x = game.x;
+
+      input.update(299);
+      expect(game.x).toBe(x);
+      input.update(300);
+      expect(game.x).toBe(x - 1);
+    });
+
+    test('should move to the wall instantly when ARR is 0', () => {
+      game = createMockGame(4);
+      input = new InputHandler(game, { das: 100, arr: 0 });
+
+      input.keyDown('ArrowLeft', 0);
+      input.update(100);
+
+      expect(game.x).toBe(-4);
+    });
+
+    test('should keep DAS charge while no tetromino can move', () => {
+      input.keyDown('ArrowRight', 0);
+      // ライン消去中などでテトリミノが無い状態を再現
+      game.moveCurrentTetromino.mockImplementation(() => false);
+      input.update(300);
+      expect(game.x).toBe(1);
+
+      // 次のテトリミノが出現した直後からチャージ済みのリピートが続く
+      game.moveCurrentTetromino.mockImplementation(() => {
+        game.x++;
+        return true;
+      });
+      input.update(320);
+      expect(game.x).toBe(2);
+    });
+
+    test('should not act while paused', () => {
+      game.paused = true;
+      input.keyDown('ArrowLeft', 0);
+      input.update(500);
+      expect(game.moveCurrentTetromino).not.toHaveBeenCalled();
+    });
+
+    test('should not replay the paused time on resume', () => {
+      input.keyDown('ArrowLeft', 0);
+      game.paused = true;
+      input.update(50);
+      input.update(4000);
+      game.paused = false;
+
+      // 停止前に残っていた DAS（50ms）だけ待ってからリピートする
+      input.update(5000);
+      input.update(5049);
+      expect(game.x).toBe(-1);
+
+      input.update(5050);
+      expect(game.x).toBe(-2);
+    });
+
+    test('should start DAS on resume for a direction pressed while paused', () => {
+      game.paused = true;
+      input.update(0);
+      input.keyDown('ArrowLeft', 1000);
+      input.update(3000);
+      expect(game.moveCurrentTetromino).not.toHaveBeenCalled();
+
+      game.paused = false;
+      input.update(5000);
+      input.update(5099);
+      expect(game.x).toBe(0);
+
+      input.update(5100);
+      expect(game.x).toBe(-1);
+      input.update(5120);
+      expect(game.x).toBe(-2);
+    });
+
+    test('should release all keys', () => {
+      input.keyDown('ArrowLeft', 0);
+      input.keyDown('ArrowDown', 0);
+      input.releaseAll();
+      input.update(1000);
+      expect(game.x).toBe(-1);
+      expect(game.softDrop).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('Soft drop', () => {
+    test('should drop at gravity multiplied by the soft drop factor', () => {
+      input.setSettings({ softDropFactor: 20 }); // 1000ms / 20 = 50ms
+      input.keyDown('ArrowDown', 0);
+      expect(game.softDrop).toHaveBeenCalledTimes(1);
+
+      input.update(149);
+      expect(game.softDrop).toHaveBeenCalledTimes(3);
+
+      input.keyUp('ArrowDown', 150);
+      input.update(500);
+      expect(game.softDrop).toHaveBeenCalledTimes(3);
+    });
+
+    test('should not replay the paused time on resume', () => {
+      input.keyDown('ArrowDown', 0); // 1000ms / 20 = 50ms
+      game.paused = true;
+      input.update(10);
+      input.update(5000);
+      game.paused = false;
+
+      input.update(5000);
+      input.update(5039);
+      expect(game.softDrop).toHaveBeenCalledTimes(1);
+
+      input.update(5040);
+      expect(game.softDrop).toHaveBeenCalledTimes(2);
+    });
+
+    test('should drop to the floor instantly with an infinite factor', () => {
+      input.setSettings({ softDropFactor: Infinity });
+      input.keyDown('ArrowDown', 0);
+      input.update(1);
+
+      expect(game.floorDistance).toBe(0);
+    });
+  });
+
+  describe('One-shot actions', () => {
+    test('should dispatch rotation, hard drop and hold', () => {
+      input.keyDown('ArrowUp', 0);
+      input.keyDown('KeyZ', 0);
+      input.keyDown('Space', 0);
+      input.keyDown('KeyC', 0);
+
+      expect(game.rotateCurrentTetromino).toHaveBeenCalledWith('right');
+      expect(game.rotateCurrentTetromino).toHaveBeenCalledWith('left');
+      expect(game.hardDrop).toHaveBeenCalled();
+      expect(game.holdCurrentTetromino).toHaveBeenCalled();
+    });
+
+    test('should queue rotation and hold while no piece is active', () => {
+      game.currentTetromino = null;
+
+      input.keyDown('KeyZ', 0);
+      input.keyDown('KeyC', 0);
+
+      expect(game.setInitialRotation).toHaveBeenCalledWith('left');
+      expect(game.setInitialHold).toHaveBeenCalledWith(true);
+      expect(game.rotateCurrentTetromino).not.toHaveBeenCalled();
+      expect(game.holdCurrentTetromino).not.toHaveBeenCalled();
+    });
+
+    test('should cancel queued rotation and hold when released before spawn', () => {
+      game.currentTetromino = null;
+      input.keyDown('ArrowUp', 0);
+      input.keyDown('KeyC', 0);
+
+      input.keyUp('ArrowUp', 10);
+      input.keyUp('KeyC', 10);
+
+      expect(game.setInitialRotation).toHaveBeenLastCalledWith(null);
+      expect(game.setInitialHold).toHaveBeenLastCalledWith(false);
+    });
+
+    test('should bring the play time up to the input time before acting', () => {
+      game.hardDrop.mockImplementation(() => {
+        expect(game.syncElapsedTime).toHaveBeenLastCalledWith(48);
+      });
+
+      input.keyDown('Space', 48);
+
+      expect(game.hardDrop).toHaveBeenCalled();
+    });
+
+    test('should queue rotation and hold keys still held when the piece locks', () => {
+      input.keyDown('KeyZ', 0);
+      input.keyDown('ArrowUp', 10);
+      input.keyDown('KeyC', 20);
+      input.keyUp('KeyC', 30);
+      input.keyDown('ShiftLeft', 40);
+
+      game.currentTetromino = null;
+      game.listeners.lock();
+
+      // 後から押した回転を優先する
+      expect(game.setInitialRotation).toHaveBeenCalledTimes(1);
+      expect(game.setInitialRotation).toHaveBeenCalledWith('right');
+      expect(game.setInitialHold).toHaveBeenCalledWith(true);
+    });
+
+    test('should not queue held keys at lock when the next piece spawns without delay', () => {
+      game.hasSpawnDelay.mockReturnValue(false);
+      input.keyDown('ArrowUp', 0);
+      input.keyDown('KeyC', 10);
+
+      game.currentTetromino = null;
+      game.listeners.lock();
+
+      expect(game.setInitialRotation).not.toHaveBeenCalled();
+      expect(game.setInitialHold).not.toHaveBeenCalled();
+    });
+
+    test('should keep the rotation of another held rotate key when one is released', () => {
+      game.currentTetromino = null;
+      input.keyDown('KeyZ', 0);
+      input.keyDown('ArrowUp', 10);
+
+      input.keyUp('ArrowUp', 20);
+      expect(game.setInitialRotation).toHaveBeenLastCalledWith('left');
+
+      input.keyUp('KeyZ', 30);
+      expect(game.setInitialRotation).toHaveBeenLastCalledWith(null);
+    });
+
+    test('should not queue anything at lock when no rotation or hold key is held', () => {
+      input.keyDown('ArrowUp', 0);
+      input.keyUp('ArrowUp', 10);
+      input.keyDown('ArrowLeft', 20);
+
+      game.listeners.lock();
+
+      expect(game.setInitialRotation).not.toHaveBeenCalled();
+      expect(game.setInitialHold).not.toHaveBeenCalled();
+    });
+
+    test('should reject the input when the game ends at the input time', () => {
+      game.syncElapsedTime.mockReturnValue(false);
+
+      input.keyDown('Space', 48);
+      input.keyDown('ArrowLeft', 50);
+
+      expect(game.hardDrop).not.toHaveBeenCalled();
+      expect(game.moveCurrentTetromino).not.toHaveBeenCalled();
+    });
+
+    test('should rotate 180 degrees with the A key', () => {
+      input.keyDown('KeyA', 0);
+      expect(game.rotateCurrentTetromino).toHaveBeenCalledWith('180');
+    });
+
+    test('should rebind an action and release the key from other actions', () => {
+      input.setBinding('rotate180', ['KeyX']);
+
+      expect(input.getAction('KeyX')).toBe('rotate180');
+      expect(input.getAction('KeyA')).toBeNull();
+      expect(input.bindings.rotateRight).toEqual(['ArrowUp']);
+      expect(DEFAULT_KEY_BINDINGS.rotateRight).toEqual(['ArrowUp', 'KeyX']);
+      expect(() => input.setBinding('unknown', ['KeyQ'])).toThrow('Unknown input action: unknown');
+    });
+
+    test('should report unbound keys as unhandled', () => {
+      expect(input.keyDown('KeyQ', 0)).toBe(false);
+      expect(input.keyUp('KeyQ', 0)).toBe(false);
+    });
+  });
+});
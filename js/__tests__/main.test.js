@@ -1,7 +1,14 @@
 // ゲームループ・状態管理システムのテスト
 import { describe, test, expect, beforeEach, afterEach, jest } from '@jest/globals';
-import { Game } from '../main.js';
+import { Game, MAX_PREVIEW_COUNT, PHASE_FALLING, PHASE_LOCKING, PHASE_LINE_CLEAR, PHASE_ENTRY } from '../main.js';
 import { Renderer } from '../renderer.js';
+import { createTetromino, rotateTetromino, getPieceColorValue } from '../tetromino.js';
+import { NesRandomizer } from '../randomizer.js';
+import { ROTATION_SYSTEMS } from '../rotationSystems.js';
+import { PENTOMINOES, KIDS_PIECES } from '../pieceSets.js';
+import { GameMode, EndlessMode, MarathonMode, GAME_MODES, GOAL_TIME, MODE_END_GOAL, MODE_END_TIME_UP } from '../modes.js';
+import { GARBAGE_BLOCK } from '../game.js';
+import { InputHandler } from '../input.js';
 import { createMockCanvas } from '../utils/mockCanvas.js';
 
 // Rendererをモック化（実際のCanvas操作をスキップ）
@@ -21,6 +28,7 @@ describe('Game Class - Main Game Loop & State Management', () => {
     mockRenderer.clear = jest.fn();
     mockRenderer.drawBoard = jest.fn();
     mockRenderer.drawTetromino = jest.fn();
+    mockRenderer.drawGhostTetromino = jest.fn();
   });
 
   describe('Game Class Initialization', () => {
@@ -96,6 +104,16 @@ describe('Game Class - Main Game Loop & State Management', () => {
       expect(game.score).toBe(1700);
     });
 
+    test('should ignore points that are not finite numbers', () => {
+      game.addScore(100, 1);
+      
+      game.addScore(NaN, 1);
+      game.addScore(Infinity, 1);
+      
+      expect(game.score).toBe(100);
+      expect(game.lines).toBe(1);
+    });
+
     test('should level up after clearing specific number of lines', () => {
       game.lines = 9;
       game.level = 1;
@@ -192,6 +210,59 @@ describe('Game Class - Main Game Loop & State Management', () => {
       expect(game.getDropInterval()).toBe(100);
     });
 
+    test('should use the selected gravity curve', () => {
+      game = new Game(mockRenderer, { gravity: 'guideline' });
+      expect(game.dropInterval).toBe(1000);
+      
+      game.level = 10;
+      game.updateDropInterval();
+      expect(game.dropInterval).toBeCloseTo(64.15, 1);
+      
+      game.setGravityCurve('nes');
+      expect(game.dropInterval).toBeCloseTo(6 * 1000 / 60.0988);
+      expect(() => game.setGravityCurve('unknown')).toThrow('Unknown gravity curve: unknown');
+      expect(game.options.gravity).toBe('nes');
+    });
+
+    test('should start at the selected level', () => {
+      game = new Game(mockRenderer, { startLevel: 5 });
+      expect(game.level).toBe(5);
+      expect(game.dropInterval).toBe(500);
+      
+      // 開始レベル5では50ラインで最初のレベルアップ
+      game.addScore(0, 49);
+      expect(game.level).toBe(5);
+      game.addScore(0, 1);
+      expect(game.level).toBe(6);
+      
+      game.setStartLevel(3);
+      game.reset();
+      expect(game.level).toBe(3);
+    });
+
+    test('should drop several rows per update above 1G', () => {
+      game.spawnNewTetromino();
+      game.dropInterval = 1000 / 60 / 3; // 3G
+      game.lastDropTime = 0;
+      const startY = game.currentTetromino.y;
+      
+      game.update(1000);
+      
+      // 間隔が空いても1フレーム分（3段）まで
+      expect(game.currentTetromino.y).toBe(startY + 3);
+    });
+
+    test('should place new pieces on the stack at 20G', () => {
+      game = new Game(mockRenderer, { mode: 'master' });
+      game.mode.internalLevel = 500;
+      game.updateDropInterval();
+      
+      game.placeNewTetromino();
+      
+      expect(game.isTetrominoGrounded()).toBe(true);
+      expect(game.gameOver).toBe(false);
+    });
+
     test('should not update when game is paused', () => {
       game.paused = true;
       const currentTime = 2000;
@@ -221,14 +292,51 @@ describe('Game Class - Main Game Loop & State Management', () => {
     test('should spawn new tetromino correctly', () => {
       expect(game.currentTetromino).toBeNull();
       
+      game.nextQueue[0] = 'T';
       game.spawnNewTetromino();
       
       expect(game.currentTetromino).not.toBeNull();
-      expect(game.currentTetromino.x).toBe(4); // 中央配置
+      expect(game.currentTetromino.x).toBe(3); // 中央配置（3列の枠は左寄り）
       expect(game.currentTetromino.y).toBe(0); // 上部配置
       expect(['I', 'O', 'T', 'S', 'Z', 'J', 'L']).toContain(game.currentTetromino.type);
     });
 
+    test('should spawn in the buffer rows just above the visible field', () => {
+      mockRenderer.setHiddenRows = jest.fn();
+      game = new Game(mockRenderer, { bufferHeight: 20 });
+      
+      game.spawnNewTetromino();
+      
+      expect(game.board).toHaveLength(40);
+      // 出現行（18）から直ちに1段落下する
+      expect(game.currentTetromino.y).toBe(19);
+      expect(mockRenderer.setHiddenRows).toHaveBeenCalledWith(20);
+      
+      // バッファ内の床まで落とせる
+      game.hardDrop();
+      expect(game.board[39].some(cell => cell !== 0)).toBe(true);
+    });
+
+    test('should drop into the visible field right after spawning', () => {
+      game = new Game(mockRenderer, { bufferHeight: 20 });
+      
+      game.placeNewTetromino('I');
+      
+      // I の横一列が表示領域の最上段（ボードの20行目）に見える
+      expect(game.currentTetromino.y).toBe(19);
+      expect(game.currentTetromino.shape[1].every(cell => cell !== 0)).toBe(true);
+    });
+
+    test('should stay in the spawn rows when the row below is blocked', () => {
+      game = new Game(mockRenderer, { bufferHeight: 20 });
+      game.board[20].fill(1);
+      
+      expect(game.placeNewTetromino('I')).toBe(true);
+      
+      expect(game.currentTetromino.y).toBe(18);
+      expect(game.gameOver).toBe(false);
+    });
+
     test('should detect game over when tetromino cannot spawn', () => {
       // ボード上部を埋める
       for (let col = 0; col < 10; col++) {
@@ -269,6 +377,1419 @@ describe('Game Class - Main Game Loop & State Management', () => {
     });
   });
 
+  describe('Board Size', () => {
+    test('should create the board with the configured size', () => {
+      game = new Game(mockRenderer, { boardWidth: 6, boardHeight: 12, bufferHeight: 4 });
+      
+      expect(game.board).toHaveLength(16);
+      expect(game.board[0]).toHaveLength(6);
+      expect(game.getGameState()).toEqual(expect.objectContaining({ boardWidth: 6, boardHeight: 12 }));
+    });
+
+    test('should center the spawn column on the board', () => {
+      game = new Game(mockRenderer, { boardWidth: 16 });
+      game.nextQueue[0] = 'I';
+      
+      game.spawnNewTetromino();
+      
+      expect(game.currentTetromino.x).toBe(6);
+    });
+
+    test('should resize the renderer to the visible rows', () => {
+      mockRenderer.resizeToBoard = jest.fn();
+      
+      game = new Game(mockRenderer, { boardWidth: 8, boardHeight: 30, bufferHeight: 20 });
+      
+      expect(mockRenderer.resizeToBoard).toHaveBeenCalledWith(8, 30);
+    });
+
+    test('should clamp the size and apply it from the next reset', () => {
+      game = new Game(mockRenderer, { boardWidth: 2 });
+      expect(game.board[0]).toHaveLength(4);
+      
+      game.setBoardSize(12, 50);
+      expect(game.board).toHaveLength(20);
+      
+      game.reset();
+      expect(game.board).toHaveLength(40);
+      expect(game.board[0]).toHaveLength(12);
+    });
+  });
+
+  describe('Hard Drop', () => {
+    beforeEach(() => {
+      game = new Game(mockRenderer);
+    });
+
+    test('should drop tetromino to the lowest legal row and lock it', () => {
+      game.spawnNewTetromino();
+      const tetromino = game.currentTetromino;
+      tetromino.type = 'O';
+      tetromino.shape = [[1,1],[1,1]];
+      tetromino.x = 0;
+      tetromino.y = 0;
+      
+      const distance = game.hardDrop();
+      
+      expect(distance).toBe(18);
+      expect(game.board[18][0]).not.toBe(0);
+      expect(game.board[19][1]).not.toBe(0);
+      expect(game.currentTetromino).not.toBe(tetromino);
+    });
+
+    test('should stop on top of existing blocks', () => {
+      game.board[15][0] = 1;
+      game.spawnNewTetromino();
+      const tetromino = game.currentTetromino;
+      tetromino.shape = [[1]];
+      tetromino.x = 0;
+      tetromino.y = 0;
+      
+      expect(game.hardDrop()).toBe(14);
+      expect(game.board[14][0]).not.toBe(0);
+    });
+
+    test('should award 2 points per cell dropped', () => {
+      game.spawnNewTetromino();
+      game.currentTetromino.shape = [[1]];
+      game.currentTetromino.x = 0;
+      game.currentTetromino.y = 10;
+      
+      game.hardDrop();
+      
+      expect(game.score).toBe(18);
+      expect(game.lines).toBe(0);
+    });
+
+    test('should do nothing without a current tetromino or while paused', () => {
+      expect(game.hardDrop()).toBe(0);
+      
+      game.spawnNewTetromino();
+      game.paused = true;
+      const tetromino = game.currentTetromino;
+      
+      expect(game.hardDrop()).toBe(0);
+      expect(game.currentTetromino).toBe(tetromino);
+    });
+  });
+
+  describe('Ghost Piece', () => {
+    beforeEach(() => {
+      game = new Game(mockRenderer);
+      game.spawnNewTetromino();
+      game.currentTetromino.shape = [[1,1],[1,1]];
+      game.currentTetromino.x = 0;
+      game.currentTetromino.y = 0;
+    });
+
+    test('should project landing position of current tetromino', () => {
+      expect(game.getGhostPosition()).toEqual({ x: 0, y: 18 });
+    });
+
+    test('should follow moves and existing blocks', () => {
+      game.board[10][3] = 1;
+      game.currentTetromino.x = 2;
+      
+      expect(game.getGhostPosition()).toEqual({ x: 2, y: 8 });
+    });
+
+    test('should return null without a current tetromino', () => {
+      game.currentTetromino = null;
+      expect(game.getGhostPosition()).toBeNull();
+    });
+
+    test('should render ghost before the current tetromino', () => {
+      game.render();
+      
+      expect(mockRenderer.drawGhostTetromino).toHaveBeenCalledWith(
+        expect.objectContaining({ x: 0, y: 18, shape: game.currentTetromino.shape })
+      );
+      const ghostOrder = mockRenderer.drawGhostTetromino.mock.invocationCallOrder[0];
+      const pieceOrder = mockRenderer.drawTetromino.mock.invocationCallOrder[0];
+      expect(ghostOrder).toBeLessThan(pieceOrder);
+    });
+
+    test('should not render ghost when disabled', () => {
+      game.setGhostEnabled(false);
+      game.render();
+      
+      expect(mockRenderer.drawGhostTetromino).not.toHaveBeenCalled();
+      expect(mockRenderer.drawTetromino).toHaveBeenCalled();
+    });
+
+    test('should accept ghost setting through constructor options', () => {
+      const noGhostGame = new Game(mockRenderer, { showGhost: false });
+      expect(noGhostGame.options.showGhost).toBe(false);
+    });
+  });
+
+  describe('Hold Piece', () => {
+    beforeEach(() => {
+      game = new Game(mockRenderer);
+      game.spawnNewTetromino();
+    });
+
+    test('should stash current tetromino and spawn the next one when hold is empty', () => {
+      const type = game.currentTetromino.type;
+      
+      expect(game.holdCurrentTetromino()).toBe(true);
+      
+      expect(game.holdType).toBe(type);
+      expect(game.currentTetromino).not.toBeNull();
+      expect(game.canHold).toBe(false);
+    });
+
+    test('should swap with held tetromino in spawn orientation and position', () => {
+      game.holdType = 'T';
+      game.currentTetromino = createTetromino('L');
+      game.currentTetromino = rotateTetromino(game.currentTetromino, 'right');
+      game.currentTetromino.x = 0;
+      game.currentTetromino.y = 10;
+      
+      game.holdCurrentTetromino();
+      
+      const spawn = createTetromino('T');
+      expect(game.holdType).toBe('L');
+      expect(game.currentTetromino.type).toBe('T');
+      expect(game.currentTetromino.rotation).toBe(0);
+      expect(game.currentTetromino.x).toBe(spawn.x);
+      expect(game.currentTetromino.y).toBe(spawn.y);
+    });
+
+    test('should allow hold only once until the next lock', () => {
+      game.holdCurrentTetromino();
+      const current = game.currentTetromino;
+      
+      expect(game.holdCurrentTetromino()).toBe(false);
+      expect(game.currentTetromino).toBe(current);
+      
+      game.currentTetromino.y = 15;
+      game.fixTetrominoToBoard();
+      
+      expect(game.canHold).toBe(true);
+      expect(game.holdCurrentTetromino()).toBe(true);
+    });
+
+    test('should end the game if the held tetromino cannot be placed', () => {
+      game.holdType = 'O';
+      game.currentTetromino.y = 15;
+      for (let col = 0; col < 10; col++) {
+        game.board[0][col] = 1;
+      }
+      
+      game.holdCurrentTetromino();
+      
+      expect(game.gameOver).toBe(true);
+    });
+
+    test('should reset hold state on game reset', () => {
+      game.holdCurrentTetromino();
+      game.reset();
+      
+      expect(game.holdType).toBeNull();
+      expect(game.canHold).toBe(true);
+    });
+  });
+
+  describe('Next Piece Queue', () => {
+    beforeEach(() => {
+      game = new Game(mockRenderer);
+    });
+
+    test('should spawn tetrominoes in queue order', () => {
+      const upcoming = game.getNextPieces(MAX_PREVIEW_COUNT);
+      
+      game.spawnNewTetromino();
+      expect(game.currentTetromino.type).toBe(upcoming[0]);
+      
+      game.currentTetromino = null;
+      game.spawnNewTetromino();
+      expect(game.currentTetromino.type).toBe(upcoming[1]);
+    });
+
+    test('should keep the queue filled after spawning', () => {
+      for (let i = 0; i < 10; i++) {
+        game.currentTetromino = null;
+        game.spawnNewTetromino();
+      }
+      
+      expect(game.getNextPieces(MAX_PREVIEW_COUNT)).toHaveLength(MAX_PREVIEW_COUNT);
+    });
+
+    test('should expose the configured number of next pieces', () => {
+      game.setPreviewCount(3);
+      expect(game.getNextPieces()).toHaveLength(3);
+      
+      game.setPreviewCount(0);
+      expect(game.getNextPieces()).toEqual([]);
+    });
+
+    test('should clamp preview count between 0 and 6', () => {
+      game.setPreviewCount(10);
+      expect(game.options.previewCount).toBe(6);
+      expect(game.getNextPieces(10)).toHaveLength(6);
+      
+      game.setPreviewCount(-1);
+      expect(game.options.previewCount).toBe(0);
+    });
+
+    test('should use the 7-bag randomizer by default', () => {
+      const firstBag = [];
+      for (let i = 0; i < 7; i++) {
+        game.currentTetromino = null;
+        game.spawnNewTetromino();
+        firstBag.push(game.currentTetromino.type);
+      }
+      
+      expect(firstBag.sort()).toEqual(['I', 'J', 'L', 'O', 'S', 'T', 'Z']);
+    });
+
+    test('should switch randomizer strategies', () => {
+      game.setRandomizer('nes');
+      
+      expect(game.randomizer).toBeInstanceOf(NesRandomizer);
+      expect(game.options.randomizer).toBe('nes');
+      expect(() => game.setRandomizer('unknown')).toThrow('Unknown randomizer');
+    });
+
+    test('should reproduce the same piece sequence with the same seed', () => {
+      ['7bag', 'random', 'tgm', 'nes'].forEach(randomizer => {
+        const gameA = new Game(mockRenderer, { seed: 987654321, randomizer });
+        const gameB = new Game(mockRenderer, { seed: 987654321, randomizer });
+        const sequenceA = [];
+        const sequenceB = [];
+        
+        for (let i = 0; i < 30; i++) {
+          gameA.currentTetromino = null;
+          gameB.currentTetromino = null;
+          gameA.spawnNewTetromino();
+          gameB.spawnNewTetromino();
+          sequenceA.push(gameA.currentTetromino.type);
+          sequenceB.push(gameB.currentTetromino.type);
+        }
+        
+        expect(sequenceA).toEqual(sequenceB);
+      });
+    });
+
+    test('should expose the seed in game state', () => {
+      const seeded = new Game(mockRenderer, { seed: 42 });
+      
+      expect(seeded.seed).toBe(42);
+      expect(seeded.getGameState().seed).toBe(42);
+      expect(typeof game.getGameState().seed).toBe('number');
+    });
+
+    test('should replay the same sequence after reset with the same seed', () => {
+      const seeded = new Game(mockRenderer, { seed: 7 });
+      const firstRun = seeded.getNextPieces(MAX_PREVIEW_COUNT);
+      
+      seeded.reset();
+      expect(seeded.getNextPieces(MAX_PREVIEW_COUNT)).toEqual(firstRun);
+      
+      seeded.reset(8);
+      expect(seeded.seed).toBe(8);
+    });
+
+    test('should not allow external mutation of the queue', () => {
+      const pieces = game.getNextPieces();
+      pieces.length = 0;
+      
+      expect(game.getNextPieces()).toHaveLength(game.options.previewCount);
+    });
+  });
+
+  describe('Rotation', () => {
+    beforeEach(() => {
+      game = new Game(mockRenderer);
+    });
+
+    test('should rotate current tetromino with wall kicks', () => {
+      game.currentTetromino = { ...rotateTetromino(createTetromino('T'), 'right'), x: -1, y: 5 };
+      
+      const result = game.rotateCurrentTetromino('right');
+      
+      expect(result.kickIndex).toBe(1);
+      expect(game.currentTetromino.rotation).toBe(2);
+      expect(game.currentTetromino.x).toBe(0);
+    });
+
+    test('should keep tetromino unchanged when rotation is impossible', () => {
+      game.currentTetromino = { ...createTetromino('I'), x: 3, y: 18 };
+      for (let col = 0; col < 10; col++) {
+        game.board[17][col] = 1;
+      }
+      const before = game.currentTetromino;
+      
+      expect(game.rotateCurrentTetromino('right')).toBeNull();
+      expect(game.currentTetromino).toBe(before);
+    });
+
+    test('should rotate 180 degrees through the kick path', () => {
+      game.currentTetromino = { ...createTetromino('T'), x: 4, y: 18 };
+      
+      const result = game.rotateCurrentTetromino('180');
+      
+      expect(result.kickIndex).toBe(1);
+      expect(game.currentTetromino.rotation).toBe(2);
+      expect(game.currentTetromino.y).toBe(17);
+      expect(game.lastAction).toBe('rotate');
+      // 180度回転の壁蹴りは T-spin の昇格判定に使わない
+      expect(game.lastKickIndex).toBeNull();
+    });
+  });
+
+  describe('Lock Delay', () => {
+    beforeEach(() => {
+      game = new Game(mockRenderer);
+      game.spawnNewTetromino();
+      // 床に接地した O-piece を用意
+      game.currentTetromino = { ...createTetromino('O'), x: 4, y: 18 };
+      game.lastDropTime = 0;
+      game.dropInterval = 100000; // 自動落下は発生させない
+    });
+
+    test('should not lock immediately when the tetromino touches the ground', () => {
+      const tetromino = game.currentTetromino;
+      
+      game.update(1000);
+      
+      expect(game.currentTetromino).toBe(tetromino);
+      expect(game.lockStartTime).toBe(1000);
+    });
+
+    test('should lock after the lock delay has elapsed', () => {
+      const tetromino = game.currentTetromino;
+      
+      game.update(1000);
+      game.update(1499);
+      expect(game.currentTetromino).toBe(tetromino);
+      
+      game.update(1500);
+      expect(game.currentTetromino).not.toBe(tetromino);
+      expect(game.board[19][4]).not.toBe(0);
+    });
+
+    test('should reset the timer when the tetromino moves on the ground', () => {
+      const tetromino = game.currentTetromino;
+      
+      game.update(1000);
+      game.update(1400);
+      expect(game.moveCurrentTetromino('left')).toBe(true);
+      expect(game.lockResets).toBe(1);
+      
+      game.update(1800);
+      expect(game.currentTetromino).toBe(tetromino);
+      
+      game.update(1900);
+      expect(game.currentTetromino).not.toBe(tetromino);
+    });
+
+    test('should reset the timer when the tetromino rotates on the ground', () => {
+      game.currentTetromino = { ...createTetromino('T'), x: 4, y: 18 };
+      
+      game.update(1000);
+      game.update(1400);
+      game.rotateCurrentTetromino('right');
+      
+      expect(game.lockResets).toBe(1);
+      expect(game.lockStartTime).toBe(1400);
+    });
+
+    test('should stop resetting the timer after the reset limit', () => {
+      const tetromino = game.currentTetromino;
+      game.update(1000);
+      
+      for (let i = 0; i < 20; i++) {
+        game.update(1000 + i * 10);
+        game.moveCurrentTetromino(i % 2 === 0 ? 'left' : 'right');
+      }
+      
+      expect(game.lockResets).toBe(15);
+      expect(game.lockStartTime).toBe(1140);
+      
+      game.update(1640);
+      expect(game.currentTetromino).not.toBe(tetromino);
+    });
+
+    test('should restore resets when the tetromino reaches a new lowest row', () => {
+      game.board[19][0] = 1;
+      game.currentTetromino = { ...createTetromino('O'), x: 0, y: 17 };
+      game.lowestY = 17;
+      game.update(1000);
+      game.moveCurrentTetromino('right');
+      expect(game.lockResets).toBe(1);
+      
+      // 段差から降りて新しい最下段に到達
+      game.dropCurrentTetromino();
+      
+      expect(game.lockResets).toBe(0);
+    });
+
+    test('should lock immediately on soft drop when lock delay is 0', () => {
+      const instantGame = new Game(mockRenderer, { lockDelay: 0 });
+      instantGame.spawnNewTetromino();
+      instantGame.currentTetromino = { ...createTetromino('O'), x: 4, y: 18 };
+      const tetromino = instantGame.currentTetromino;
+      
+      expect(instantGame.dropCurrentTetromino()).toBe(false);
+      expect(instantGame.currentTetromino).not.toBe(tetromino);
+    });
+
+    test('should accept lock delay and reset limit options', () => {
+      const custom = new Game(mockRenderer, { lockDelay: 1000, lockResetLimit: 5 });
+      
+      expect(custom.options.lockDelay).toBe(1000);
+      expect(custom.options.lockResetLimit).toBe(5);
+    });
+
+    test('should move tetromino left and right with collision checks', () => {
+      game.currentTetromino = { ...createTetromino('O'), x: 0, y: 5 };
+      
+      expect(game.moveCurrentTetromino('left')).toBe(false);
+      expect(game.moveCurrentTetromino('right')).toBe(true);
+      expect(game.currentTetromino.x).toBe(1);
+    });
+  });
+
+  describe('Rotation Systems', () => {
+    test('should spawn pieces with the selected system', () => {
+      game = new Game(mockRenderer, { rotationSystem: 'ars' });
+      game.spawnNewTetromino();
+      
+      const { type, shape, y } = game.currentTetromino;
+      expect(shape).toEqual(ROTATION_SYSTEMS.ars.shapes[type][0]);
+      // 上端が空行の形状は1段上から出現させる
+      expect(y).toBe(-1);
+      expect(game.getGameState().rotationSystem).toBe('ars');
+    });
+
+    test('should apply a new system from the next reset', () => {
+      game = new Game(mockRenderer);
+      
+      game.setRotationSystem('nes');
+      expect(game.rotationSystem).toBe(ROTATION_SYSTEMS.srs);
+      
+      game.reset();
+      expect(game.rotationSystem).toBe(ROTATION_SYSTEMS.nes);
+    });
+
+    test('should reject unknown systems', () => {
+      game = new Game(mockRenderer);
+      
+      expect(() => game.setRotationSystem('unknown')).toThrow('Unknown rotation system: unknown');
+      expect(game.options.rotationSystem).toBe('srs');
+    });
+
+    test('should not report T-spins for systems without them', () => {
+      game = new Game(mockRenderer, { rotationSystem: 'ars' });
+      const listener = jest.fn();
+      game.on('lock', listener);
+      for (let col = 0; col < 10; col++) {
+        if (col !== 4) game.board[19][col] = 1;
+        if (col < 3 || col > 5) game.board[18][col] = 1;
+      }
+      game.board[17][3] = 1;
+      // SRS なら T-spin ダブルになる形で固定する
+      game.currentTetromino = { ...rotateTetromino(createTetromino('T'), '180'), x: 3, y: 17 };
+      game.lastAction = 'rotate';
+      game.lastKickIndex = 0;
+      game.hardDrop();
+      
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        tSpin: 'none',
+        linesCleared: 2
+      }));
+    });
+  });
+
+  describe('T-spin and Lock Event', () => {
+    beforeEach(() => {
+      game = new Game(mockRenderer);
+      game.spawnNewTetromino();
+      // T-spin ダブルの形
+      for (let col = 0; col < 10; col++) {
+        if (col !== 4) game.board[19][col] = 1;
+        if (col < 3 || col > 5) game.board[18][col] = 1;
+      }
+      game.board[17][3] = 1;
+    });
+
+    test('should report a T-spin Double on the lock event and score it', () => {
+      const listener = jest.fn();
+      game.on('lock', listener);
+      // 右向きで溝に差し込み、右回転で下向きにして T-slot に入れる
+      game.currentTetromino = { ...rotateTetromino(createTetromino('T'), 'right'), x: 3, y: 17 };
+      
+      const result = game.rotateCurrentTetromino('right');
+      expect(result.kickIndex).toBe(0);
+      game.hardDrop();
+      
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({
+        tSpin: 'full',
+        linesCleared: 2
+      }));
+      expect(listener.mock.calls[0][0].tetromino.type).toBe('T');
+      expect(game.score).toBe(1200);
+    });
+
+    test('should not report a T-spin when the piece was moved in last', () => {
+      const listener = jest.fn();
+      game.on('lock', listener);
+      game.currentTetromino = { ...createTetromino('T'), x: 3, y: 15 };
+      game.rotateCurrentTetromino('right');
+      // 回転後に1段落下させてから固定
+      game.dropCurrentTetromino();
+      game.hardDrop();
+      
+      expect(listener.mock.calls[0][0].tSpin).toBe('none');
+    });
+
+    test('should stop notifying a removed listener', () => {
+      const listener = jest.fn();
+      game.on('lock', listener);
+      game.off('lock', listener);
+      
+      game.hardDrop();
+      
+      expect(listener).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Top Out', () => {
+    beforeEach(() => {
+      game = new Game(mockRenderer, { bufferHeight: 20 });
+      game.spawnNewTetromino();
+    });
+
+    test('should report block out when the spawn position is occupied', () => {
+      const listener = jest.fn();
+      game.on('gameover', listener);
+      game.board[18].fill(1);
+      game.board[19].fill(1);
+      
+      game.spawnNewTetromino();
+      
+      expect(game.gameOver).toBe(true);
+      expect(game.gameOverReason).toBe('blockOut');
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ reason: 'blockOut', score: 0 }));
+    });
+
+    test('should report lock out when a piece locks above the visible field', () => {
+      // 表示領域の最上段まで積み上げる（消去できないよう1列空ける）
+      for (let row = 20; row < 40; row++) {
+        game.board[row].fill(1);
+        game.board[row][0] = 0;
+      }
+      game.currentTetromino = { ...createTetromino('O'), x: 4, y: 18 };
+      
+      game.hardDrop();
+      
+      expect(game.gameOver).toBe(true);
+      expect(game.gameOverReason).toBe('lockOut');
+      expect(game.currentTetromino).toBeNull();
+    });
+
+    test('should not lock out when the lock clears lines', () => {
+      for (let row = 20; row < 40; row++) {
+        game.board[row].fill(1);
+        game.board[row][9] = 0;
+      }
+      game.board[19].fill(1);
+      game.board[19][0] = 0;
+      game.board[19][1] = 0;
+      game.currentTetromino = { ...createTetromino('O'), x: 0, y: 18 };
+      
+      game.hardDrop();
+      
+      expect(game.gameOver).toBe(false);
+    });
+
+    test('should report partial lock out only when enabled', () => {
+      for (let row = 21; row < 40; row++) {
+        game.board[row].fill(1);
+        game.board[row][9] = 0;
+      }
+      game.currentTetromino = { ...createTetromino('O'), x: 0, y: 19 };
+      game.hardDrop();
+      expect(game.gameOver).toBe(false);
+      
+      game = new Game(mockRenderer, { bufferHeight: 20, partialLockOut: true });
+      for (let row = 21; row < 40; row++) {
+        game.board[row].fill(1);
+        game.board[row][9] = 0;
+      }
+      game.currentTetromino = { ...createTetromino('O'), x: 0, y: 19 };
+      game.hardDrop();
+      expect(game.gameOverReason).toBe('partialLockOut');
+    });
+
+    test('should report garbage top out when enabled', () => {
+      game.board[0][0] = 1;
+      
+      expect(game.checkGarbageTopOut(1)).toBe(true);
+      expect(game.gameOverReason).toBe('garbageOut');
+      
+      game = new Game(mockRenderer, { bufferHeight: 20, garbageTopOut: false });
+      game.board[0][0] = 1;
+      expect(game.checkGarbageTopOut(1)).toBe(false);
+      expect(game.gameOver).toBe(false);
+    });
+
+    test('should add garbage rows with a single hole each', () => {
+      game = new Game(mockRenderer, { seed: 42 });
+      game.board[19][0] = 1;
+      
+      expect(game.addGarbageRows(3)).toBe(true);
+      
+      expect(game.board).toHaveLength(20);
+      expect(game.board[16][0]).toBe(1);
+      game.board.slice(17).forEach((row) => {
+        expect(row.filter(cell => cell === 0)).toHaveLength(1);
+        expect(row.filter(cell => cell === GARBAGE_BLOCK)).toHaveLength(9);
+      });
+    });
+
+    test('should place garbage holes from the seed', () => {
+      const first = new Game(mockRenderer, { seed: 7 });
+      const second = new Game(mockRenderer, { seed: 7 });
+      
+      first.addGarbageRows(5);
+      second.addGarbageRows(5);
+      
+      expect(first.board).toEqual(second.board);
+    });
+
+    test('should push the current tetromino up out of the garbage', () => {
+      game = new Game(mockRenderer);
+      game.currentTetromino = { ...createTetromino('O'), x: 4, y: 18 };
+      
+      game.addGarbageRows(2);
+      
+      expect(game.currentTetromino.y).toBe(16);
+    });
+
+    test('should top out instead of adding garbage that pushes blocks off the board', () => {
+      game = new Game(mockRenderer);
+      game.board[1][0] = 1;
+      
+      expect(game.addGarbageRows(2)).toBe(false);
+      expect(game.gameOverReason).toBe('garbageOut');
+      expect(game.board[1][0]).toBe(1);
+    });
+
+    test('should clear the reason on reset', () => {
+      game.setGameOver(true, 'blockOut');
+      game.reset();
+      
+      expect(game.gameOverReason).toBeNull();
+      expect(game.getGameState().gameOverReason).toBeNull();
+    });
+  });
+
+  describe('Game Phases', () => {
+    /**
+     * 最下段を1マス残して埋め、その穴に1マスのブロックを落とせる状態にする
+     */
+    function prepareSingleClear() {
+      for (let col = 1; col < 10; col++) {
+        game.board[19][col] = 1;
+      }
+      game.board[18][9] = 2;
+      game.currentTetromino = { ...createTetromino('O'), shape: [[1]], x: 0, y: 17 };
+    }
+
+    test('should lock, clear and spawn in the same frame without delays', () => {
+      game = new Game(mockRenderer);
+      game.spawnNewTetromino();
+      prepareSingleClear();
+      
+      game.hardDrop();
+      
+      expect(game.getPhase()).toBe(PHASE_FALLING);
+      expect(game.currentTetromino).not.toBeNull();
+      expect(game.board[19][9]).toBe(2);
+    });
+
+    test('should switch between falling and locking phases', () => {
+      game = new Game(mockRenderer, { lockDelay: 500 });
+      game.update(0);
+      game.dropInterval = 100000;
+      
+      game.update(10);
+      expect(game.getPhase()).toBe(PHASE_FALLING);
+      
+      game.currentTetromino.y = 18;
+      game.currentTetromino.shape = [[1, 1], [1, 1]];
+      game.update(20);
+      expect(game.getPhase()).toBe(PHASE_LOCKING);
+      expect(game.getPhaseProgress()).toBe(0);
+      
+      game.update(270);
+      expect(game.getPhaseProgress()).toBeCloseTo(0.5);
+    });
+
+    test('should wait for the line clear delay before collapsing rows', () => {
+      game = new Game(mockRenderer, { lineClearDelay: 300 });
+      game.update(1000);
+      prepareSingleClear();
+      
+      game.hardDrop();
+      
+      expect(game.getPhase()).toBe(PHASE_LINE_CLEAR);
+      expect(game.currentTetromino).toBeNull();
+      expect(game.clearingLines).toEqual([19]);
+      expect(game.board[19].every(cell => cell === 0)).toBe(true);
+      expect(game.board[18][9]).toBe(2);
+      expect(game.lines).toBe(1); // 得点とライン数は固定時に加算される
+      
+      game.update(1200);
+      expect(game.getPhase()).toBe(PHASE_LINE_CLEAR);
+      expect(game.getPhaseProgress()).toBeCloseTo(2 / 3);
+      
+      game.update(1300);
+      expect(game.board[19][9]).toBe(2);
+      expect(game.clearingLines).toEqual([]);
+      expect(game.getPhase()).toBe(PHASE_FALLING);
+      expect(game.currentTetromino).not.toBeNull();
+    });
+
+    test('should wait for the entry delay before spawning the next piece', () => {
+      game = new Game(mockRenderer, { entryDelay: 100 });
+      game.update(1000);
+      const nextType = game.getNextPieces(1)[0];
+      
+      game.hardDrop();
+      
+      expect(game.getPhase()).toBe(PHASE_ENTRY);
+      expect(game.currentTetromino).toBeNull();
+      
+      game.update(1050);
+      expect(game.currentTetromino).toBeNull();
+      
+      game.update(1100);
+      expect(game.getPhase()).toBe(PHASE_FALLING);
+      expect(game.currentTetromino.type).toBe(nextType);
+    });
+
+    test('should run the entry delay after the line clear delay', () => {
+      game = new Game(mockRenderer, { lineClearDelay: 200, entryDelay: 100 });
+      game.update(0);
+      prepareSingleClear();
+      game.hardDrop();
+      
+      game.update(200);
+      expect(game.getPhase()).toBe(PHASE_ENTRY);
+      expect(game.board[19][9]).toBe(2);
+      
+      game.update(300);
+      expect(game.getPhase()).toBe(PHASE_FALLING);
+    });
+
+    test('should ask the renderer to draw clearing lines', () => {
+      mockRenderer.drawLineClear = jest.fn();
+      game = new Game(mockRenderer, { lineClearDelay: 300 });
+      game.update(0);
+      prepareSingleClear();
+      game.hardDrop();
+      
+      game.render();
+      
+      expect(mockRenderer.drawLineClear).toHaveBeenCalledWith([19], 10, 0);
+    });
+
+    test('should update delays and report the phase in the game state', () => {
+      game = new Game(mockRenderer);
+      game.setPhaseDelays({ lineClearDelay: 400, entryDelay: -1 });
+      
+      expect(game.options.lineClearDelay).toBe(400);
+      expect(game.options.entryDelay).toBe(0);
+      expect(game.getGameState().phase).toBe(PHASE_FALLING);
+    });
+  });
+
+  describe('Initial Rotation and Hold', () => {
+    beforeEach(() => {
+      game = new Game(mockRenderer, { entryDelay: 100, randomizer: 'random', seed: 1 });
+      game.update(0);
+      game.hardDrop();
+    });
+
+    test('should spawn the next piece rotated when rotation was queued', () => {
+      const nextType = game.getNextPieces(1)[0];
+      
+      expect(game.setInitialRotation('right')).toBe(true);
+      game.update(100);
+      
+      expect(game.currentTetromino.type).toBe(nextType);
+      expect(game.currentTetromino.rotation).toBe(1);
+      expect(game.initialRotation).toBeNull();
+    });
+
+    test('should fall back to the default orientation when the rotation collides', () => {
+      game.nextQueue[0] = 'I';
+      // 横向き I の出現位置は空け、縦向き I が通る列をふさぐ
+      game.board[2][5] = 1;
+      
+      game.setInitialRotation('right');
+      game.update(100);
+      
+      expect(game.currentTetromino.type).toBe('I');
+      expect(game.currentTetromino.rotation).toBe(0);
+      expect(game.gameOver).toBe(false);
+    });
+
+    test('should escape a block out by rotating', () => {
+      game.nextQueue[0] = 'I';
+      // 横向き I の出現位置をふさぐ（縦向きなら出現できる）
+      game.board[1][4] = 1;
+      
+      game.setInitialRotation('right');
+      game.update(100);
+      
+      expect(game.gameOver).toBe(false);
+      expect(game.currentTetromino.rotation).toBe(1);
+    });
+
+    test('should hold the spawning piece when hold was queued', () => {
+      const [first, second] = game.getNextPieces(2);
+      
+      expect(game.setInitialHold(true)).toBe(true);
+      game.update(100);
+      
+      expect(game.holdType).toBe(first);
+      expect(game.currentTetromino.type).toBe(second);
+      expect(game.canHold).toBe(false);
+      expect(game.initialHold).toBe(false);
+    });
+
+    test('should swap with the held piece on initial hold', () => {
+      game.holdType = 'O';
+      const nextType = game.getNextPieces(1)[0];
+      
+      game.setInitialHold(true);
+      game.update(100);
+      
+      expect(game.currentTetromino.type).toBe('O');
+      expect(game.holdType).toBe(nextType);
+    });
+
+    test('should apply a rotation key held through the lock and the entry delay', () => {
+      const input = new InputHandler(game);
+      game.update(100);
+      const nextType = game.getNextPieces(1)[0];
+      
+      // 前のテトリミノの操作中に押した回転キーを離さずにハードドロップする
+      input.keyDown('ArrowUp', 100);
+      input.keyDown('Space', 110);
+      game.update(110);
+      game.update(210);
+      
+      expect(game.currentTetromino.type).toBe(nextType);
+      expect(game.currentTetromino.rotation).toBe(1);
+    });
+
+    test('should not carry held rotation and hold keys into a piece spawned without delay', () => {
+      game = new Game(mockRenderer, { entryDelay: 0, randomizer: 'random', seed: 1 });
+      const input = new InputHandler(game);
+      game.update(0);
+      
+      // 回転・ホールドを押したままハードドロップする
+      input.keyDown('ArrowUp', 0);
+      input.keyDown('KeyC', 10);
+      input.keyDown('Space', 20);
+      game.update(20);
+      game.update(30);
+      
+      expect(game.currentTetromino.rotation).toBe(0);
+      expect(game.canHold).toBe(true);
+      expect(game.initialHold).toBe(false);
+    });
+
+    test('should ignore initial inputs while a piece is active or when disabled', () => {
+      game.update(100);
+      expect(game.setInitialRotation('left')).toBe(false);
+      expect(game.setInitialHold(true)).toBe(false);
+      
+      game = new Game(mockRenderer, { irs: false, ihs: false });
+      expect(game.setInitialRotation('left')).toBe(false);
+      expect(game.setInitialHold(true)).toBe(false);
+    });
+  });
+
+  describe('Game Modes', () => {
+    /**
+     * フックを全て jest.fn にしたテスト用モード
+     */
+    class HookedMode extends GameMode {
+      constructor() {
+        super();
+        this.start = jest.fn();
+        this.onTick = jest.fn();
+        this.onLock = jest.fn();
+        this.onLineClear = jest.fn();
+        this.onLevelUp = jest.fn();
+      }
+    }
+
+    /**
+     * 最下段を左2列だけ空けて埋め、O-piece を落とせば1ライン消える状態にする
+     */
+    function prepareSingleLineClear() {
+      for (let col = 2; col < 10; col++) {
+        game.board[19][col] = 1;
+      }
+      game.currentTetromino = { ...createTetromino('O'), x: 0, y: 17 };
+    }
+
+    beforeEach(() => {
+      GAME_MODES.hooked = HookedMode;
+    });
+
+    afterEach(() => {
+      delete GAME_MODES.hooked;
+    });
+
+    test('should use endless mode by default', () => {
+      game = new Game(mockRenderer);
+      
+      expect(game.mode).toBeInstanceOf(EndlessMode);
+      expect(game.getGameState().mode).toBe('endless');
+    });
+
+    test('should call the start, tick, lock and line clear hooks', () => {
+      game = new Game(mockRenderer, { mode: 'hooked' });
+      expect(game.mode.start).toHaveBeenCalledWith(game);
+      
+      game.update(100);
+      expect(game.mode.onTick).toHaveBeenCalledWith(game, 100);
+      
+      prepareSingleLineClear();
+      game.hardDrop();
+      
+      expect(game.mode.onLock).toHaveBeenCalledWith(game, expect.objectContaining({ linesCleared: 1 }));
+      expect(game.mode.onLineClear).toHaveBeenCalledWith(game, expect.objectContaining({ linesCleared: 1, rows: [19] }));
+    });
+
+    test('should call the level up hook', () => {
+      game = new Game(mockRenderer, { mode: 'hooked' });
+      
+      game.addScore(0, 10);
+      
+      expect(game.mode.onLevelUp).toHaveBeenCalledWith(game, 2);
+    });
+
+    test('should end the game as cleared when the goal is reached', () => {
+      game = new Game(mockRenderer, { mode: 'marathon' });
+      const listener = jest.fn();
+      game.on('gameover', listener);
+      game.lines = 149;
+      
+      prepareSingleLineClear();
+      game.hardDrop();
+      
+      expect(game.gameOver).toBe(true);
+      expect(game.cleared).toBe(true);
+      expect(game.gameOverReason).toBe(MODE_END_GOAL);
+      expect(game.currentTetromino).toBeNull();
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ cleared: true, lines: 150 }));
+    });
+
+    test('should end on time up during update', () => {
+      game = new Game(mockRenderer, { mode: 'hooked' });
+      game.mode.goal = { type: GOAL_TIME, target: 1000 };
+      
+      game.update(0);
+      game.update(999);
+      expect(game.gameOver).toBe(false);
+      
+      game.update(1000);
+      expect(game.gameOver).toBe(true);
+      expect(game.gameOverReason).toBe(MODE_END_TIME_UP);
+    });
+
+    test('should not count paused time as play time', () => {
+      game = new Game(mockRenderer);
+      
+      game.update(1000);
+      game.update(1500);
+      game.togglePause();
+      game.update(5000);
+      game.togglePause();
+      game.update(6000);
+      game.update(6100);
+      
+      expect(game.elapsedTime).toBe(600);
+    });
+
+    test('should not count paused time when the paused flag is set directly', () => {
+      game = new Game(mockRenderer);
+      
+      game.update(1000);
+      game.update(1500);
+      game.paused = true;
+      game.update(5000);
+      game.paused = false;
+      game.update(6000);
+      game.update(6100);
+      
+      expect(game.elapsedTime).toBe(600);
+    });
+
+    test('should finish sprint with the split times when 40 lines are cleared', () => {
+      game = new Game(mockRenderer, { mode: 'sprint' });
+      const listener = jest.fn();
+      game.on('gameover', listener);
+      game.lines = 39;
+      game.update(1000);
+      game.update(3500);
+      
+      prepareSingleLineClear();
+      game.hardDrop();
+      
+      expect(game.cleared).toBe(true);
+      expect(game.mode.splits).toEqual([
+        { lines: 10, time: 2500 },
+        { lines: 20, time: 2500 },
+        { lines: 30, time: 2500 },
+        { lines: 40, time: 2500 }
+      ]);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ cleared: true, elapsedTime: 2500 }));
+    });
+
+    test('should include the time up to the finishing input in the sprint time', () => {
+      game = new Game(mockRenderer, { mode: 'sprint' });
+      const input = new InputHandler(game);
+      const listener = jest.fn();
+      game.on('gameover', listener);
+      game.lines = 39;
+      game.update(0);
+      game.update(32);
+      
+      prepareSingleLineClear();
+      input.keyDown('Space', 48);
+      
+      expect(game.cleared).toBe(true);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ cleared: true, elapsedTime: 48 }));
+    });
+
+    test('should apply a new mode from the next reset', () => {
+      game = new Game(mockRenderer);
+      
+      game.setMode('marathon');
+      expect(game.mode).toBeInstanceOf(EndlessMode);
+      
+      game.reset();
+      expect(game.mode).toBeInstanceOf(MarathonMode);
+      expect(() => game.setMode('unknown')).toThrow('Unknown game mode: unknown');
+    });
+
+    test('should start dig with garbage rows and count dug lines', () => {
+      game = new Game(mockRenderer, { mode: 'dig', modeSettings: { garbageRows: 100 }, seed: 3 });
+      
+      expect(game.board.slice(10).every(row => row.includes(GARBAGE_BLOCK))).toBe(true);
+      expect(game.board.slice(0, 10).every(row => row.every(cell => cell === 0))).toBe(true);
+      
+      // 最下段の穴を埋めてせり上がりを1段掘る
+      const hole = game.board[19].indexOf(0);
+      game.board[19][hole] = 1;
+      game.processLineClearing();
+      expect(game.mode.garbageCleared).toBe(1);
+      
+      // 盤面が落ち着いたら消した分を補充する
+      game.update(0);
+      expect(game.board.slice(10).every(row => row.includes(GARBAGE_BLOCK))).toBe(true);
+      expect(game.mode.garbageAdded).toBe(11);
+    });
+
+    test('should raise garbage in survival and top out when the stack is pushed off', () => {
+      game = new Game(mockRenderer, { mode: 'survival' });
+      game.update(0);
+      game.update(9999);
+      expect(game.board[19]).not.toContain(GARBAGE_BLOCK);
+      
+      game.update(10000);
+      expect(game.board[19]).toContain(GARBAGE_BLOCK);
+      
+      game.board[0][0] = 1;
+      game.update(20000);
+      expect(game.gameOver).toBe(true);
+      expect(game.gameOverReason).toBe('garbageOut');
+    });
+
+    test('should line up the survival holes only with the clean pattern', () => {
+      /**
+       * 同じシードでサバイバルを進め、せり上がった行の穴の列を下から順に取得する
+       * @param {string} pattern - 穴の並び方
+       * @returns {number[]} 穴の列
+       */
+      const playSurvival = (pattern) => {
+        game = new Game(mockRenderer, { mode: 'survival', modeSettings: { pattern }, seed: 12345 });
+        game.update(0);
+        for (let row = 1; row <= 4; row++) {
+          game.currentTetromino = null;
+          game.mode.nextGarbageTime = row * 1000;
+          game.update(row * 1000);
+        }
+        return game.board.filter(row => row.includes(GARBAGE_BLOCK)).map(row => row.indexOf(0));
+      };
+      
+      const clean = playSurvival('clean');
+      expect(clean).toHaveLength(4);
+      expect(new Set(clean).size).toBe(1);
+      expect(playSurvival('messy')).not.toEqual(clean);
+    });
+
+    test('should not count lines without garbage as dug lines', () => {
+      game = new Game(mockRenderer, { mode: 'dig' });
+      game.board[9].fill(1);
+      
+      game.processLineClearing();
+      
+      expect(game.lines).toBe(1);
+      expect(game.mode.garbageCleared).toBe(0);
+    });
+
+    test('should apply mode settings from the next reset', () => {
+      game = new Game(mockRenderer);
+      
+      game.setMode('ultra', { timeLimit: 60000 });
+      game.reset();
+      
+      expect(game.mode.goal.target).toBe(60000);
+      expect(game.getGameState().modeSettings).toEqual({ timeLimit: 60000 });
+      expect(() => game.setMode('ultra', { timeLimit: 1000 })).toThrow('Invalid ultra time limit: 1000');
+      expect(game.options.modeSettings).toEqual({ timeLimit: 60000 });
+    });
+
+    test('should grade master by the TGM score of the game', () => {
+      game = new Game(mockRenderer, { mode: 'master', scoring: 'classic' });
+      game.mode.internalLevel = 400;
+      for (let row = 16; row < 20; row++) {
+        game.board[row].fill(1);
+        game.board[row][0] = 0;
+      }
+      const tetromino = createTetromino('I');
+      game.currentTetromino = { ...tetromino, shape: rotateTetromino(tetromino).shape, x: -2, y: 10 };
+      
+      game.hardDrop();
+      
+      // TGM: (ceil((400 + 4) / 4) + 0) × 4 × コンボ 7 × Bravo 4（全消し）
+      expect(game.getGameState().scoring).toBe('tgm');
+      expect(game.score).toBe(101 * 4 * 7 * 4);
+      expect(game.mode.getGrade(game)).toBe('2'); // 11312 点は 8000 以上 12000 未満
+    });
+
+    test('should raise the master level per piece and use its lock delay', () => {
+      game = new Game(mockRenderer, { mode: 'master', lockDelay: 1000 });
+      expect(game.getLockDelay()).toBeCloseTo(500);
+      
+      game.spawnNewTetromino();
+      game.hardDrop();
+      
+      expect(game.mode.internalLevel).toBe(1);
+      expect(game.level).toBe(1);
+      
+      game.mode.internalLevel = 800;
+      expect(game.getLockDelay()).toBeCloseTo(250);
+    });
+
+    test('should not score a move made after the ultra time limit', () => {
+      game = new Game(mockRenderer, { mode: 'ultra', modeSettings: { timeLimit: 60000 } });
+      const input = new InputHandler(game);
+      game.update(0);
+      game.update(59000);
+      
+      input.keyDown('Space', 65000);
+      
+      expect(game.score).toBe(0);
+      expect(game.gameOver).toBe(true);
+      expect(game.gameOverReason).toBe(MODE_END_TIME_UP);
+      expect(game.elapsedTime).toBe(60000);
+    });
+
+    test('should end ultra at exactly the time limit', () => {
+      game = new Game(mockRenderer, { mode: 'ultra', modeSettings: { timeLimit: 60000 } });
+      const listener = jest.fn();
+      game.on('gameover', listener);
+      
+      game.update(1000);
+      game.update(60990);
+      expect(game.gameOver).toBe(false);
+      
+      game.update(61020);
+      expect(game.gameOver).toBe(true);
+      expect(game.gameOverReason).toBe(MODE_END_TIME_UP);
+      expect(listener).toHaveBeenCalledWith(expect.objectContaining({ cleared: true, elapsedTime: 60000 }));
+    });
+  });
+
+  describe('Piece Sets', () => {
+    test('should draw pieces from the selected set', () => {
+      game = new Game(mockRenderer, { pieceSet: 'pentomino' });
+      
+      expect(game.nextQueue.every(type => type in PENTOMINOES)).toBe(true);
+    });
+
+    test('should prefer the piece set of the mode', () => {
+      game = new Game(mockRenderer, { mode: 'kids', pieceSet: 'pentomino' });
+      
+      expect(game.pieceTypes).toEqual(Object.keys(KIDS_PIECES));
+      expect(game.getGameState().pieceSet).toBe('kids');
+    });
+
+    test('should fix registered pieces with their own color value', () => {
+      game = new Game(mockRenderer, { pieceSet: 'pentomino' });
+      game.currentTetromino = { ...createTetromino('X5'), x: 3, y: 17 };
+      
+      game.hardDrop();
+      
+      expect(game.board[19][4]).toBe(getPieceColorValue('X5'));
+    });
+
+    test('should score a 5-line clear with a vertical I5', () => {
+      game = new Game(mockRenderer, { pieceSet: 'pentomino' });
+      for (let row = 15; row < 20; row++) {
+        game.board[row].fill(1);
+        game.board[row][0] = 0;
+      }
+      const tetromino = createTetromino('I5');
+      game.currentTetromino = { ...tetromino, shape: rotateTetromino(tetromino).shape, x: -2, y: 10 };
+      
+      game.hardDrop();
+      
+      expect(game.lines).toBe(5);
+      expect(Number.isFinite(game.score)).toBe(true);
+      expect(game.score).toBeGreaterThanOrEqual(1200 + 2400);
+    });
+
+    test('should widen the board for pieces wider than the board', () => {
+      game = new Game(mockRenderer, { pieceSet: 'pentomino', boardWidth: 4 });
+      
+      expect(game.board[0]).toHaveLength(5);
+      expect(game.placeNewTetromino('I5')).toBe(true);
+      
+      const { shape, x } = game.currentTetromino;
+      shape.forEach(row => row.forEach((cell, col) => {
+        if (cell !== 0) {
+          expect(x + col).toBeGreaterThanOrEqual(0);
+          expect(x + col).toBeLessThan(5);
+        }
+      }));
+      expect(game.gameOver).toBe(false);
+    });
+
+    test('should keep the chosen board width for the next piece set', () => {
+      game = new Game(mockRenderer, { pieceSet: 'pentomino', boardWidth: 4 });
+      
+      game.setPieceSet('tetromino');
+      game.reset();
+      
+      expect(game.options.boardWidth).toBe(4);
+      expect(game.board[0]).toHaveLength(4);
+      expect(game.getGameState().boardWidth).toBe(4);
+    });
+
+    test('should apply a new piece set from the next reset', () => {
+      game = new Game(mockRenderer);
+      
+      game.setPieceSet('kids');
+      game.reset();
+      
+      expect(game.pieceTypes).toEqual(Object.keys(KIDS_PIECES));
+      expect(() => game.setPieceSet('unknown')).toThrow('Unknown piece set: unknown');
+    });
+  });
+
+  describe('Scoring', () => {
+    /**
+     * 1マスのブロックを指定列にハードドロップする
+     * @param {number} x - 落とす列
+     */
+    function dropSingleBlock(x) {
+      game.currentTetromino = { ...createTetromino('O'), shape: [[1]], x, y: 0 };
+      game.hardDrop();
+    }
+
+    beforeEach(() => {
+      game = new Game(mockRenderer);
+      game.spawnNewTetromino();
+    });
+
+    test('should report the score breakdown on the lock event', () => {
+      const listener = jest.fn();
+      game.on('lock', listener);
+      for (let col = 1; col < 10; col++) {
+        game.board[19][col] = 1;
+        game.board[18][col] = 1;
+      }
+      game.board[17][9] = 1;
+
+      dropSingleBlock(0);
+      dropSingleBlock(0);
+
+      const first = listener.mock.calls[0][0].scoring;
+      const second = listener.mock.calls[1][0].scoring;
+      expect(first.points).toEqual({ lineClear: 100, backToBack: 0, combo: 0, perfectClear: 0 });
+      expect(second.combo).toBe(1);
+      expect(second.points.combo).toBe(50);
+      expect(second.total).toBe(150);
+    });
+
+    test('should award a perfect clear bonus when the board is emptied', () => {
+      for (let col = 1; col < 10; col++) {
+        game.board[19][col] = 1;
+      }
+
+      const breakdown = game.processLineClearing();
+      expect(breakdown.perfectClear).toBe(false);
+
+      dropSingleBlock(0);
+
+      expect(game.scoring.totals.perfectClear).toBe(800);
+      expect(game.getGameState().scoreBreakdown.perfectClear).toBe(800);
+    });
+
+    test('should award 1 point per cell of soft drop', () => {
+      game.currentTetromino.y = 0;
+
+      expect(game.softDrop()).toBe(true);
+      expect(game.softDrop()).toBe(true);
+
+      expect(game.score).toBe(2);
+      expect(game.scoring.totals.softDrop).toBe(2);
+    });
+
+    test('should not award points when the soft drop is blocked', () => {
+      game.currentTetromino.y = 18;
+
+      expect(game.softDrop()).toBe(false);
+      expect(game.score).toBe(0);
+    });
+
+    test('should keep the original formula in the classic profile', () => {
+      game = new Game(mockRenderer, { scoring: 'classic' });
+      game.spawnNewTetromino();
+      game.currentTetromino.y = 0;
+      game.softDrop();
+      expect(game.score).toBe(0);
+
+      for (let col = 1; col < 10; col++) {
+        game.board[19][col] = 1;
+      }
+      dropSingleBlock(0);
+
+      // ライン消去 100 + ハードドロップ 19セル × 2（全消しボーナスなし）
+      expect(game.score).toBe(100 + 19 * 2);
+    });
+
+    test('should switch the scoring profile', () => {
+      game.setScoringProfile('classic');
+      expect(game.getGameState().scoring).toBe('classic');
+      expect(() => game.setScoringProfile('unknown')).toThrow('Unknown scoring profile: unknown');
+    });
+  });
+
   describe('Game Loop Integration', () => {
     beforeEach(() => {
       game = new Game(mockRenderer);
@@ -0,0 +1,648 @@
+// ゲームモードのテスト
+import { describe, test, expect } from '@jest/globals';
+import {
+  GameMode,
+  EndlessMode,
+  MarathonMode,
+  KidsMode,
+  SprintMode,
+  UltraMode,
+  DigMode,
+  SurvivalMode,
+  MasterMode,
+  GAME_MODES,
+  MASTER_MAX_LEVEL,
+  MASTER_GRADE_GM,
+  SURVIVAL_START_INTERVAL,
+  SURVIVAL_MIN_INTERVAL,
+  SURVIVAL_CLEAN_HOLE_ROWS,
+  DIG_GARBAGE_ROWS,
+  ULTRA_TIME_LIMITS,
+  createGameMode,
+  formatTime,
+  GOAL_LINES,
+  GOAL_TIME,
+  GOAL_SCORE,
+  MODE_END_GOAL,
+  MODE_END_TIME_UP
+} from '../modes.js';
+
+/**
+ * モードの判定に使う最小限のゲーム状態を作成する
+ * @param {Object} state - 上書きする状態
+ * @returns {Object} ゲーム状態
+ */
+function createGameState(state = {}) {
+  return { lines: 0, score: 0, elapsedTime: 0, ...state };
+}
+
+describe('Game Modes', () => {
+  describe('formatTime()', () => {
+    test('should format minutes, seconds and hundredths', () => {
+      expect(formatTime(0)).toBe('0:00.00');
+      expect(formatTime(65420)).toBe('1:05.42');
+      expect(formatTime(605999)).toBe('10:05.99');
+    });
+
+    test('should treat negative times as zero', () => {
+      expect(formatTime(-100)).toBe('0:00.00');
+    });
+
+    test('should show milliseconds when three fraction digits are requested', () => {
+      expect(formatTime(65423.9, 3)).toBe('1:05.423');
+      expect(formatTime(7, 3)).toBe('0:00.007');
+    });
+  });
+
+  describe('GameMode', () => {
+    test('should never end without a goal', () => {
+      expect(new GameMode().checkEnd(createGameState({ lines: 999 }))).toBeNull();
+    });
+
+    test('should clear when a lines or score goal is reached', () => {
+      const mode = new GameMode();
+      mode.goal = { type: GOAL_SCORE, target: 1000 };
+
+      expect(mode.checkEnd(createGameState({ score: 999 }))).toBeNull();
+      expect(mode.checkEnd(createGameState({ score: 1000 }))).toEqual({ cleared: true, reason: MODE_END_GOAL });
+    });
+
+    test('should end with time up when a time goal is reached', () => {
+      const mode = new GameMode();
+      mode.goal = { type: GOAL_TIME, target: 120000 };
+
+      expect(mode.checkEnd(createGameState({ elapsedTime: 120000 }))).toEqual({ cleared: true, reason: MODE_END_TIME_UP });
+    });
+
+    test('should show the play time and goal on the HUD', () => {
+      const mode = new GameMode();
+      mode.goal = { type: GOAL_TIME, target: 120000 };
+
+      expect(mode.getHudFields(createGameState({ elapsedTime: 30000 }))).toEqual([
+        { label: '時間', value: '0:30.00' },
+        { label: '残り時間', value: '1:30.00' }
+      ]);
+    });
+
+    test('should level up every 10 lines by default', () => {
+      expect(new GameMode().calculateLevel(25, 1)).toBe(3);
+    });
+  });
+
+  describe('Built-in modes', () => {
+    test('should keep endless mode without a goal', () => {
+      expect(new EndlessMode().goal).toBeNull();
+    });
+
+    test('should clear marathon after 150 lines', () => {
+      const mode = new MarathonMode();
+
+      expect(mode.goal).toEqual({ type: GOAL_LINES, target: 150 });
+      expect(mode.checkEnd(createGameState({ lines: 150 }))).toEqual({ cleared: true, reason: MODE_END_GOAL });
+      expect(mode.getHudFields(createGameState({ lines: 42 }))[1]).toEqual({ label: '目標ライン', value: '42 / 150' });
+    });
+
+    test('should clear sprint after 40 lines', () => {
+      const mode = new SprintMode();
+
+      expect(mode.goal).toEqual({ type: GOAL_LINES, target: 40 });
+      expect(mode.checkEnd(createGameState({ lines: 39 }))).toBeNull();
+      expect(mode.checkEnd(createGameState({ lines: 40 }))).toEqual({ cleared: true, reason: MODE_END_GOAL });
+    });
+
+    test('should use the kids piece set in kids mode', () => {
+      expect(new KidsMode().pieceSet).toBe('kids');
+    });
+  });
+
+  describe('SprintMode', () => {
+    test('should record a split time every 10 lines', () => {
+      const mode = new SprintMode();
+      mode.start(createGameState());
+
+      mode.onLock(createGameState({ lines: 9, elapsedTime: 9000 }), {});
+      mode.onLock(createGameState({ lines: 10, elapsedTime: 10500 }), {});
+      expect(mode.splits).toEqual([{ lines: 10, time: 10500 }]);
+
+      // 1回の消去で区切りを2つ超えた場合は両方とも同じ時刻で記録する
+      mode.onLock(createGameState({ lines: 31, elapsedTime: 30000 }), {});
+      expect(mode.splits.map(split => split.lines)).toEqual([10, 20, 30]);
+    });
+
+    test('should not record splits beyond the goal', () => {
+      const mode = new SprintMode();
+      mode.start(createGameState());
+
+      mode.onLock(createGameState({ lines: 43, elapsedTime: 60000 }), {});
+
+      expect(mode.splits.map(split => split.lines)).toEqual([10, 20, 30, 40]);
+    });
+
+    test('should count pieces and calculate pieces per second', () => {
+      const mode = new SprintMode();
+      mode.start(createGameState());
+      for (let i = 0; i < 5; i++) {
+        mode.onLock(createGameState(), {});
+      }
+
+      const game = createGameState({ lines: 4, elapsedTime: 2000 });
+      expect(mode.getPiecesPerSecond(game)).toBe(2.5);
+      expect(mode.getPiecesPerSecond(createGameState())).toBe(0);
+      expect(mode.getResult(game)).toEqual({ time: 2000, pieces: 5, piecesPerSecond: 2.5, splits: [] });
+    });
+
+    test('should reset splits and pieces on start', () => {
+      const mode = new SprintMode();
+      mode.onLock(createGameState({ lines: 10, elapsedTime: 1000 }), {});
+
+      mode.start(createGameState());
+
+      expect(mode.splits).toEqual([]);
+      expect(mode.pieces).toBe(0);
+    });
+
+    test('should show PPS and split times on the HUD', () => {
+      const mode = new SprintMode();
+      mode.start(createGameState());
+      mode.onLock(createGameState({ lines: 10, elapsedTime: 12340 }), {});
+
+      expect(mode.getHudFields(createGameState({ lines: 10, elapsedTime: 20000 }))).toEqual([
+        { label: '時間', value: '0:20.00' },
+        { label: '目標ライン', value: '10 / 40' },
+        { label: 'PPS', value: '0.05' },
+        { label: '10ライン', value: '0:12.34' }
+      ]);
+    });
+
+    test('should use a record key per goal', () => {
+      expect(new SprintMode().recordKey).toBe('sprint40');
+      expect(new SprintMode({ goalLines: 20 }).recordKey).toBe('sprint20');
+    });
+  });
+
+  describe('UltraMode', () => {
+    /**
+     * 'lock' イベントの得点内訳を作成する
+     * @param {number} linesCleared - 消去ライン数
+     * @param {string} tSpin - T-spin の判定結果
+     * @param {number} total - 得点
+     * @returns {Object} 'lock' イベントの情報
+     */
+    function lockEvent(linesCleared, tSpin, total) {
+      return { linesCleared, scoring: { linesCleared, tSpin, total } };
+    }
+
+    test('should end with time up after 2 minutes by default', () => {
+      const mode = new UltraMode();
+
+      expect(mode.goal).toEqual({ type: GOAL_TIME, target: 120000 });
+      expect(mode.checkEnd(createGameState({ elapsedTime: 119999 }))).toBeNull();
+      expect(mode.checkEnd(createGameState({ elapsedTime: 120000 }))).toEqual({ cleared: true, reason: MODE_END_TIME_UP });
+    });
+
+    test('should accept 1, 2, 3 or 5 minute time limits', () => {
+      expect(ULTRA_TIME_LIMITS).toEqual([60000, 120000, 180000, 300000]);
+      ULTRA_TIME_LIMITS.forEach((timeLimit) => {
+        const mode = new UltraMode({ timeLimit });
+        expect(mode.goal.target).toBe(timeLimit);
+        expect(mode.recordKey).toBe(`ultra${timeLimit / 1000}`);
+      });
+      expect(new UltraMode({ timeLimit: 300000 }).description).toBe('5分間でスコアを競う');
+    });
+
+    test('should reject other time limits', () => {
+      expect(() => new UltraMode({ timeLimit: 90000 })).toThrow('Invalid ultra time limit: 90000');
+    });
+
+    test('should not let the play time run past the time limit', () => {
+      const mode = new UltraMode({ timeLimit: 60000 });
+      const game = createGameState({ elapsedTime: 60016 });
+
+      mode.onTick(game, 0);
+
+      expect(game.elapsedTime).toBe(60000);
+    });
+
+    test('should show the remaining time on the HUD', () => {
+      const fields = new UltraMode().getHudFields(createGameState({ elapsedTime: 45000 }));
+
+      expect(fields).toContainEqual({ label: '残り時間', value: '1:15.00' });
+    });
+
+    test('should break the score down by clear type', () => {
+      const mode = new UltraMode();
+      mode.start(createGameState());
+
+      mode.onLock(createGameState(), lockEvent(0, 'none', 0));
+      mode.onLock(createGameState(), lockEvent(1, 'none', 100));
+      mode.onLock(createGameState(), lockEvent(1, 'none', 150));
+      mode.onLock(createGameState(), lockEvent(2, 'none', 300));
+      mode.onLock(createGameState(), lockEvent(3, 'none', 500));
+      mode.onLock(createGameState(), lockEvent(4, 'none', 800));
+      mode.onLock(createGameState(), lockEvent(2, 'full', 1200));
+      mode.onLock(createGameState(), lockEvent(0, 'mini', 100));
+
+      expect(mode.getResult(createGameState({ score: 3300 }))).toEqual({
+        score: 3300,
+        clears: {
+          single: { count: 2, points: 250 },
+          double: { count: 1, points: 300 },
+          triple: { count: 1, points: 500 },
+          tetris: { count: 1, points: 800 },
+          pentris: { count: 0, points: 0 },
+          tSpin: { count: 2, points: 1300 }
+        },
+        otherPoints: 150
+      });
+    });
+
+    test('should reset the breakdown on start', () => {
+      const mode = new UltraMode();
+      mode.onLock(createGameState(), lockEvent(4, 'none', 800));
+
+      mode.start(createGameState());
+
+      expect(mode.getResult(createGameState()).clears.tetris).toEqual({ count: 0, points: 0 });
+    });
+  });
+
+  describe('DigMode', () => {
+    /**
+     * ディグの判定に使うゲームを作成する（せり上がりの追加を記録する）
+     * @param {Object} state - 上書きする状態
+     * @returns {Object} ゲーム
+     */
+    function createDigGame(state = {}) {
+      return createGameState({
+        options: { boardHeight: 20 },
+        clearingLines: [],
+        addedRows: [],
+        addGarbageRows(count) {
+          this.addedRows.push(count);
+          return true;
+        },
+        ...state
+      });
+    }
+
+    test('should fill 10 garbage rows on start', () => {
+      const mode = new DigMode();
+      const game = createDigGame();
+
+      mode.start(game);
+
+      expect(game.addedRows).toEqual([10]);
+      expect(mode.garbageAdded).toBe(10);
+    });
+
+    test('should use at most half of a short board', () => {
+      const mode = new DigMode({ garbageRows: 100 });
+      const game = createDigGame({ options: { boardHeight: 12 } });
+
+      mode.start(game);
+
+      expect(game.addedRows).toEqual([6]);
+    });
+
+    test('should count only garbage lines as progress', () => {
+      const mode = new DigMode();
+      const game = createDigGame();
+      mode.start(game);
+
+      mode.onLineClear(game, { linesCleared: 3, garbageLinesCleared: 1 });
+
+      expect(mode.getGoalProgress(game)).toBe(1);
+      expect(mode.getHudFields(game)).toContainEqual({ label: '掘ったライン', value: '1 / 10' });
+    });
+
+    test('should clear when every garbage line is dug out', () => {
+      const mode = new DigMode({ garbageRows: 18 });
+      const game = createDigGame();
+      mode.start(game);
+
+      mode.onLineClear(game, { garbageLinesCleared: 17 });
+      expect(mode.checkEnd(game)).toBeNull();
+
+      mode.onLineClear(game, { garbageLinesCleared: 1 });
+      expect(mode.checkEnd(game)).toEqual({ cleared: true, reason: MODE_END_GOAL });
+    });
+
+    test('should refill cleared garbage after the line clear finishes', () => {
+      const mode = new DigMode({ garbageRows: 100 });
+      const game = createDigGame({ clearingLines: [18, 19] });
+      mode.start(game);
+
+      mode.onLineClear(game, { garbageLinesCleared: 2 });
+      mode.onTick(game, 0);
+      expect(game.addedRows).toEqual([10]);
+
+      game.clearingLines = [];
+      mode.onTick(game, 0);
+      expect(game.addedRows).toEqual([10, 2]);
+      expect(mode.garbageAdded).toBe(12);
+    });
+
+    test('should not refill beyond the total number of rows', () => {
+      const mode = new DigMode({ garbageRows: 18 });
+      const game = createDigGame();
+      mode.start(game);
+
+      mode.onLineClear(game, { garbageLinesCleared: 4 });
+      mode.onTick(game, 0);
+      mode.onLineClear(game, { garbageLinesCleared: 4 });
+      mode.onTick(game, 0);
+
+      expect(game.addedRows).toEqual([10, 4, 4]);
+
+      mode.onLineClear(game, { garbageLinesCleared: 4 });
+      mode.onTick(game, 0);
+      expect(game.addedRows).toEqual([10, 4, 4]);
+    });
+
+    test('should keep digging forever in endless dig', () => {
+      const mode = new DigMode({ garbageRows: Infinity });
+      const game = createDigGame();
+      mode.start(game);
+
+      mode.onLineClear(game, { garbageLinesCleared: 500 });
+      mode.onTick(game, 0);
+
+      expect(mode.goal).toBeNull();
+      expect(mode.checkEnd(game)).toBeNull();
+      expect(game.addedRows).toEqual([10, 500]);
+      expect(mode.getHudFields(game)).toContainEqual({ label: '掘ったライン', value: '500' });
+    });
+
+    test('should accept 10, 18, 100 rows or endless', () => {
+      expect(DIG_GARBAGE_ROWS).toEqual([10, 18, 100, Infinity]);
+      expect(new DigMode({ garbageRows: 100 }).description).toBe('100段のせり上がりを掘り切る');
+      expect(() => new DigMode({ garbageRows: 5 })).toThrow('Invalid dig garbage rows: 5');
+    });
+  });
+
+  describe('SurvivalMode', () => {
+    /**
+     * サバイバルの判定に使うゲームを作成する（せり上がりの追加を記録する）
+     * @param {Object} state - 上書きする状態
+     * @returns {Object} ゲーム
+     */
+    function createSurvivalGame(state = {}) {
+      return createGameState({
+        clearingLines: [],
+        board: [Array(10).fill(0)],
+        random: () => 0.35,
+        addedRows: [],
+        addGarbageRows(count, pattern, holeColumn) {
+          this.addedRows.push({ count, pattern, holeColumn });
+          return true;
+        },
+        ...state
+      });
+    }
+
+    test('should shorten the garbage interval over time', () => {
+      const mode = new SurvivalMode();
+
+      expect(mode.getGarbageInterval(0)).toBe(SURVIVAL_START_INTERVAL);
+      expect(mode.getGarbageInterval(29999)).toBe(10000);
+      expect(mode.getGarbageInterval(30000)).toBe(9000);
+      expect(mode.getGarbageInterval(90000)).toBe(7000);
+      expect(mode.getGarbageInterval(3600000)).toBe(SURVIVAL_MIN_INTERVAL);
+    });
+
+    test('should push up one garbage row each interval', () => {
+      const mode = new SurvivalMode();
+      const game = createSurvivalGame();
+      mode.start(game);
+
+      game.elapsedTime = 9999;
+      mode.onTick(game, 0);
+      expect(game.addedRows).toEqual([]);
+
+      game.elapsedTime = 10000;
+      mode.onTick(game, 0);
+      expect(game.addedRows).toEqual([{ count: 1, pattern: 'messy', holeColumn: null }]);
+      expect(mode.nextGarbageTime).toBe(20000);
+      expect(mode.garbageAdded).toBe(1);
+    });
+
+    test('should wait until the line clear finishes', () => {
+      const mode = new SurvivalMode({ pattern: 'clean' });
+      const game = createSurvivalGame({ elapsedTime: 10000, clearingLines: [19] });
+      mode.start(game);
+
+      mode.onTick(game, 0);
+      expect(game.addedRows).toEqual([]);
+
+      game.clearingLines = [];
+      mode.onTick(game, 0);
+      expect(game.addedRows).toEqual([{ count: 1, pattern: 'clean', holeColumn: 3 }]);
+    });
+
+    test('should keep the clean hole column across rows and move it occasionally', () => {
+      const values = [0.35, 0.85];
+      const mode = new SurvivalMode({ pattern: 'clean' });
+      const game = createSurvivalGame({ random: () => values.shift() });
+      mode.start(game);
+
+      for (let row = 0; row <= SURVIVAL_CLEAN_HOLE_ROWS; row++) {
+        game.elapsedTime = mode.nextGarbageTime;
+        mode.onTick(game, 0);
+      }
+
+      const holes = game.addedRows.map(({ holeColumn }) => holeColumn);
+      expect(holes.slice(0, SURVIVAL_CLEAN_HOLE_ROWS)).toEqual(Array(SURVIVAL_CLEAN_HOLE_ROWS).fill(3));
+      expect(holes[SURVIVAL_CLEAN_HOLE_ROWS]).toBe(8);
+    });
+
+    test('should schedule faster garbage after speeding up', () => {
+      const mode = new SurvivalMode();
+      const game = createSurvivalGame();
+      mode.start(game);
+      mode.nextGarbageTime = 30000;
+
+      game.elapsedTime = 30000;
+      mode.onTick(game, 0);
+
+      expect(mode.nextGarbageTime).toBe(39000);
+    });
+
+    test('should never end by itself', () => {
+      expect(new SurvivalMode().checkEnd(createSurvivalGame({ elapsedTime: 3600000 }))).toBeNull();
+    });
+
+    test('should show the time until the next garbage on the HUD', () => {
+      const mode = new SurvivalMode();
+      const game = createSurvivalGame({ elapsedTime: 4000 });
+      mode.start(game);
+
+      expect(mode.getHudFields(game)).toContainEqual({ label: '次のせり上がり', value: '0:06.00' });
+    });
+
+    test('should throw for unknown garbage patterns', () => {
+      expect(() => new SurvivalMode({ pattern: 'swiss' })).toThrow('Unknown garbage pattern: swiss');
+    });
+  });
+
+  describe('MasterMode', () => {
+    /**
+     * マスターの判定に使うゲームを作成する（落下速度の更新回数を記録する）
+     * @param {Object} state - 上書きする状態
+     * @returns {Object} ゲーム
+     */
+    function createMasterGame(state = {}) {
+      return createGameState({
+        level: 1,
+        dropIntervalUpdates: 0,
+        updateDropInterval() {
+          this.dropIntervalUpdates++;
+        },
+        ...state
+      });
+    }
+
+    test('should raise the internal level for each piece and each line', () => {
+      const mode = new MasterMode();
+      const game = createMasterGame();
+      mode.start(game);
+
+      mode.onLock(game, { linesCleared: 0 });
+      expect(mode.internalLevel).toBe(1);
+
+      mode.onLock(game, { linesCleared: 4 });
+      expect(mode.internalLevel).toBe(6);
+      expect(game.dropIntervalUpdates).toBe(3);
+    });
+
+    test('should stop at the end of each section until a line is cleared', () => {
+      const mode = new MasterMode();
+      const game = createMasterGame({ elapsedTime: 40000 });
+      mode.start(game);
+      mode.internalLevel = 98;
+
+      mode.onLock(game, { linesCleared: 0 });
+      mode.onLock(game, { linesCleared: 0 });
+      expect(mode.internalLevel).toBe(99);
+      expect(game.level).toBe(1);
+
+      mode.onLock(game, { linesCleared: 1 });
+      expect(mode.internalLevel).toBe(100);
+      expect(game.level).toBe(2);
+      expect(mode.sectionTimes).toEqual([40000]);
+    });
+
+    test('should stop at 998 and end at 999', () => {
+      const mode = new MasterMode();
+      const game = createMasterGame();
+      mode.start(game);
+      mode.internalLevel = 997;
+
+      mode.onLock(game, { linesCleared: 0 });
+      mode.onLock(game, { linesCleared: 0 });
+      expect(mode.internalLevel).toBe(998);
+      expect(mode.checkEnd(game)).toBeNull();
+
+      mode.onLock(game, { linesCleared: 4 });
+      expect(mode.internalLevel).toBe(MASTER_MAX_LEVEL);
+      expect(game.level).toBe(10);
+      expect(mode.checkEnd(game)).toEqual({ cleared: true, reason: MODE_END_GOAL });
+    });
+
+    test('should reach 20G at level 500 and shorten the lock delay in later sections', () => {
+      const mode = new MasterMode();
+      const game = createMasterGame();
+
+      expect(mode.getDropInterval(game)).toBeGreaterThan(1000);
+      expect(mode.getLockDelay(game)).toBeCloseTo(30 * 1000 / 60);
+
+      mode.internalLevel = 500;
+      expect(mode.getDropInterval(game)).toBeCloseTo(1000 / 60 / 20);
+      expect(mode.getLockDelay(game)).toBeCloseTo(26 * 1000 / 60);
+
+      mode.internalLevel = 999;
+      expect(mode.getLockDelay(game)).toBeCloseTo(15 * 1000 / 60);
+    });
+
+    test('should award a grade based on the score', () => {
+      const mode = new MasterMode();
+
+      expect(mode.getGrade(createMasterGame({ score: 0 }))).toBe('9');
+      expect(mode.getGrade(createMasterGame({ score: 12000 }))).toBe('1');
+      expect(mode.getGrade(createMasterGame({ score: 21999 }))).toBe('S1');
+      expect(mode.getGrade(createMasterGame({ score: 150000 }))).toBe('S9');
+    });
+
+    test('should award GM only when the level checkpoints are reached in time', () => {
+      /**
+       * 指定した時刻でレベル 300・500・999 に到達したマスターモードを作成する
+       * @param {number[]} times - 各チェックポイントに到達した時刻
+       * @returns {{mode: MasterMode, game: Object}} モードとゲーム
+       */
+      function playToEnd(times, scores = [20000, 50000, 130000]) {
+        const mode = new MasterMode();
+        const game = createMasterGame();
+        mode.start(game);
+        [299, 499, 998].forEach((level, index) => {
+          mode.internalLevel = level;
+          game.elapsedTime = times[index];
+          game.score = scores[index];
+          mode.onLock(game, { linesCleared: 1 });
+        });
+        return { mode, game };
+      }
+
+      const fast = playToEnd([250000, 440000, 800000]);
+      expect(fast.mode.getGrade(fast.game)).toBe(MASTER_GRADE_GM);
+
+      const slow = playToEnd([250000, 460000, 800000]);
+      expect(slow.mode.getGrade(slow.game)).toBe('S9');
+
+      // 999 で S9 でも 126000 に届かなければ GM にならない
+      const lowScore = playToEnd([250000, 440000, 800000], [20000, 50000, 125000]);
+      expect(lowScore.mode.getGrade(lowScore.game)).toBe('S9');
+
+      const lowCheckpoint = playToEnd([250000, 440000, 800000], [11000, 50000, 130000]);
+      expect(lowCheckpoint.mode.getGrade(lowCheckpoint.game)).toBe('S9');
+    });
+
+    test('should score with the TGM formula at the internal level', () => {
+      const mode = new MasterMode();
+      mode.internalLevel = 400;
+
+      expect(mode.scoringProfile).toBe('tgm');
+      expect(mode.getScoringLevel(createMasterGame({ level: 5 }))).toBe(400);
+    });
+
+    test('should show the internal level, the next stop and the grade on the HUD', () => {
+      const mode = new MasterMode();
+      const game = createMasterGame();
+      mode.start(game);
+      mode.internalLevel = 950;
+
+      expect(mode.getHudFields(game)).toEqual(expect.arrayContaining([
+        { label: 'レベル', value: '950 / 999' },
+        { label: '段位', value: '9' }
+      ]));
+    });
+  });
+
+  describe('createGameMode()', () => {
+    test('should create every registered mode', () => {
+      Object.entries(GAME_MODES).forEach(([name, ModeClass]) => {
+        const mode = createGameMode(name);
+        expect(mode).toBeInstanceOf(ModeClass);
+        expect(mode).toBeInstanceOf(GameMode);
+        expect(mode.name).not.toBe('');
+      });
+    });
+
+    test('should pass the settings to the mode', () => {
+      expect(createGameMode('marathon', { goalLines: 200 }).goal.target).toBe(200);
+      expect(createGameMode('ultra', { timeLimit: 180000 }).goal.target).toBe(180000);
+    });
+
+    test('should throw for unknown mode names', () => {
+      expect(() => createGameMode('unknown')).toThrow('Unknown game mode: unknown');
+    });
+  });
+});
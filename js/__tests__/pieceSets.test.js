@@ -0,0 +1,97 @@
+// ピースセットのテスト
+import { describe, test, expect } from '@jest/globals';
+import { PENTOMINOES, KIDS_PIECES, PIECE_SETS, registerPieceSet, getPieceSet } from '../pieceSets.js';
+import { getPieceDefinition, registerPiece } from '../tetromino.js';
+
+/**
+ * 形状のブロック座標を左上に寄せた文字列にする（向きの比較用）
+ * @param {number[][]} shape - 形状
+ * @returns {string} 正規化した座標の文字列
+ */
+function normalize(shape) {
+  const cells = [];
+  shape.forEach((row, y) => row.forEach((cell, x) => {
+    if (cell !== 0) cells.push([x, y]);
+  }));
+  const minX = Math.min(...cells.map(([x]) => x));
+  const minY = Math.min(...cells.map(([, y]) => y));
+  return cells.map(([x, y]) => `${x - minX},${y - minY}`).sort().join(' ');
+}
+
+describe('Piece Sets', () => {
+  describe('Pentominoes', () => {
+    test('should define the 18 one-sided pentominoes', () => {
+      expect(Object.keys(PENTOMINOES)).toHaveLength(18);
+    });
+
+    test('should register four rotation states of five blocks each', () => {
+      Object.keys(PENTOMINOES).forEach((type) => {
+        const { shapes } = getPieceDefinition(type);
+        expect(shapes).toHaveLength(4);
+        shapes.forEach((shape) => {
+          expect(shape.flat().filter(cell => cell !== 0)).toHaveLength(5);
+        });
+      });
+    });
+
+    test('should not contain two pieces that are rotations of each other', () => {
+      const seen = new Map();
+      Object.keys(PENTOMINOES).forEach((type) => {
+        getPieceDefinition(type).shapes.forEach((shape) => {
+          const key = normalize(shape);
+          expect([undefined, type]).toContain(seen.get(key));
+          seen.set(key, type);
+        });
+      });
+    });
+
+    test('should give each piece its own color', () => {
+      const colors = Object.values(PENTOMINOES).map(({ color }) => color);
+      expect(new Set(colors).size).toBe(colors.length);
+    });
+  });
+
+  describe('Built-in sets', () => {
+    test('should include the standard tetrominoes', () => {
+      expect(getPieceSet('tetromino')).toEqual(['I', 'O', 'T', 'S', 'Z', 'J', 'L']);
+    });
+
+    test('should mix tetrominoes and pentominoes', () => {
+      const mixed = getPieceSet('mixed');
+      expect(mixed).toHaveLength(25);
+      expect(mixed).toEqual(expect.arrayContaining(['T', 'X5']));
+    });
+
+    test('should provide small pieces for kids', () => {
+      expect(getPieceSet('kids')).toEqual(Object.keys(KIDS_PIECES));
+      expect(getPieceDefinition('O1').shapes[0]).toEqual([[1]]);
+    });
+
+    test('should return a copy of the set', () => {
+      getPieceSet('tetromino').push('X5');
+      expect(PIECE_SETS.tetromino).toHaveLength(7);
+    });
+
+    test('should throw for unknown set names', () => {
+      expect(() => getPieceSet('unknown')).toThrow('Unknown piece set: unknown');
+    });
+  });
+
+  describe('registerPieceSet()', () => {
+    test('should register a set of custom pieces', () => {
+      registerPiece('DOT', { color: '#123456', shape: [[1]] });
+      registerPieceSet('dots', ['DOT', 'O']);
+
+      expect(getPieceSet('dots')).toEqual(['DOT', 'O']);
+    });
+
+    test('should reject unregistered pieces', () => {
+      expect(() => registerPieceSet('broken', ['T', 'NOPE'])).toThrow('Unknown piece type: NOPE');
+      expect(PIECE_SETS.broken).toBeUndefined();
+    });
+
+    test('should reject empty sets', () => {
+      expect(() => registerPieceSet('empty', [])).toThrow('Piece set must contain at least one piece: empty');
+    });
+  });
+});
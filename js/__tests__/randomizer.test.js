@@ -0,0 +1,209 @@
+// ランダマイザーのテスト
+import { describe, test, expect } from '@jest/globals';
+import {
+  TETROMINO_TYPES,
+  PureRandomizer,
+  SevenBagRandomizer,
+  HistoryRandomizer,
+  NesRandomizer,
+  RANDOMIZERS,
+  createRandomizer
+} from '../randomizer.js';
+
+/**
+ * 指定した値を順番に返す乱数関数を作成する
+ * @param {number[]} values - 返す値の列（末尾に達したら先頭に戻る）
+ * @returns {Function} 乱数関数
+ */
+function sequenceRandom(values) {
+  let index = 0;
+  return () => values[index++ % values.length];
+}
+
+/**
+ * ランダマイザーから指定数のテトリミノタイプを取り出す
+ * @param {Object} randomizer - ランダマイザー
+ * @param {number} count - 取り出す数
+ * @returns {string[]} テトリミノタイプの配列
+ */
+function draw(randomizer, count) {
+  return Array.from({ length: count }, () => randomizer.next());
+}
+
+/**
+ * 同じタイプの最大出現間隔（ドラウト）を求める
+ * @param {string[]} sequence - テトリミノタイプの配列
+ * @returns {number} 最大間隔
+ */
+function maxDrought(sequence) {
+  const lastSeen = {};
+  let max = 0;
+  sequence.forEach((type, index) => {
+    if (type in lastSeen) {
+      max = Math.max(max, index - lastSeen[type] - 1);
+    }
+    lastSeen[type] = index;
+  });
+  return max;
+}
+
+/**
+ * 直前と同じタイプが続いた割合を求める
+ * @param {string[]} sequence - テトリミノタイプの配列
+ * @returns {number} 連続出現の割合
+ */
+function repeatRate(sequence) {
+  let repeats = 0;
+  for (let i = 1; i < sequence.length; i++) {
+    if (sequence[i] === sequence[i - 1]) repeats++;
+  }
+  return repeats / (sequence.length - 1);
+}
+
+describe('Randomizer', () => {
+  describe('SevenBagRandomizer', () => {
+    test('should deal each of the 7 types exactly once per bag', () => {
+      const sequence = draw(new SevenBagRandomizer(), 700);
+
+      for (let bag = 0; bag < 100; bag++) {
+        const pieces = sequence.slice(bag * 7, bag * 7 + 7);
+        expect([...pieces].sort()).toEqual([...TETROMINO_TYPES].sort());
+      }
+    });
+
+    test('should never leave a gap of more than 12 pieces', () => {
+      const sequence = draw(new SevenBagRandomizer(), 7000);
+      expect(maxDrought(sequence)).toBeLessThanOrEqual(12);
+    });
+
+    test('should shuffle bag with the injected random function', () => {
+      // random() が常に0の場合の Fisher-Yates は決定的な並びになる
+      const sequence = draw(new SevenBagRandomizer(() => 0), 7);
+      expect(sequence).toEqual(['O', 'T', 'S', 'Z', 'J', 'L', 'I']);
+    });
+  });
+
+  describe('PureRandomizer', () => {
+    test('should map random values uniformly to all types', () => {
+      const values = TETROMINO_TYPES.map((_, i) => i / TETROMINO_TYPES.length);
+      const sequence = draw(new PureRandomizer(sequenceRandom(values)), 7);
+      expect(sequence).toEqual(TETROMINO_TYPES);
+    });
+
+    test('should repeat the previous piece about 1 in 7 times', () => {
+      const sequence = draw(new PureRandomizer(), 20000);
+      const rate = repeatRate(sequence);
+      expect(rate).toBeGreaterThan(0.11);
+      expect(rate).toBeLessThan(0.18);
+    });
+  });
+
+  describe('HistoryRandomizer', () => {
+    test('should never start with S, Z or O', () => {
+      for (let i = 0; i < 200; i++) {
+        const first = new HistoryRandomizer().next();
+        expect(['I', 'J', 'L', 'T']).toContain(first);
+      }
+    });
+
+    test('should reroll pieces found in the history up to 4 times', () => {
+      // 初回: I（index 0）、以降 I を4回引いた後の4回目の再抽選で T（index 2/7）
+      const random = sequenceRandom([0, 0, 0, 0, 0, 2 / 7]);
+      const randomizer = new HistoryRandomizer(random);
+
+      expect(randomizer.next()).toBe('I');
+      expect(randomizer.next()).toBe('T');
+    });
+
+    test('should stop after the first draw and 4 rerolls', () => {
+      // 5回とも履歴の I を引いたら、6回目の T は引かずに I を採用する
+      const random = sequenceRandom([0, 0, 0, 0, 0, 0, 2 / 7]);
+      const randomizer = new HistoryRandomizer(random);
+
+      randomizer.next();
+      expect(randomizer.next()).toBe('I');
+      expect(randomizer.next()).toBe('T');
+    });
+
+    test('should accept the last roll when all rolls hit the history', () => {
+      const random = sequenceRandom([0]);
+      const randomizer = new HistoryRandomizer(random);
+
+      randomizer.next();
+      expect(randomizer.next()).toBe('I');
+    });
+
+    test('should produce far fewer repeats and shorter droughts than pure random', () => {
+      const history = draw(new HistoryRandomizer(), 20000);
+      const pure = draw(new PureRandomizer(), 20000);
+
+      expect(repeatRate(history)).toBeLessThan(0.04);
+      expect(maxDrought(history)).toBeLessThan(maxDrought(pure));
+    });
+  });
+
+  describe('NesRandomizer', () => {
+    test('should reroll once when the 8th face is rolled', () => {
+      const random = sequenceRandom([7 / 8, 3 / 7]);
+      expect(new NesRandomizer(random).next()).toBe('S');
+    });
+
+    test('should reroll once when the previous piece is rolled', () => {
+      const random = sequenceRandom([0, 0, 0]);
+      const randomizer = new NesRandomizer(random);
+
+      expect(randomizer.next()).toBe('I');
+      // 再抽選も I の場合はそのまま採用される
+      expect(randomizer.next()).toBe('I');
+    });
+
+    test('should repeat the previous piece about 1 in 28 times', () => {
+      const sequence = draw(new NesRandomizer(), 28000);
+      const rate = repeatRate(sequence);
+      expect(rate).toBeGreaterThan(0.02);
+      expect(rate).toBeLessThan(0.06);
+    });
+  });
+
+  describe('Custom piece types', () => {
+    const types = ['A', 'B', 'C'];
+
+    test('should fill the bag with every given type', () => {
+      const sequence = draw(new SevenBagRandomizer(Math.random, types), 30);
+
+      for (let i = 0; i < 30; i += 3) {
+        expect([...sequence.slice(i, i + 3)].sort()).toEqual(types);
+      }
+    });
+
+    test('should only draw the given types', () => {
+      Object.keys(RANDOMIZERS).forEach((name) => {
+        const sequence = draw(createRandomizer(name, Math.random, types), 200);
+        expect(sequence.every(type => types.includes(type))).toBe(true);
+      });
+    });
+
+    test('should start the history randomizer from the whole set when I, J, L and T are missing', () => {
+      expect(types).toContain(new HistoryRandomizer(Math.random, types).next());
+    });
+  });
+
+  describe('createRandomizer()', () => {
+    test('should create every registered randomizer', () => {
+      Object.entries(RANDOMIZERS).forEach(([name, RandomizerClass]) => {
+        const randomizer = createRandomizer(name);
+        expect(randomizer).toBeInstanceOf(RandomizerClass);
+        expect(TETROMINO_TYPES).toContain(randomizer.next());
+      });
+    });
+
+    test('should pass the random function to the randomizer', () => {
+      const random = () => 0;
+      expect(createRandomizer('random', random).random).toBe(random);
+    });
+
+    test('should throw for unknown randomizer names', () => {
+      expect(() => createRandomizer('unknown')).toThrow('Unknown randomizer: unknown');
+    });
+  });
+});
@@ -0,0 +1,68 @@
+// 自己ベスト記録のテスト
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { RECORD_STORAGE_PREFIX, getBestRecord, submitRecord } from '../records.js';
+
+/**
+ * テスト用のメモリ上の保存先を作成する
+ * @returns {Object} getItem / setItem を持つ保存先
+ */
+function createStorage() {
+  const items = {};
+  return {
+    items,
+    getItem: key => (key in items ? items[key] : null),
+    setItem: (key, value) => { items[key] = String(value); }
+  };
+}
+
+describe('Records', () => {
+  let storage;
+
+  beforeEach(() => {
+    storage = createStorage();
+  });
+
+  test('should return null when there is no record', () => {
+    expect(getBestRecord('sprint40', storage)).toBeNull();
+  });
+
+  test('should save the first record as the best', () => {
+    expect(submitRecord('sprint40', 61234.5, true, storage)).toEqual({ previousBest: null, isNewBest: true });
+    expect(storage.items[RECORD_STORAGE_PREFIX + 'sprint40']).toBe('61234.5');
+    expect(getBestRecord('sprint40', storage)).toBe(61234.5);
+  });
+
+  test('should keep the lower time when lower is better', () => {
+    submitRecord('sprint40', 60000, true, storage);
+
+    expect(submitRecord('sprint40', 65000, true, storage)).toEqual({ previousBest: 60000, isNewBest: false });
+    expect(getBestRecord('sprint40', storage)).toBe(60000);
+
+    expect(submitRecord('sprint40', 55000, true, storage)).toEqual({ previousBest: 60000, isNewBest: true });
+    expect(getBestRecord('sprint40', storage)).toBe(55000);
+  });
+
+  test('should keep the higher value by default', () => {
+    submitRecord('score', 1000, false, storage);
+
+    expect(submitRecord('score', 500, false, storage).isNewBest).toBe(false);
+    expect(submitRecord('score', 1500, false, storage).isNewBest).toBe(true);
+    expect(getBestRecord('score', storage)).toBe(1500);
+  });
+
+  test('should ignore broken saved values', () => {
+    storage.setItem(RECORD_STORAGE_PREFIX + 'sprint40', 'broken');
+
+    expect(getBestRecord('sprint40', storage)).toBeNull();
+  });
+
+  test('should use localStorage by default', () => {
+    localStorage.clear();
+
+    submitRecord('sprint40', 42000, true);
+
+    expect(localStorage.getItem(RECORD_STORAGE_PREFIX + 'sprint40')).toBe('42000');
+    expect(getBestRecord('sprint40')).toBe(42000);
+    localStorage.clear();
+  });
+});
@@ -3,6 +3,9 @@ import { describe, test, expect, beforeEach } from '@jest/globals';
 import { Renderer } from '../renderer.js';
 import { createMockCanvas } from '../utils/mockCanvas.js';
 import { createEmptyBoard } from '../utils/testHelpers.js';
+import { getPieceColorValue } from '../tetromino.js';
+import { PENTOMINOES } from '../pieceSets.js';
+import { GARBAGE_BLOCK } from '../game.js';
 
 describe('Renderer', () => {
   let renderer;
@@ -142,6 +145,120 @@ describe('Renderer', () => {
     });
   });
 
+  describe('Canvas size', () => {
+    test('should resize the canvas to the visible board', () => {
+      renderer.resizeToBoard(12, 30);
+
+      expect(mockCanvas.width).toBe(240);
+      expect(mockCanvas.height).toBe(600);
+    });
+  });
+
+  describe('Hidden rows', () => {
+    test('should not draw blocks inside the hidden buffer', () => {
+      renderer.setHiddenRows(20);
+      const board = createEmptyBoard(10, 40);
+      board[19][0] = 1;
+      board[20][1] = 1;
+
+      renderer.drawBoard(board);
+
+      expect(mockContext.fillRect).toHaveBeenCalledTimes(1);
+      expect(mockContext.fillRect).toHaveBeenCalledWith(20, 0, 20, 20); // [20][1] -> 表示1行目
+    });
+
+    test('should shift tetromino drawing by the hidden rows', () => {
+      renderer.setHiddenRows(2);
+      renderer.drawTetromino({ shape: [[1], [1], [1]], x: 0, y: 1, color: 'red' });
+
+      expect(mockContext.fillRect).toHaveBeenCalledTimes(2);
+      expect(mockContext.fillRect).toHaveBeenCalledWith(0, 0, 20, 20);
+      expect(mockContext.fillRect).toHaveBeenCalledWith(0, 20, 20, 20);
+    });
+  });
+
+  describe('Line clear rendering', () => {
+    test('should draw clearing rows faded by progress', () => {
+      renderer.drawLineClear([19], 10, 0.25);
+
+      expect(mockContext.save).toHaveBeenCalled();
+      expect(mockContext.globalAlpha).toBe(0.75);
+      expect(mockContext.fillRect).toHaveBeenCalledTimes(10);
+      expect(mockContext.fillRect).toHaveBeenCalledWith(180, 380, 20, 20); // (9,19)
+      expect(mockContext.restore).toHaveBeenCalled();
+    });
+
+    test('should skip drawing without rows', () => {
+      renderer.drawLineClear([], 10, 0);
+      expect(mockContext.fillRect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Ghost rendering', () => {
+    test('should render ghost with translucent fill and outline', () => {
+      const tetromino = {
+        shape: [[1, 1], [1, 1]], // O-piece
+        x: 3,
+        y: 18,
+        color: 'yellow'
+      };
+
+      renderer.drawGhostTetromino(tetromino);
+
+      expect(mockContext.save).toHaveBeenCalled();
+      expect(mockContext.globalAlpha).toBe(renderer.ghostAlpha);
+      expect(mockContext.fillRect).toHaveBeenCalledTimes(4);
+      expect(mockContext.strokeRect).toHaveBeenCalledTimes(4);
+      expect(mockContext.strokeRect).toHaveBeenCalledWith(60, 360, 20, 20); // (3,18)
+      expect(mockContext.restore).toHaveBeenCalled();
+    });
+
+    test('should not render ghost blocks in hidden rows', () => {
+      renderer.setHiddenRows(20);
+      renderer.drawGhostTetromino({ shape: [[1], [1]], x: 3, y: 19, color: 'yellow' });
+
+      expect(mockContext.fillRect).toHaveBeenCalledTimes(1);
+      expect(mockContext.strokeRect).toHaveBeenCalledTimes(1);
+      expect(mockContext.strokeRect).toHaveBeenCalledWith(60, 0, 20, 20); // (3,20) -> 表示1行目
+    });
+
+    test('should handle null ghost gracefully', () => {
+      expect(() => renderer.drawGhostTetromino(null)).not.toThrow();
+      expect(mockContext.fillRect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('Preview rendering', () => {
+    test('should center piece blocks horizontally in the preview slot', () => {
+      mockCanvas.width = 100;
+      const tetromino = {
+        shape: [[0,0,0,0], [1,1,1,1], [0,0,0,0], [0,0,0,0]], // I-piece
+        color: 'cyan'
+      };
+
+      renderer.drawPiecePreview(tetromino);
+
+      expect(mockContext.fillRect).toHaveBeenCalledTimes(4);
+      expect(mockContext.fillRect).toHaveBeenCalledWith(10, 20, 20, 20);
+      expect(mockContext.fillRect).toHaveBeenCalledWith(70, 20, 20, 20);
+    });
+
+    test('should offset piece by slot index', () => {
+      mockCanvas.width = 100;
+      const tetromino = { shape: [[1, 1], [1, 1]], color: 'yellow' };
+
+      renderer.drawPiecePreview(tetromino, 2);
+
+      // 枠の高さは3ブロック（60px）
+      expect(mockContext.fillRect).toHaveBeenCalledWith(30, 130, 20, 20);
+    });
+
+    test('should handle null preview gracefully', () => {
+      expect(() => renderer.drawPiecePreview(null)).not.toThrow();
+      expect(mockContext.fillRect).not.toHaveBeenCalled();
+    });
+  });
+
   describe('Canvas operations', () => {
     test('should clear canvas correctly', () => {
       renderer.clear();
@@ -168,5 +285,14 @@ describe('Renderer', () => {
       expect(renderer.getBlockColor(-1)).toBe('transparent');
       expect(renderer.getBlockColor(999)).toBe('#FFFFFF'); // デフォルト白
     });
+
+    test('should draw garbage blocks grey', () => {
+      expect(renderer.getBlockColor(GARBAGE_BLOCK)).toBe('#808080');
+    });
+
+    test('should use the color of registered pieces', () => {
+      const value = getPieceColorValue('X5');
+      expect(renderer.getBlockColor(value)).toBe(PENTOMINOES.X5.color);
+    });
   });
 });
@@ -0,0 +1,55 @@
+// シード付き乱数生成のテスト
+import { describe, test, expect } from '@jest/globals';
+import { createSeededRandom, generateSeed } from '../rng.js';
+
+describe('Seeded Random', () => {
+  test('should produce identical sequences for the same seed', () => {
+    const a = createSeededRandom(12345);
+    const b = createSeededRandom(12345);
+
+    for (let i = 0; i < 100; i++) {
+      expect(a()).toBe(b());
+    }
+  });
+
+  test('should produce different sequences for different seeds', () => {
+    const a = createSeededRandom(1);
+    const b = createSeededRandom(2);
+    const sequenceA = Array.from({ length: 10 }, () => a());
+    const sequenceB = Array.from({ length: 10 }, () => b());
+
+    expect(sequenceA).not.toEqual(sequenceB);
+  });
+
+  test('should return values in the range [0, 1)', () => {
+    const random = createSeededRandom(42);
+
+    for (let i = 0; i < 10000; i++) {
+      const value = random();
+      expect(value).toBeGreaterThanOrEqual(0);
+      expect(value).toBeLessThan(1);
+    }
+  });
+
+  test('should distribute values roughly uniformly', () => {
+    const random = createSeededRandom(2024);
+    const buckets = Array(10).fill(0);
+
+    for (let i = 0; i < 10000; i++) {
+      buckets[Math.floor(random() * 10)]++;
+    }
+
+    buckets.forEach(count => {
+      expect(count).toBeGreaterThan(900);
+      expect(count).toBeLessThan(1100);
+    });
+  });
+
+  test('should generate 32-bit unsigned integer seeds', () => {
+    const seed = generateSeed();
+
+    expect(Number.isInteger(seed)).toBe(true);
+    expect(seed).toBeGreaterThanOrEqual(0);
+    expect(seed).toBeLessThan(0x100000000);
+  });
+});
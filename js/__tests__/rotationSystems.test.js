@@ -0,0 +1,102 @@
+// 回転システムのテスト
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { ROTATION_SYSTEMS, getRotationSystem } from '../rotationSystems.js';
+import { TETROMINOS, createTetromino, rotateTetromino, rotateWithKicks } from '../tetromino.js';
+import { createEmptyBoard } from '../game.js';
+
+describe('Rotation Systems', () => {
+  let board;
+
+  beforeEach(() => {
+    board = createEmptyBoard();
+  });
+
+  describe('Definitions', () => {
+    test('should define four states of four blocks for every piece', () => {
+      Object.values(ROTATION_SYSTEMS).forEach((system) => {
+        Object.keys(TETROMINOS).forEach((type) => {
+          expect(system.shapes[type]).toHaveLength(4);
+          system.shapes[type].forEach((shape) => {
+            expect(shape.flat().filter(cell => cell !== 0)).toHaveLength(4);
+          });
+        });
+      });
+    });
+
+    test('should use the standard shapes for SRS', () => {
+      expect(ROTATION_SYSTEMS.srs.shapes.T).toBe(TETROMINOS.T.shapes);
+      expect(ROTATION_SYSTEMS.srs.tSpins).toBe(true);
+    });
+
+    test('should get a system by name', () => {
+      expect(getRotationSystem('ars')).toBe(ROTATION_SYSTEMS.ars);
+    });
+
+    test('should throw for unknown system names', () => {
+      expect(() => getRotationSystem('unknown')).toThrow('Unknown rotation system: unknown');
+    });
+  });
+
+  describe('ARS', () => {
+    const ars = ROTATION_SYSTEMS.ars;
+
+    test('should spawn T flat side up', () => {
+      const tetromino = createTetromino('T', ars);
+
+      expect(tetromino.rotation).toBe(0);
+      expect(tetromino.shape).toEqual([[0, 0, 0], [1, 1, 1], [0, 1, 0]]);
+    });
+
+    test('should kick one column right off the left wall', () => {
+      // 右向きの突起が左壁に接した T-piece を右回転すると、左端のブロックが壁に埋まる
+      const tetromino = { ...createTetromino('T', ars), rotation: 3, shape: ars.shapes.T[3], x: -1, y: 5 };
+
+      const result = rotateWithKicks(board, tetromino, 'right', ars);
+
+      expect(result.kickIndex).toBe(1);
+      expect(result.tetromino.rotation).toBe(0);
+      expect(result.tetromino.x).toBe(0);
+    });
+
+    test('should not kick when the first blocked cell is in the center column', () => {
+      const tetromino = { ...createTetromino('T', ars), x: 4, y: 5 };
+      // 回転後の中央列の一番上に当たるブロック
+      board[5][5] = 1;
+
+      expect(rotateWithKicks(board, tetromino, 'right', ars)).toBeNull();
+    });
+
+    test('should not kick the I-piece', () => {
+      const tetromino = { ...createTetromino('I', ars), rotation: 1, shape: ars.shapes.I[1], x: -2, y: 5 };
+
+      expect(rotateWithKicks(board, tetromino, 'right', ars)).toBeNull();
+    });
+  });
+
+  describe('NES', () => {
+    const nes = ROTATION_SYSTEMS.nes;
+
+    test('should rotate S around the center into the right-hand column', () => {
+      const rotated = rotateTetromino(createTetromino('S', nes), 'right', nes);
+
+      expect(rotated.shape).toEqual([[0, 1, 0], [0, 1, 1], [0, 0, 1]]);
+    });
+
+    test('should not kick off walls', () => {
+      const tetromino = { ...createTetromino('T', nes), rotation: 3, shape: nes.shapes.T[3], x: -1, y: 5 };
+
+      expect(rotateWithKicks(board, tetromino, 'right', nes)).toBeNull();
+    });
+  });
+
+  describe('Sega', () => {
+    const sega = ROTATION_SYSTEMS.sega;
+
+    test('should share the ARS shapes without kicks', () => {
+      const tetromino = { ...createTetromino('T', sega), rotation: 3, shape: sega.shapes.T[3], x: -1, y: 5 };
+
+      expect(sega.shapes).toBe(ROTATION_SYSTEMS.ars.shapes);
+      expect(rotateWithKicks(board, tetromino, 'right', sega)).toBeNull();
+    });
+  });
+});
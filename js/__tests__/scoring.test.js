@@ -0,0 +1,216 @@
+// スコアシステムのテスト
+import { describe, test, expect, beforeEach } from '@jest/globals';
+import { ScoringSystem, SCORING_PROFILES, describeClear } from '../scoring.js';
+
+describe('ScoringSystem', () => {
+  let scoring;
+
+  beforeEach(() => {
+    scoring = new ScoringSystem();
+  });
+
+  describe('Initialization', () => {
+    test('should use the guideline profile by default', () => {
+      expect(scoring.profileName).toBe('guideline');
+      expect(scoring.profile).toBe(SCORING_PROFILES.guideline);
+      expect(scoring.combo).toBe(-1);
+      expect(scoring.backToBack).toBe(false);
+    });
+
+    test('should throw for unknown profile names', () => {
+      expect(() => new ScoringSystem('unknown')).toThrow('Unknown scoring profile: unknown');
+    });
+  });
+
+  describe('Combo', () => {
+    test('should add 50 × combo × level for consecutive clearing locks', () => {
+      const first = scoring.scoreLock({ linesCleared: 1, level: 2 });
+      const second = scoring.scoreLock({ linesCleared: 1, level: 2 });
+      const third = scoring.scoreLock({ linesCleared: 2, level: 2 });
+
+      expect(first.combo).toBe(0);
+      expect(first.points.combo).toBe(0);
+      expect(second.combo).toBe(1);
+      expect(second.points.combo).toBe(100);
+      expect(third.combo).toBe(2);
+      expect(third.points.combo).toBe(200);
+    });
+
+    test('should reset the combo on a lock without line clears', () => {
+      scoring.scoreLock({ linesCleared: 1, level: 1 });
+      scoring.scoreLock({ linesCleared: 1, level: 1 });
+      scoring.scoreLock({ linesCleared: 0, level: 1 });
+
+      expect(scoring.combo).toBe(-1);
+      expect(scoring.scoreLock({ linesCleared: 1, level: 1 }).points.combo).toBe(0);
+    });
+  });
+
+  describe('Back-to-Back', () => {
+    test('should multiply consecutive Tetrises by 1.5', () => {
+      const first = scoring.scoreLock({ linesCleared: 4, level: 1 });
+      scoring.scoreLock({ linesCleared: 0, level: 1 });
+      const second = scoring.scoreLock({ linesCleared: 4, level: 1 });
+
+      expect(first.backToBack).toBe(false);
+      expect(second.backToBack).toBe(true);
+      expect(second.points.lineClear).toBe(800);
+      expect(second.points.backToBack).toBe(400);
+    });
+
+    test('should chain T-spin clears and Tetrises', () => {
+      scoring.scoreLock({ linesCleared: 4, level: 1 });
+      const tSpin = scoring.scoreLock({ linesCleared: 2, tSpin: 'full', level: 1 });
+
+      expect(tSpin.backToBack).toBe(true);
+      expect(tSpin.points.backToBack).toBe(600);
+    });
+
+    test('should break the chain on a normal line clear', () => {
+      scoring.scoreLock({ linesCleared: 4, level: 1 });
+      scoring.scoreLock({ linesCleared: 1, level: 1 });
+      const tetris = scoring.scoreLock({ linesCleared: 4, level: 1 });
+
+      expect(tetris.backToBack).toBe(false);
+    });
+
+    test('should keep the chain through a T-spin without lines', () => {
+      scoring.scoreLock({ linesCleared: 4, level: 1 });
+      scoring.scoreLock({ linesCleared: 0, tSpin: 'full', level: 1 });
+      const tetris = scoring.scoreLock({ linesCleared: 4, level: 1 });
+
+      expect(tetris.backToBack).toBe(true);
+    });
+  });
+
+  describe('Perfect Clear', () => {
+    test('should award the bonus by number of lines × level', () => {
+      expect(scoring.scoreLock({ linesCleared: 1, level: 1, perfectClear: true }).points.perfectClear).toBe(800);
+      scoring = new ScoringSystem();
+      expect(scoring.scoreLock({ linesCleared: 4, level: 2, perfectClear: true }).points.perfectClear).toBe(4000);
+    });
+
+    test('should award the bonus for a 5-line pentomino clear', () => {
+      const breakdown = scoring.scoreLock({ linesCleared: 5, level: 1, perfectClear: true });
+
+      expect(breakdown.points.lineClear).toBe(1200);
+      expect(breakdown.points.perfectClear).toBe(2400);
+      expect(Number.isFinite(breakdown.total)).toBe(true);
+    });
+
+    test('should award 3200 for a Back-to-Back Tetris perfect clear', () => {
+      scoring.scoreLock({ linesCleared: 4, level: 1 });
+      const breakdown = scoring.scoreLock({ linesCleared: 4, level: 1, perfectClear: true });
+
+      expect(breakdown.perfectClear).toBe(true);
+      expect(breakdown.points.perfectClear).toBe(3200);
+    });
+  });
+
+  describe('Totals', () => {
+    test('should accumulate points by source', () => {
+      scoring.scoreLock({ linesCleared: 1, level: 1 });
+      scoring.scoreLock({ linesCleared: 1, level: 1 });
+      scoring.scoreSoftDrop(3);
+      scoring.scoreHardDrop(10);
+
+      expect(scoring.totals).toEqual({
+        lineClear: 200,
+        backToBack: 0,
+        combo: 50,
+        perfectClear: 0,
+        softDrop: 3,
+        hardDrop: 20
+      });
+    });
+
+    test('should sum the breakdown into total', () => {
+      scoring.scoreLock({ linesCleared: 4, level: 1 });
+      const breakdown = scoring.scoreLock({ linesCleared: 4, level: 1, perfectClear: true });
+
+      expect(breakdown.total).toBe(800 + 400 + 50 + 3200);
+    });
+  });
+
+  describe('Classic profile', () => {
+    beforeEach(() => {
+      scoring = new ScoringSystem('classic');
+    });
+
+    test('should only award the line clear table', () => {
+      scoring.scoreLock({ linesCleared: 4, level: 1 });
+      const breakdown = scoring.scoreLock({ linesCleared: 4, level: 1, perfectClear: true });
+
+      expect(breakdown.points).toEqual({ lineClear: 800, backToBack: 0, combo: 0, perfectClear: 0 });
+      expect(breakdown.total).toBe(800);
+    });
+
+    test('should ignore T-spins', () => {
+      const breakdown = scoring.scoreLock({ linesCleared: 0, tSpin: 'full', level: 1 });
+
+      expect(breakdown.tSpin).toBe('none');
+      expect(breakdown.total).toBe(0);
+    });
+
+    test('should not award soft drop points but keep hard drop points', () => {
+      expect(scoring.scoreSoftDrop(5)).toBe(0);
+      expect(scoring.scoreHardDrop(5)).toBe(10);
+    });
+  });
+});
+
+describe('TGM profile', () => {
+  let scoring;
+
+  beforeEach(() => {
+    scoring = new ScoringSystem('tgm');
+  });
+
+  test('should score (ceil((level + lines) / 4) + soft) × lines × combo', () => {
+    // コンボ 1 + (4 × 2 - 2) = 7
+    expect(scoring.scoreLock({ linesCleared: 4, level: 400 }).total).toBe(101 * 4 * 7);
+  });
+
+  test('should add soft dropped cells and keep the combo while lines are cleared', () => {
+    scoring.scoreLock({ linesCleared: 2, level: 0 });   // コンボ 3
+    scoring.scoreSoftDrop(5);
+    const breakdown = scoring.scoreLock({ linesCleared: 1, level: 10 });
+
+    expect(breakdown.total).toBe((3 + 5) * 1 * 3);
+    expect(scoring.scoreLock({ linesCleared: 0, level: 10 }).total).toBe(0);
+    expect(scoring.scoreLock({ linesCleared: 1, level: 10 }).total).toBe(3);
+  });
+
+  test('should multiply a perfect clear by 4 and give no drop points', () => {
+    const breakdown = scoring.scoreLock({ linesCleared: 1, level: 0, perfectClear: true });
+
+    expect(breakdown.perfectClear).toBe(true);
+    expect(breakdown.total).toBe(4);
+    expect(scoring.scoreSoftDrop(5)).toBe(0);
+    expect(scoring.scoreHardDrop(5)).toBe(0);
+  });
+});
+
+describe('describeClear()', () => {
+  test('should name plain line clears', () => {
+    expect(describeClear({ linesCleared: 4, tSpin: 'none', backToBack: false, combo: 0, perfectClear: false })).toBe('Tetris');
+  });
+
+  test('should name 5-line pentomino clears', () => {
+    expect(describeClear({ linesCleared: 5, tSpin: 'none', backToBack: false, combo: 0, perfectClear: false })).toBe('Pentris');
+  });
+
+  test('should combine all notable parts', () => {
+    const text = describeClear({ linesCleared: 2, tSpin: 'full', backToBack: true, combo: 2, perfectClear: true });
+    expect(text).toBe('Back-to-Back T-Spin Double 2 Combo Perfect Clear');
+  });
+
+  test('should name T-spins without lines', () => {
+    expect(describeClear({ linesCleared: 0, tSpin: 'mini', backToBack: false, combo: 0, perfectClear: false })).toBe('T-Spin Mini');
+  });
+
+  test('should return an empty string when nothing was cleared', () => {
+    expect(describeClear({ linesCleared: 0, tSpin: 'none', backToBack: false, combo: 0, perfectClear: false })).toBe('');
+    expect(describeClear(null)).toBe('');
+  });
+});
@@ -1,6 +1,7 @@
 // テトリミノシステムのテスト
 import { describe, test, expect, beforeEach } from '@jest/globals';
-import { TETROMINOS, createTetromino, moveTetromino } from '../tetromino.js';
+import { TETROMINOS, createRotations, registerPiece, getPieceDefinition, getPieceColorValue, getCustomPieceColor, createTetromino, moveTetromino, rotateTetromino, rotateWithKicks, getKickTests, SRS_KICKS_I, SRS_KICKS_JLSTZ, SRS_KICKS_180, SRS_KICKS_I_180 } from '../tetromino.js';
+import { createEmptyBoard } from '../game.js';
 
 describe('Tetromino System', () => {
   describe('Shape definitions', () => {
@@ -51,7 +52,7 @@ describe('Tetromino System', () => {
       expect(tetromino.type).toBe('I');
       expect(tetromino.shape).toEqual(TETROMINOS['I'].shapes[0]);
       expect(tetromino.color).toBe('cyan');
-      expect(tetromino.x).toBe(4); // 中央配置
+      expect(tetromino.x).toBe(3); // 中央配置
       expect(tetromino.y).toBe(0); // 上部配置
       expect(tetromino.rotation).toBe(0);
     });
@@ -63,6 +64,46 @@ describe('Tetromino System', () => {
     });
   });
 
+  describe('Custom pieces', () => {
+    test('should create clockwise rotation states from one shape', () => {
+      const rotations = createRotations([[1, 1, 1], [0, 1, 0], [0, 0, 0]]);
+
+      expect(rotations[1]).toEqual([[0, 0, 1], [0, 1, 1], [0, 0, 1]]);
+      expect(rotations[2]).toEqual([[0, 0, 0], [0, 1, 0], [1, 1, 1]]);
+      expect(rotations[3]).toEqual([[1, 0, 0], [1, 1, 0], [1, 0, 0]]);
+    });
+
+    test('should keep the standard tetromino color values', () => {
+      expect(['I', 'O', 'T', 'S', 'Z', 'J', 'L'].map(getPieceColorValue)).toEqual([1, 2, 3, 4, 5, 6, 7]);
+    });
+
+    test('should register a piece with its own color value', () => {
+      const piece = registerPiece('BAR', { color: '#abcdef', shape: [[0, 0, 0], [1, 1, 1], [0, 0, 0]] });
+
+      expect(getPieceDefinition('BAR')).toBe(piece);
+      expect(piece.shapes).toHaveLength(4);
+      expect(getPieceColorValue('BAR')).toBeGreaterThan(7);
+      expect(getCustomPieceColor(getPieceColorValue('BAR'))).toBe('#abcdef');
+      expect(getCustomPieceColor(3)).toBeNull();
+    });
+
+    test('should reject duplicate or shapeless pieces', () => {
+      expect(() => registerPiece('T', { color: 'red', shape: [[1]] })).toThrow('Piece already registered: T');
+      expect(() => registerPiece('EMPTY', { color: 'red' })).toThrow('Piece shape is required: EMPTY');
+    });
+
+    test('should create and rotate registered pieces', () => {
+      registerPiece('HOOK', { color: '#00aa00', shape: [[1, 0], [1, 1]] });
+
+      const piece = createTetromino('HOOK');
+      const rotated = rotateTetromino(piece, 'right');
+
+      expect(piece.color).toBe('#00aa00');
+      expect(piece.x).toBe(4);
+      expect(rotated.shape).toEqual([[1, 1], [1, 0]]);
+    });
+  });
+
   describe('Tetromino movement', () => {
     let tetromino;
 
@@ -105,4 +146,143 @@ describe('Tetromino System', () => {
       expect(moved.y).toBe(tetromino.y);
     });
   });
+
+  describe('SRS wall kicks', () => {
+    let board;
+
+    beforeEach(() => {
+      board = createEmptyBoard();
+    });
+
+    test('should rotate without kick in open space', () => {
+      const tetromino = { ...createTetromino('T'), x: 4, y: 5 };
+
+      const result = rotateWithKicks(board, tetromino, 'right');
+
+      expect(result.kickIndex).toBe(0);
+      expect(result.tetromino.rotation).toBe(1);
+      expect(result.tetromino.x).toBe(4);
+      expect(result.tetromino.y).toBe(5);
+    });
+
+    test('should kick T-piece away from the left wall', () => {
+      // 右向き状態で左壁に接している T-piece
+      const tetromino = { ...rotateTetromino(createTetromino('T'), 'right'), x: -1, y: 5 };
+
+      const result = rotateWithKicks(board, tetromino, 'right');
+
+      // R>2 の2番目のテスト (+1, 0) が採用される
+      expect(result.kickIndex).toBe(1);
+      expect(result.tetromino.rotation).toBe(2);
+      expect(result.tetromino.x).toBe(0);
+      expect(result.tetromino.y).toBe(5);
+    });
+
+    test('should use the I-piece kick table against the right wall', () => {
+      // 縦向き（R）で右壁に接している I-piece
+      const tetromino = { ...rotateTetromino(createTetromino('I'), 'right'), x: 7, y: 5 };
+
+      const result = rotateWithKicks(board, tetromino, 'left');
+
+      // R>0 の2番目のテストは (+2, 0) で壁外、3番目の (-1, 0) が採用される
+      expect(result.kickIndex).toBe(2);
+      expect(result.tetromino.rotation).toBe(0);
+      expect(result.tetromino.x).toBe(6);
+    });
+
+    test('should apply upward kicks in board coordinates', () => {
+      // 0>R の4番目のテスト (0, -2) はボード上で2段下への移動になる
+      const tetromino = { ...createTetromino('T'), x: 4, y: 5 };
+      board[5][5] = 1;   // 回転後の中央上をふさぐ
+      board[6][4] = 1;   // 左へのキックを防ぐ
+      board[7][4] = 1;
+
+      const result = rotateWithKicks(board, tetromino, 'right');
+
+      expect(result).not.toBeNull();
+      expect(result.tetromino.y).toBe(5 - SRS_KICKS_JLSTZ['0>1'][result.kickIndex][1]);
+    });
+
+    test('should return null when every kick collides', () => {
+      const tetromino = { ...createTetromino('I'), x: 3, y: 10 };
+      for (let row = 0; row < 20; row++) {
+        for (let col = 0; col < 10; col++) {
+          if (row !== 11 || col < 3 || col > 6) {
+            board[row][col] = 1;
+          }
+        }
+      }
+
+      expect(rotateWithKicks(board, tetromino, 'right')).toBeNull();
+    });
+
+    test('should not modify the original tetromino', () => {
+      const tetromino = { ...createTetromino('T'), x: 4, y: 5 };
+
+      rotateWithKicks(board, tetromino, 'right');
+
+      expect(tetromino.rotation).toBe(0);
+      expect(tetromino.x).toBe(4);
+    });
+
+    test('should provide 5 kick tests for every rotation of J, L, S, T, Z and I', () => {
+      ['J', 'L', 'S', 'T', 'Z', 'I'].forEach(type => {
+        for (let from = 0; from < 4; from++) {
+          expect(getKickTests(type, from, (from + 1) % 4)).toHaveLength(5);
+          expect(getKickTests(type, from, (from + 3) % 4)).toHaveLength(5);
+        }
+      });
+      expect(getKickTests('I', 0, 1)).toBe(SRS_KICKS_I['0>1']);
+    });
+
+    test('should not kick the O-piece', () => {
+      expect(getKickTests('O', 0, 1)).toEqual([[0, 0]]);
+    });
+  });
+
+  describe('180-degree rotation', () => {
+    let board;
+
+    beforeEach(() => {
+      board = createEmptyBoard();
+    });
+
+    test('should rotate two states at once', () => {
+      const tetromino = createTetromino('T');
+
+      expect(rotateTetromino(tetromino, '180').rotation).toBe(2);
+      expect(rotateTetromino(rotateTetromino(tetromino, 'right'), '180').rotation).toBe(3);
+      expect(rotateTetromino(tetromino, '180').shape).toEqual(TETROMINOS.T.shapes[2]);
+    });
+
+    test('should use the dedicated 180 kick tables', () => {
+      expect(getKickTests('T', 0, 2)).toBe(SRS_KICKS_180['0>2']);
+      expect(getKickTests('L', 3, 1)).toBe(SRS_KICKS_180['3>1']);
+      expect(getKickTests('I', 1, 3)).toBe(SRS_KICKS_I_180['1>3']);
+      // 0>3 と 3>0 は90度回転
+      expect(getKickTests('T', 3, 0)).toBe(SRS_KICKS_JLSTZ['3>0']);
+    });
+
+    test('should rotate without kick in open space', () => {
+      const tetromino = { ...createTetromino('T'), x: 4, y: 5 };
+
+      const result = rotateWithKicks(board, tetromino, '180');
+
+      expect(result.kickIndex).toBe(0);
+      expect(result.tetromino.rotation).toBe(2);
+      expect(result.tetromino.x).toBe(4);
+      expect(result.tetromino.y).toBe(5);
+    });
+
+    test('should kick up off the floor', () => {
+      // 上向きの T-piece が床に接した状態で180度回転すると、下向きの突起が床に埋まる
+      const tetromino = { ...createTetromino('T'), x: 4, y: 18 };
+
+      const result = rotateWithKicks(board, tetromino, '180');
+
+      // 0>2 の2番目のテスト (0, +1) で1段上に蹴り上げる
+      expect(result.kickIndex).toBe(1);
+      expect(result.tetromino.y).toBe(17);
+    });
+  });
 });
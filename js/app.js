@@ -4,9 +4,43 @@
  * ブラウザ環境でのゲーム実行とUI統合を担当
  */
 
-import { Game } from './main.js';
+import { Game, DEFAULT_GAME_OPTIONS } from './main.js';
+import { BUFFER_HEIGHT, clampBoardSize, TOP_OUT_BLOCK_OUT, TOP_OUT_LOCK_OUT, TOP_OUT_PARTIAL_LOCK_OUT, TOP_OUT_GARBAGE } from './game.js';
 import { Renderer } from './renderer.js';
-import { rotateTetromino } from './tetromino.js';
+import { InputHandler } from './input.js';
+import { describeClear } from './scoring.js';
+import { createTetromino } from './tetromino.js';
+import { GAME_MODES, createGameMode, formatTime, SprintMode, UltraMode, MODE_END_GOAL, MODE_END_TIME_UP } from './modes.js';
+import { submitRecord } from './records.js';
+
+// ゲームオーバー画面に表示するトップアウトの原因
+const TOP_OUT_LABELS = {
+    [TOP_OUT_BLOCK_OUT]: 'ブロックアウト（出現位置が塞がれました）',
+    [TOP_OUT_LOCK_OUT]: 'ロックアウト（画面外で固定されました）',
+    [TOP_OUT_PARTIAL_LOCK_OUT]: 'パーシャルロックアウト（一部が画面外で固定されました）',
+    [TOP_OUT_GARBAGE]: 'せり上がりで押し出されました'
+};
+
+// ゲーム終了画面に表示するモードの終了理由
+const MODE_END_LABELS = {
+    [MODE_END_GOAL]: '目標を達成しました',
+    [MODE_END_TIME_UP]: 'タイムアップ'
+};
+
+// ウルトラの結果画面に表示する消去の種類
+const CLEAR_TYPE_LABELS = {
+    single: 'シングル',
+    double: 'ダブル',
+    triple: 'トリプル',
+    tetris: 'テトリス',
+    pentris: 'ペントリス',
+    tSpin: 'T-Spin'
+};
+
+// ゲーム画面の Canvas の最大サイズ（ピクセル）とブロックの最大サイズ
+const MAX_BOARD_CANVAS_WIDTH = 400;
+const MAX_BOARD_CANVAS_HEIGHT = 800;
+const MAX_BLOCK_SIZE = 40;
 
 /**
  * TetrisApp クラス - ブラウザ環境でのゲーム実行を管理
@@ -15,17 +49,51 @@ class TetrisApp {
     constructor() {
         this.game = null;
         this.renderer = null;
+        this.holdRenderer = null;
+        this.nextRenderer = null;
+        this.input = null;
         this.isRunning = false;
         this.animationId = null;
+        this.isMenuOpen = false;
+        this.modeHudText = '';
+        this.modeResult = null;     // スプリント・ウルトラを終えた時の記録（結果画面用）
         
         // DOM要素の参照
         this.canvas = null;
+        this.holdCanvas = null;
+        this.nextCanvas = null;
         this.scoreElement = null;
+        this.actionTextElement = null;
         this.levelElement = null;
         this.linesElement = null;
         this.statusElement = null;
+        this.modeNameElement = null;
+        this.modeHudElement = null;
+        this.startMenu = null;
+        this.modeButtons = null;
+        this.ultraTimeLimitSelect = null;
+        this.digGarbageRowsSelect = null;
+        this.survivalPatternSelect = null;
         this.pauseBtn = null;
         this.restartBtn = null;
+        this.menuBtn = null;
+        this.ghostToggle = null;
+        this.previewCountSelect = null;
+        this.randomizerSelect = null;
+        this.pieceSetSelect = null;
+        this.scoringSelect = null;
+        this.gravitySelect = null;
+        this.rotationSystemSelect = null;
+        this.startLevelInput = null;
+        this.boardWidthInput = null;
+        this.boardHeightInput = null;
+        this.seedInput = null;
+        this.dasInput = null;
+        this.arrInput = null;
+        this.sdfSelect = null;
+        this.rotate180KeySelect = null;
+        this.lineClearDelayInput = null;
+        this.entryDelayInput = null;
         
         console.log('TetrisApp initialized');
     }
@@ -37,22 +105,80 @@ class TetrisApp {
         try {
             // DOM要素の取得
             this.canvas = document.getElementById('gameCanvas');
+            this.holdCanvas = document.getElementById('holdCanvas');
+            this.nextCanvas = document.getElementById('nextCanvas');
             this.scoreElement = document.getElementById('score');
+            this.actionTextElement = document.getElementById('actionText');
             this.levelElement = document.getElementById('level');
             this.linesElement = document.getElementById('lines');
             this.statusElement = document.getElementById('gameStatus');
+            this.modeNameElement = document.getElementById('modeName');
+            this.modeHudElement = document.getElementById('modeHud');
+            this.startMenu = document.getElementById('startMenu');
+            this.modeButtons = document.getElementById('modeButtons');
+            this.ultraTimeLimitSelect = document.getElementById('ultraTimeLimitSelect');
+            this.digGarbageRowsSelect = document.getElementById('digGarbageRowsSelect');
+            this.survivalPatternSelect = document.getElementById('survivalPatternSelect');
             this.pauseBtn = document.getElementById('pauseBtn');
             this.restartBtn = document.getElementById('restartBtn');
+            this.menuBtn = document.getElementById('menuBtn');
+            this.ghostToggle = document.getElementById('ghostToggle');
+            this.previewCountSelect = document.getElementById('previewCountSelect');
+            this.randomizerSelect = document.getElementById('randomizerSelect');
+            this.pieceSetSelect = document.getElementById('pieceSetSelect');
+            this.scoringSelect = document.getElementById('scoringSelect');
+            this.gravitySelect = document.getElementById('gravitySelect');
+            this.rotationSystemSelect = document.getElementById('rotationSystemSelect');
+            this.startLevelInput = document.getElementById('startLevelInput');
+            this.boardWidthInput = document.getElementById('boardWidthInput');
+            this.boardHeightInput = document.getElementById('boardHeightInput');
+            this.seedInput = document.getElementById('seedInput');
+            this.dasInput = document.getElementById('dasInput');
+            this.arrInput = document.getElementById('arrInput');
+            this.sdfSelect = document.getElementById('sdfSelect');
+            this.rotate180KeySelect = document.getElementById('rotate180KeySelect');
+            this.lineClearDelayInput = document.getElementById('lineClearDelayInput');
+            this.entryDelayInput = document.getElementById('entryDelayInput');
 
             if (!this.canvas) {
                 throw new Error('Canvas element not found');
             }
 
-            // Rendererの初期化
-            this.renderer = new Renderer(this.canvas);
+            // Rendererの初期化（ボードサイズに合わせたブロックサイズで描画する）
+            const boardSize = this.getBoardSizeSetting();
+            this.renderer = new Renderer(this.canvas, this.getBlockSize(boardSize.width, boardSize.height));
             
-            // Gameの初期化
-            this.game = new Game(this.renderer);
+            // ホールド・ネクスト枠用のRenderer（Canvasが無い場合は描画しない）
+            if (this.holdCanvas) {
+                this.holdRenderer = new Renderer(this.holdCanvas);
+            }
+            if (this.nextCanvas) {
+                this.nextRenderer = new Renderer(this.nextCanvas);
+            }
+            
+            // Gameの初期化（設定パネルの値を反映）
+            this.game = new Game(this.renderer, {
+                showGhost: this.ghostToggle ? this.ghostToggle.checked : true,
+                previewCount: this.previewCountSelect ? Number(this.previewCountSelect.value) : DEFAULT_GAME_OPTIONS.previewCount,
+                randomizer: this.randomizerSelect ? this.randomizerSelect.value : DEFAULT_GAME_OPTIONS.randomizer,
+                pieceSet: this.pieceSetSelect ? this.pieceSetSelect.value : DEFAULT_GAME_OPTIONS.pieceSet,
+                scoring: this.scoringSelect ? this.scoringSelect.value : DEFAULT_GAME_OPTIONS.scoring,
+                gravity: this.gravitySelect ? this.gravitySelect.value : DEFAULT_GAME_OPTIONS.gravity,
+                rotationSystem: this.rotationSystemSelect ? this.rotationSystemSelect.value : DEFAULT_GAME_OPTIONS.rotationSystem,
+                startLevel: this.getStartLevelSetting(),
+                boardWidth: boardSize.width,
+                boardHeight: boardSize.height,
+                seed: this.getSeedSetting(),
+                bufferHeight: BUFFER_HEIGHT
+            });
+            
+            // キー入力（DAS/ARR）の初期化
+            this.input = new InputHandler(this.game);
+            this.applyInputSettings();
+            this.applyPhaseDelays();
+            if (this.rotate180KeySelect) {
+                this.input.setBinding('rotate180', [this.rotate180KeySelect.value]);
+            }
             
             // イベントリスナーの設定
             this.setupEventListeners();
@@ -60,13 +186,15 @@ class TetrisApp {
             // UIの初期更新
             this.updateUI();
             
-            // 最初のテトリミノを生成
-            this.game.spawnNewTetromino();
-            
             console.log('TetrisApp initialized successfully');
             
-            // ゲーム開始
-            this.start();
+            // スタートメニューでモードを選ぶとゲームが始まる（メニューが無い場合はそのまま開始）
+            if (this.startMenu) {
+                this.showStartMenu();
+            } else {
+                this.game.spawnNewTetromino();
+                this.start();
+            }
             
         } catch (error) {
             console.error('Failed to initialize TetrisApp:', error);
@@ -83,6 +211,10 @@ class TetrisApp {
             this.handleKeyDown(event);
         });
 
+        document.addEventListener('keyup', (event) => {
+            this.handleKeyUp(event);
+        });
+
         // ボタンイベント
         if (this.pauseBtn) {
             this.pauseBtn.addEventListener('click', () => {
@@ -96,8 +228,145 @@ class TetrisApp {
             });
         }
 
+        if (this.menuBtn) {
+            this.menuBtn.addEventListener('click', () => {
+                this.showStartMenu();
+            });
+        }
+
+        // スタートメニューのモードボタン
+        this.renderModeButtons();
+
+        // ウルトラの制限時間・ディグの段数・サバイバルの穴の並びを変えたらボタンの説明も合わせる
+        [this.ultraTimeLimitSelect, this.digGarbageRowsSelect, this.survivalPatternSelect].forEach((element) => {
+            if (element) {
+                element.addEventListener('change', (event) => {
+                    this.renderModeButtons();
+                    event.target.blur();
+                });
+            }
+        });
+
+        // 設定パネルのイベント
+        if (this.ghostToggle) {
+            this.ghostToggle.addEventListener('change', (event) => {
+                this.game.setGhostEnabled(event.target.checked);
+                // キー操作がチェックボックスに奪われないようにフォーカスを外す
+                event.target.blur();
+            });
+        }
+
+        if (this.previewCountSelect) {
+            this.previewCountSelect.addEventListener('change', (event) => {
+                this.game.setPreviewCount(Number(event.target.value));
+                event.target.blur();
+            });
+        }
+
+        if (this.randomizerSelect) {
+            this.randomizerSelect.addEventListener('change', (event) => {
+                this.game.setRandomizer(event.target.value);
+                event.target.blur();
+            });
+        }
+
+        // ピースセットは次のリスタートから反映される
+        if (this.pieceSetSelect) {
+            this.pieceSetSelect.addEventListener('change', (event) => {
+                this.game.setPieceSet(event.target.value);
+                event.target.blur();
+            });
+        }
+
+        if (this.scoringSelect) {
+            this.scoringSelect.addEventListener('change', (event) => {
+                this.game.setScoringProfile(event.target.value);
+                event.target.blur();
+            });
+        }
+
+        // 固定時の消去名（T-Spin・コンボ・全消しなど）を表示
+        this.game.on('lock', ({ scoring }) => {
+            this.showActionText(describeClear(scoring));
+        });
+
+        // スプリントのタイム・ウルトラのスコアを自己ベストと比べて保存する
+        this.game.on('gameover', ({ cleared, elapsedTime, score }) => {
+            const { mode } = this.game;
+            this.modeResult = null;
+            if (!cleared) {
+                return;
+            }
+            if (mode instanceof SprintMode) {
+                this.modeResult = { ...mode.getResult(this.game), ...submitRecord(mode.recordKey, elapsedTime, true) };
+            } else if (mode instanceof UltraMode) {
+                this.modeResult = { ...mode.getResult(this.game), ...submitRecord(mode.recordKey, score) };
+            }
+        });
+
+        if (this.gravitySelect) {
+            this.gravitySelect.addEventListener('change', (event) => {
+                this.game.setGravityCurve(event.target.value);
+                event.target.blur();
+            });
+        }
+
+        // 開始レベルは次のリスタートから反映される
+        if (this.startLevelInput) {
+            this.startLevelInput.addEventListener('change', (event) => {
+                this.game.setStartLevel(this.getStartLevelSetting());
+                event.target.blur();
+            });
+        }
+
+        // 回転システムは次のリスタートから反映される
+        if (this.rotationSystemSelect) {
+            this.rotationSystemSelect.addEventListener('change', (event) => {
+                this.game.setRotationSystem(event.target.value);
+                event.target.blur();
+            });
+        }
+
+        // ボードサイズは次のリスタートから反映される
+        [this.boardWidthInput, this.boardHeightInput].forEach((element) => {
+            if (element) {
+                element.addEventListener('change', (event) => {
+                    const { width, height } = this.getBoardSizeSetting();
+                    this.game.setBoardSize(width, height);
+                    event.target.blur();
+                });
+            }
+        });
+
+        [this.dasInput, this.arrInput, this.sdfSelect].forEach((element) => {
+            if (element) {
+                element.addEventListener('change', (event) => {
+                    this.applyInputSettings();
+                    event.target.blur();
+                });
+            }
+        });
+
+        if (this.rotate180KeySelect) {
+            this.rotate180KeySelect.addEventListener('change', (event) => {
+                this.input.setBinding('rotate180', [event.target.value]);
+                event.target.blur();
+            });
+        }
+
+        [this.lineClearDelayInput, this.entryDelayInput].forEach((element) => {
+            if (element) {
+                element.addEventListener('change', (event) => {
+                    this.applyPhaseDelays();
+                    event.target.blur();
+                });
+            }
+        });
+
         // ウィンドウフォーカスイベント
         window.addEventListener('blur', () => {
+            // フォーカス外でキーを離しても keyup が届かないため押下状態を解除
+            this.input.releaseAll();
             if (this.isRunning && !this.game.paused) {
                 this.togglePause();
             }
@@ -110,118 +379,76 @@ class TetrisApp {
      * キーボード入力を処理する
      */
     handleKeyDown(event) {
-        if (!this.game || this.game.gameOver) {
+        if (!this.game || this.game.gameOver || this.isMenuOpen) {
             return;
         }
 
-        // デフォルトの動作を防ぐ
-        if (['ArrowLeft', 'ArrowRight', 'ArrowDown', 'ArrowUp', 'Space'].includes(event.code)) {
+        // ゲーム操作に割り当てられたキーはブラウザの既定動作（スクロール等）を防ぐ
+        const isGameKey = this.input.getAction(event.code) !== null;
+        if (isGameKey) {
             event.preventDefault();
         }
 
+        // OS のキーリピートは無視し、リピートは InputHandler の DAS/ARR で処理する
+        if (event.repeat) {
+            return;
+        }
+
         switch (event.code) {
-            case 'ArrowLeft':
-                this.moveLeft();
-                break;
-            case 'ArrowRight':
-                this.moveRight();
-                break;
-            case 'ArrowDown':
-                this.softDrop();
-                break;
-            case 'ArrowUp':
-            case 'KeyX':
-                this.rotateRight();
-                break;
-            case 'KeyZ':
-                this.rotateLeft();
-                break;
-            case 'Space':
-                this.hardDrop();
-                break;
             case 'KeyP':
                 this.togglePause();
                 break;
             case 'KeyR':
                 this.restart();
                 break;
+            default:
+                this.input.keyDown(event.code, performance.now());
+                break;
         }
     }
 
     /**
-     * テトリミノを左に移動
+     * キーを離した時の処理
      */
-    moveLeft() {
-        if (this.game.currentTetromino && !this.game.paused) {
-            const tetromino = this.game.currentTetromino;
-            const newX = tetromino.x - 1;
-            
-            // 衝突判定
-            if (!this.game.checkCollision(this.game.board, tetromino.shape, newX, tetromino.y)) {
-                tetromino.x = newX;
-            }
+    handleKeyUp(event) {
+        if (!this.input) {
+            return;
         }
-    }
 
-    /**
-     * テトリミノを右に移動
-     */
-    moveRight() {
-        if (this.game.currentTetromino && !this.game.paused) {
-            const tetromino = this.game.currentTetromino;
-            const newX = tetromino.x + 1;
-            
-            // 衝突判定
-            if (!this.game.checkCollision(this.game.board, tetromino.shape, newX, tetromino.y)) {
-                tetromino.x = newX;
-            }
-        }
+        this.input.keyUp(event.code, performance.now());
     }
 
     /**
-     * ソフトドロップ
+     * 設定パネルの入力値を InputHandler に反映する
      */
-    softDrop() {
-        if (this.game.currentTetromino && !this.game.paused) {
-            this.game.dropCurrentTetromino();
-        }
-    }
+    applyInputSettings() {
+        const readNumber = (element) => {
+            if (!element) return undefined;
+            const value = Number(element.value);
+            return Number.isNaN(value) ? undefined : value;
+        };
 
-    /**
-     * 右回転
-     */
-    rotateRight() {
-        if (this.game.currentTetromino && !this.game.paused) {
-            const rotatedTetromino = rotateTetromino(this.game.currentTetromino, 'right');
-            
-            // 衝突判定
-            if (!this.game.checkCollision(this.game.board, rotatedTetromino.shape, rotatedTetromino.x, rotatedTetromino.y)) {
-                this.game.currentTetromino.rotation = rotatedTetromino.rotation;
-                this.game.currentTetromino.shape = rotatedTetromino.shape;
-            }
-        }
+        this.input.setSettings({
+            das: readNumber(this.dasInput),
+            arr: readNumber(this.arrInput),
+            softDropFactor: readNumber(this.sdfSelect)
+        });
     }
 
     /**
-     * 左回転
+     * 設定パネルのライン消去待ち・出現待ち（ARE）を Game に反映する
      */
-    rotateLeft() {
-        if (this.game.currentTetromino && !this.game.paused) {
-            const rotatedTetromino = rotateTetromino(this.game.currentTetromino, 'left');
-            
-            // 衝突判定
-            if (!this.game.checkCollision(this.game.board, rotatedTetromino.shape, rotatedTetromino.x, rotatedTetromino.y)) {
-                this.game.currentTetromino.rotation = rotatedTetromino.rotation;
-                this.game.currentTetromino.shape = rotatedTetromino.shape;
-            }
-        }
-    }
+    applyPhaseDelays() {
+        const readNumber = (element) => {
+            if (!element) return undefined;
+            const value = Number(element.value);
+            return Number.isNaN(value) ? undefined : value;
+        };
 
-    /**
-     * ハードドロップ（未実装 - フェーズ2で実装予定）
-     */
-    hardDrop() {
-        console.log('Hard drop - Coming in Phase 2');
+        this.game.setPhaseDelays({
+            lineClearDelay: readNumber(this.lineClearDelayInput),
+            entryDelay: readNumber(this.entryDelayInput)
+        });
     }
 
     /**
@@ -239,7 +466,13 @@ class TetrisApp {
      */
     restart() {
         if (this.game) {
-            this.game.reset();
+            // ボードサイズが変わった場合に備えてブロックサイズを合わせ直す
+            const { boardWidth, boardHeight } = this.game.options;
+            this.renderer.setBlockSize(this.getBlockSize(boardWidth, boardHeight));
+            
+            // シード欄の値で新しいゲームを開始（空欄ならランダム）
+            this.modeResult = null;
+            this.game.reset(this.getSeedSetting());
             this.game.spawnNewTetromino();
             this.updateUI();
             
@@ -249,6 +482,126 @@ class TetrisApp {
         }
     }
 
+    /**
+     * スタートメニューを表示する（プレイ中のゲームは止める）
+     */
+    showStartMenu() {
+        this.stop();
+        this.input.releaseAll();
+        this.isMenuOpen = true;
+        if (this.startMenu) {
+            this.startMenu.classList.remove('hidden');
+        }
+    }
+
+    /**
+     * スタートメニューのモードボタンを作成する
+     */
+    renderModeButtons() {
+        if (!this.modeButtons) return;
+
+        this.modeButtons.innerHTML = '';
+        Object.keys(GAME_MODES).forEach((modeName) => {
+            const mode = createGameMode(modeName, this.getModeSettings(modeName));
+            const button = document.createElement('button');
+            button.className = 'mode-btn';
+            button.dataset.mode = modeName;
+            button.innerHTML = `<strong>${mode.name}</strong><span>${mode.description}</span>`;
+            button.addEventListener('click', () => {
+                this.startMode(modeName);
+            });
+            this.modeButtons.appendChild(button);
+        });
+    }
+
+    /**
+     * スタートメニューで選んだモードの設定を取得する
+     * 
+     * @param {string} modeName - モード名（GAME_MODES のキー）
+     * @returns {Object} モードの設定（設定項目の無いモードは空）
+     */
+    getModeSettings(modeName) {
+        if (modeName === 'ultra' && this.ultraTimeLimitSelect) {
+            return { timeLimit: Number(this.ultraTimeLimitSelect.value) };
+        }
+        if (modeName === 'dig' && this.digGarbageRowsSelect) {
+            // 'Infinity'（エンドレス）も Number で Infinity になる
+            return { garbageRows: Number(this.digGarbageRowsSelect.value) };
+        }
+        if (modeName === 'survival' && this.survivalPatternSelect) {
+            return { pattern: this.survivalPatternSelect.value };
+        }
+        return {};
+    }
+
+    /**
+     * 選んだモードで新しいゲームを開始する
+     * 
+     * @param {string} modeName - モード名（GAME_MODES のキー）
+     */
+    startMode(modeName) {
+        this.game.setMode(modeName, this.getModeSettings(modeName));
+        this.isMenuOpen = false;
+        if (this.startMenu) {
+            this.startMenu.classList.add('hidden');
+        }
+        this.restart();
+    }
+
+    /**
+     * シード欄に入力された値を取得する
+     * 
+     * @returns {number|null} シード値（空欄または不正な値の場合は null）
+     */
+    getSeedSetting() {
+        if (!this.seedInput) return null;
+
+        const value = this.seedInput.value.trim();
+        if (value === '' || !/^\d+$/.test(value)) {
+            return null;
+        }
+        return Number(value) >>> 0;
+    }
+
+    /**
+     * 開始レベル欄に入力された値を取得する
+     * 
+     * @returns {number} 開始レベル（空欄または不正な値の場合は 1）
+     */
+    getStartLevelSetting() {
+        if (!this.startLevelInput) return DEFAULT_GAME_OPTIONS.startLevel;
+
+        const level = parseInt(this.startLevelInput.value, 10);
+        return Number.isNaN(level) || level < 1 ? 1 : level;
+    }
+
+    /**
+     * ボードサイズ欄に入力された値を取得する
+     * 
+     * @returns {{width: number, height: number}} 設定可能な範囲に丸めたボードサイズ
+     */
+    getBoardSizeSetting() {
+        return clampBoardSize(
+            this.boardWidthInput ? this.boardWidthInput.value : DEFAULT_GAME_OPTIONS.boardWidth,
+            this.boardHeightInput ? this.boardHeightInput.value : DEFAULT_GAME_OPTIONS.boardHeight
+        );
+    }
+
+    /**
+     * ボードが Canvas の最大サイズに収まるブロックサイズを求める
+     * 
+     * @param {number} width - ボードの幅
+     * @param {number} height - 表示領域の高さ
+     * @returns {number} ブロックサイズ（ピクセル）
+     */
+    getBlockSize(width, height) {
+        return Math.min(
+            MAX_BLOCK_SIZE,
+            Math.floor(MAX_BOARD_CANVAS_WIDTH / width),
+            Math.floor(MAX_BOARD_CANVAS_HEIGHT / height)
+        );
+    }
+
     /**
      * ゲームを開始
      */
@@ -281,11 +634,15 @@ class TetrisApp {
         }
 
         try {
-            // ゲーム状態の更新
-            this.game.update(performance.now());
+            // キーリピートとゲーム状態の更新
+            const now = performance.now();
+            this.input.update(now);
+            this.game.update(now);
             
             // 描画
             this.game.render();
+            this.renderHold();
+            this.renderNext();
             
             // UIの更新
             this.updateUI();
@@ -300,6 +657,47 @@ class TetrisApp {
         }
     }
 
+    /**
+     * ホールド枠を描画する
+     */
+    renderHold() {
+        if (!this.holdRenderer) return;
+
+        this.holdRenderer.clear();
+        if (this.game.holdType) {
+            // ホールド不可の間は薄く表示
+            const alpha = this.game.canHold ? 1 : 0.4;
+            this.holdRenderer.drawPiecePreview(createTetromino(this.game.holdType, this.game.rotationSystem), 0, alpha);
+        }
+    }
+
+    /**
+     * ネクスト枠を描画する
+     */
+    renderNext() {
+        if (!this.nextRenderer) return;
+
+        this.nextRenderer.clear();
+        this.game.getNextPieces().forEach((type, index) => {
+            this.nextRenderer.drawPiecePreview(createTetromino(type, this.game.rotationSystem), index);
+        });
+    }
+
+    /**
+     * 消去名をスコア欄の下に一定時間表示する
+     * 
+     * @param {string} text - 表示するテキスト（空文字の場合は何もしない）
+     */
+    showActionText(text) {
+        if (!this.actionTextElement || !text) return;
+
+        this.actionTextElement.textContent = text;
+        clearTimeout(this.actionTextTimer);
+        this.actionTextTimer = setTimeout(() => {
+            this.actionTextElement.textContent = '';
+        }, 1500);
+    }
+
     /**
      * UIを更新する
      */
@@ -328,9 +726,35 @@ class TetrisApp {
             this.linesElement.textContent = this.game.lines.toString();
         }
 
+        // モード名と、モードが表示する項目（時間・目標など）を更新
+        if (this.modeNameElement) {
+            this.modeNameElement.textContent = this.game.mode.name;
+        }
+        if (this.modeHudElement) {
+            const fields = this.game.mode.getHudFields(this.game);
+            const text = fields.map(({ label, value }) => `${label}:${value}`).join('|');
+            // 毎フレーム DOM を作り直さないよう、内容が変わった時だけ更新
+            if (text !== this.modeHudText) {
+                this.modeHudText = text;
+                this.modeHudElement.innerHTML = fields
+                    .map(({ label, value }) => `<dt>${label}</dt><dd>${value}</dd>`)
+                    .join('');
+            }
+        }
+
         // ゲーム状態更新
         if (this.statusElement) {
-            if (this.game.gameOver) {
+            if (this.game.gameOver && this.game.cleared) {
+                this.statusElement.textContent = 'クリア';
+                this.statusElement.className = 'status-cleared';
+                if (this.modeResult && this.game.mode instanceof UltraMode) {
+                    this.showUltraResult();
+                } else if (this.modeResult) {
+                    this.showSprintResult();
+                } else {
+                    this.showGameOver();
+                }
+            } else if (this.game.gameOver) {
                 this.statusElement.textContent = 'ゲームオーバー';
                 this.statusElement.className = 'status-gameover';
                 this.showGameOver();
@@ -351,29 +775,24 @@ class TetrisApp {
     }
 
     /**
-     * ゲームオーバー画面を表示
+     * ゲーム終了時のオーバーレイを表示する
+     * 
+     * @param {string} className - メッセージ部分のクラス名
+     * @param {string} html - メッセージ部分の内容
      */
-    showGameOver() {
+    showResultOverlay(className, html) {
         // 既存のオーバーレイを削除
         const existingOverlay = document.querySelector('.game-over-overlay');
         if (existingOverlay) {
             existingOverlay.remove();
         }
 
-        // ゲームオーバーオーバーレイを作成
         const overlay = document.createElement('div');
         overlay.className = 'game-over-overlay';
         
         const message = document.createElement('div');
-        message.className = 'game-over-message';
-        message.innerHTML = `
-            <h2>🎮 ゲームオーバー</h2>
-            <p>最終スコア: ${this.game.score}</p>
-            <p>レベル: ${this.game.level}</p>
-            <p>消去ライン: ${this.game.lines}</p>
-            <br>
-            <p>Rキーまたはリスタートボタンで再開</p>
-        `;
+        message.className = className;
+        message.innerHTML = html;
         
         overlay.appendChild(message);
         document.body.appendChild(overlay);
@@ -386,6 +805,97 @@ class TetrisApp {
         }, 5000);
     }
 
+    /**
+     * ゲームオーバー画面を表示
+     */
+    showGameOver() {
+        const reason = this.game.gameOverReason;
+        const reasonLabel = TOP_OUT_LABELS[reason] || MODE_END_LABELS[reason] || '';
+        const modeFields = this.game.mode.getHudFields(this.game)
+            .map(({ label, value }) => `<p>${label}: ${value}</p>`)
+            .join('');
+        
+        this.showResultOverlay(this.game.cleared ? 'game-over-message cleared' : 'game-over-message', `
+            <h2>${this.game.cleared ? '🏆 クリア' : '🎮 ゲームオーバー'}</h2>
+            <p>${this.game.mode.name}</p>
+            ${reasonLabel ? `<p>${reasonLabel}</p>` : ''}
+            ${modeFields}
+            <p>最終スコア: ${this.game.score}</p>
+            <p>レベル: ${this.game.level}</p>
+            <p>消去ライン: ${this.game.lines}</p>
+            <p>シード: ${this.game.seed}</p>
+            <br>
+            <p>Rキーまたはリスタートボタンで再開</p>
+        `);
+    }
+
+    /**
+     * スプリントの結果画面（最終タイム・PPS・自己ベストとの比較・スプリットタイム）を表示
+     */
+    showSprintResult() {
+        const { time, pieces, piecesPerSecond, splits, previousBest, isNewBest } = this.modeResult;
+
+        let bestText;
+        if (previousBest === null) {
+            bestText = '初めての記録です';
+        } else if (isNewBest) {
+            bestText = `自己ベスト更新！（-${formatTime(previousBest - time, 3)}）`;
+        } else {
+            bestText = `自己ベスト: ${formatTime(previousBest, 3)}（+${formatTime(time - previousBest, 3)}）`;
+        }
+
+        // 区切りごとのタイムと、前の区切りからの所要時間
+        const splitRows = splits.map(({ lines, time: splitTime }, index) => {
+            const lap = splitTime - (index > 0 ? splits[index - 1].time : 0);
+            return `<tr><td>${lines}ライン</td><td>${formatTime(splitTime, 3)}</td><td>${formatTime(lap, 3)}</td></tr>`;
+        }).join('');
+
+        this.showResultOverlay('game-over-message cleared sprint-result', `
+            <h2>🏁 ${this.game.mode.description}</h2>
+            <p class="sprint-time">${formatTime(time, 3)}</p>
+            <p class="${isNewBest ? 'sprint-best new-best' : 'sprint-best'}">${bestText}</p>
+            <p>${piecesPerSecond.toFixed(2)} PPS（${pieces}ピース）</p>
+            ${splitRows ? `<table class="sprint-splits">${splitRows}</table>` : ''}
+            <p>シード: ${this.game.seed}</p>
+            <br>
+            <p>Rキーまたはリスタートボタンで再開</p>
+        `);
+    }
+
+    /**
+     * ウルトラの結果画面（最終スコア・自己ベストとの比較・消去の種類ごとの内訳）を表示
+     */
+    showUltraResult() {
+        const { score, clears, otherPoints, previousBest, isNewBest } = this.modeResult;
+
+        let bestText;
+        if (previousBest === null) {
+            bestText = '初めての記録です';
+        } else if (isNewBest) {
+            bestText = `自己ベスト更新！（+${score - previousBest}）`;
+        } else {
+            bestText = `自己ベスト: ${previousBest}（-${previousBest - score}）`;
+        }
+
+        const clearRows = Object.entries(clears).map(([type, { count, points }]) => {
+            return `<tr><td>${CLEAR_TYPE_LABELS[type]}</td><td>${count}回</td><td>${points}</td></tr>`;
+        }).join('');
+
+        this.showResultOverlay('game-over-message cleared ultra-result', `
+            <h2>⏱ ${this.game.mode.description}</h2>
+            <p class="ultra-score">${score}</p>
+            <p class="${isNewBest ? 'ultra-best new-best' : 'ultra-best'}">${bestText}</p>
+            <table class="ultra-breakdown">
+                ${clearRows}
+                <tr><td>ドロップ</td><td></td><td>${otherPoints}</td></tr>
+            </table>
+            <p>消去ライン: ${this.game.lines}</p>
+            <p>シード: ${this.game.seed}</p>
+            <br>
+            <p>Rキーまたはリスタートボタンで再開</p>
+        `);
+    }
+
     /**
      * エラーメッセージを表示
      */
@@ -4,19 +4,87 @@
 export const BOARD_WIDTH = 10;
 export const BOARD_HEIGHT = 20;
 
+// 設定可能なボードサイズの範囲（幅は列数、高さは表示領域の行数）
+export const MIN_BOARD_WIDTH = 4;
+export const MAX_BOARD_WIDTH = 20;
+export const MIN_BOARD_HEIGHT = 10;
+export const MAX_BOARD_HEIGHT = 40;
+
+// ガイドラインの非表示バッファ行数（表示領域の上に確保する行）
+export const BUFFER_HEIGHT = 20;
+
+// レベルアップに必要なライン数
+export const LINES_PER_LEVEL = 10;
+
+// ハードドロップで1セル落下するごとの得点
+export const HARD_DROP_POINTS_PER_CELL = 2;
+
 /**
  * 空のゲームボードを作成する
+ * 
+ * バッファ行は表示領域の上に追加され、行インデックス 0 がバッファの最上段になる
+ * 
  * @param {number} width - ボードの幅 (デフォルト: 10)
- * @param {number} height - ボードの高さ (デフォルト: 20)
- * @returns {number[][]} 空のボード (0で初期化)
+ * @param {number} height - 表示領域の高さ (デフォルト: 20)
+ * @param {number} bufferHeight - 非表示バッファの行数 (デフォルト: 0)
+ * @returns {number[][]} 空のボード (0で初期化、高さは height + bufferHeight)
  */
-export function createEmptyBoard(width = BOARD_WIDTH, height = BOARD_HEIGHT) {
-  return Array(height).fill().map(() => Array(width).fill(0));
+export function createEmptyBoard(width = BOARD_WIDTH, height = BOARD_HEIGHT, bufferHeight = 0) {
+  return Array(height + bufferHeight).fill().map(() => Array(width).fill(0));
+}
+
+/**
+ * ボードサイズを設定可能な範囲に丸める
+ * 
+ * @param {number} width - ボードの幅
+ * @param {number} height - 表示領域の高さ
+ * @returns {{width: number, height: number}} 範囲内に丸めた整数のサイズ（不正な値はデフォルト）
+ */
+export function clampBoardSize(width, height) {
+  const clamp = (value, min, max, fallback) => {
+    const number = Math.floor(Number(value));
+    return Number.isNaN(number) ? fallback : Math.max(min, Math.min(max, number));
+  };
+
+  return {
+    width: clamp(width, MIN_BOARD_WIDTH, MAX_BOARD_WIDTH, BOARD_WIDTH),
+    height: clamp(height, MIN_BOARD_HEIGHT, MAX_BOARD_HEIGHT, BOARD_HEIGHT)
+  };
+}
+
+/**
+ * テトリミノの出現列（X座標）を求める
+ * 
+ * 形状の枠をボードの中央に置き、割り切れない場合は左寄りにする
+ * （幅10では I・T・S・Z・J・L が左から4〜6列目付近、O が5〜6列目）
+ * 
+ * @param {number} boardWidth - ボードの幅
+ * @param {number} shapeWidth - テトリミノの形状の枠の幅
+ * @returns {number} 出現位置のX座標
+ */
+export function getSpawnColumn(boardWidth, shapeWidth) {
+  return Math.floor((boardWidth - shapeWidth) / 2);
+}
+
+/**
+ * テトリミノの出現行（Y座標）を求める
+ * 
+ * ガイドラインに従い、表示領域のすぐ上の2行（下から21〜22行目）に出現させる。
+ * バッファが無い場合は従来通り表示領域の最上段に出現する。
+ * 
+ * @param {number} bufferHeight - 非表示バッファの行数
+ * @returns {number} 出現位置のY座標
+ */
+export function getSpawnRow(bufferHeight = 0) {
+  return Math.max(0, bufferHeight - 2);
 }
 
 /**
  * 衝突判定を行う
- * @param {number[][]} board - ゲームボード
+ * 
+ * バッファ行もボードの一部として判定する（ボード最上段より上は空きとみなす）
+ * 
+ * @param {number[][]} board - ゲームボード（バッファ行を含む）
  * @param {number[][]} shape - テトリミノの形状
  * @param {number} x - X座標
  * @param {number} y - Y座標
@@ -56,8 +124,11 @@ export function checkCollision(board, shape, x, y, offsetX = 0, offsetY = 0) {
 
 /**
  * 完成したライン（全てのセルが埋まっている行）を検出する
- * @param {number[][]} board - ゲームボード
- * @returns {number[]} 完成したラインのインデックス配列
+ * 
+ * バッファ行で揃ったラインも消去対象に含める
+ * 
+ * @param {number[][]} board - ゲームボード（バッファ行を含む）
+ * @returns {number[]} 完成したラインのインデックス配列（バッファ行を含むボード上の行番号）
  */
 export function checkFullLines(board) {
   const fullLines = [];
@@ -78,6 +149,15 @@ export function checkFullLines(board) {
   return fullLines;
 }
 
+/**
+ * ボードにブロックが1つも無いか（全消し状態か）を判定する
+ * @param {number[][]} board - ゲームボード
+ * @returns {boolean} 空の場合はtrue
+ */
+export function isBoardEmpty(board) {
+  return board.every(row => row.every(cell => cell === 0));
+}
+
 /**
  * 指定されたラインをクリア（全てのセルを0にする）
  * @param {number[][]} board - ゲームボード
@@ -125,26 +205,254 @@ export function dropLinesDown(board, clearedLineIndices) {
   }
 }
 
+// T-spin の判定結果
+export const T_SPIN_NONE = 'none';
+export const T_SPIN_MINI = 'mini';
+export const T_SPIN_FULL = 'full';
+
+// T-piece の回転状態ごとの「正面側」の角（3×3 枠内の [col, row]）
+const T_FRONT_CORNERS = {
+  0: [[0, 0], [2, 0]],  // 上向き
+  1: [[2, 0], [2, 2]],  // 右向き
+  2: [[0, 2], [2, 2]],  // 下向き
+  3: [[0, 0], [0, 2]]   // 左向き
+};
+
+// 正面の角が埋まっていなくてもフル T-spin とみなす壁蹴りテスト番号（SRS の5番目）
+const T_SPIN_UPGRADE_KICK = 4;
+
+/**
+ * ボード上の指定セルが埋まっているか（壁・床も埋まっているとみなす）
+ * @param {number[][]} board - ゲームボード
+ * @param {number} x - X座標
+ * @param {number} y - Y座標
+ * @returns {boolean} 埋まっている場合はtrue
+ */
+function isCellOccupied(board, x, y) {
+  if (x < 0 || x >= board[0].length || y >= board.length) {
+    return true;
+  }
+  // ボードより上は空きとみなす
+  if (y < 0) {
+    return false;
+  }
+  return board[y][x] !== 0;
+}
+
+/**
+ * 固定する T-piece の T-spin を3コーナールールで判定する
+ * @param {number[][]} board - 固定前のゲームボード
+ * @param {Object} tetromino - 固定するテトリミノ
+ * @param {string|null} lastAction - 最後に成功した操作 ('rotate', 'move' など)
+ * @param {number|null} kickIndex - 最後の回転で採用した壁蹴りテスト番号
+ * @returns {string} T_SPIN_NONE / T_SPIN_MINI / T_SPIN_FULL
+ */
+export function detectTSpin(board, tetromino, lastAction, kickIndex = null) {
+  // T-piece を回転で入れた場合のみ対象
+  if (!tetromino || tetromino.type !== 'T' || lastAction !== 'rotate') {
+    return T_SPIN_NONE;
+  }
+  
+  const { x, y, rotation } = tetromino;
+  const corners = [[0, 0], [2, 0], [0, 2], [2, 2]];
+  const occupiedCount = corners.filter(([col, row]) => isCellOccupied(board, x + col, y + row)).length;
+  
+  // 4つの角のうち3つ以上が埋まっていなければ T-spin ではない
+  if (occupiedCount < 3) {
+    return T_SPIN_NONE;
+  }
+  
+  // 正面の2つの角が埋まっていればフル、そうでなければミニ
+  const frontCorners = T_FRONT_CORNERS[rotation] || T_FRONT_CORNERS[0];
+  const frontOccupied = frontCorners.every(([col, row]) => isCellOccupied(board, x + col, y + row));
+  if (frontOccupied || kickIndex === T_SPIN_UPGRADE_KICK) {
+    return T_SPIN_FULL;
+  }
+  
+  return T_SPIN_MINI;
+}
+
+/**
+ * 開始レベルから最初のレベルアップまでに必要なライン数を求める
+ * 
+ * 通常は 開始レベル × 10 ライン。開始レベルが高い場合は NES 版と同様に
+ * max(100, 開始レベル × 10 − 60) ラインを上限とする
+ * 
+ * @param {number} startLevel - 開始レベル
+ * @returns {number} 必要なライン数
+ */
+export function getFirstLevelUpLines(startLevel) {
+  return Math.min(
+    startLevel * LINES_PER_LEVEL,
+    Math.max(100, startLevel * LINES_PER_LEVEL - 60)
+  );
+}
+
+/**
+ * 消去ライン数からレベルを計算する
+ * 
+ * 最初のレベルアップ以降は LINES_PER_LEVEL ラインごとにレベルアップする
+ * 
+ * @param {number} lines - 消去したライン数の累計
+ * @param {number} startLevel - 開始レベル (デフォルト: 1)
+ * @returns {number} レベル
+ */
+export function calculateLevel(lines, startLevel = 1) {
+  const firstLevelUp = getFirstLevelUpLines(startLevel);
+  if (lines < firstLevelUp) {
+    return startLevel;
+  }
+  return startLevel + 1 + Math.floor((lines - firstLevelUp) / LINES_PER_LEVEL);
+}
+
 /**
  * ライン消去数とレベルからスコアを計算する
  * @param {number} linesCleared - 消去したライン数
  * @param {number} level - 現在のレベル
+ * @param {string} tSpin - T-spin の判定結果（デフォルト: T_SPIN_NONE）
  * @returns {number} 計算されたスコア
  */
-export function calculateScore(linesCleared, level) {
+export function calculateScore(linesCleared, level, tSpin = T_SPIN_NONE) {
   // 無効な入力のチェック
-  if (level <= 0 || linesCleared < 0 || linesCleared > 4) {
+  if (level <= 0 || linesCleared < 0) {
     return 0;
   }
   
   // ライン数に応じたベースコア
   const baseScores = {
-    0: 0,
-    1: 100,   // シングル
-    2: 300,   // ダブル
-    3: 500,   // トリプル
-    4: 800    // テトリス
+    [T_SPIN_NONE]: {
+      0: 0,
+      1: 100,   // シングル
+      2: 300,   // ダブル
+      3: 500,   // トリプル
+      4: 800,   // テトリス
+      5: 1200   // ペントリス（ペントミノの I5 で5ライン）
+    },
+    [T_SPIN_MINI]: {
+      0: 100,   // T-spin ミニ
+      1: 200,   // T-spin ミニ シングル
+      2: 400    // T-spin ミニ ダブル
+    },
+    [T_SPIN_FULL]: {
+      0: 400,   // T-spin ゼロ
+      1: 800,   // T-spin シングル
+      2: 1200,  // T-spin ダブル
+      3: 1600   // T-spin トリプル
+    }
   };
   
-  return baseScores[linesCleared] * level;
+  const table = baseScores[tSpin];
+  if (!table || table[linesCleared] === undefined) {
+    return 0;
+  }
+  
+  return table[linesCleared] * level;
+}
+
+// トップアウト（ゲームオーバー）の種類
+export const TOP_OUT_BLOCK_OUT = 'blockOut';               // 出現位置が塞がれている
+export const TOP_OUT_LOCK_OUT = 'lockOut';                 // 表示領域より完全に上で固定した
+export const TOP_OUT_PARTIAL_LOCK_OUT = 'partialLockOut';  // 一部が表示領域より上で固定した
+export const TOP_OUT_GARBAGE = 'garbageOut';               // せり上がりでブロックがボード外に押し出された
+
+/**
+ * テトリミノの固定位置によるトップアウトを判定する
+ * 
+ * 全ブロックが表示領域（バッファより下）の外にある場合はロックアウト、
+ * partialLockOut が有効な場合は一部でも表示領域外にあればパーシャルロックアウトとする
+ * 
+ * @param {Object} tetromino - 固定するテトリミノ
+ * @param {number} bufferHeight - 非表示バッファの行数
+ * @param {boolean} partialLockOut - パーシャルロックアウトを有効にするか (デフォルト: false)
+ * @returns {string|null} トップアウトの種類（該当しない場合は null）
+ */
+export function detectLockOut(tetromino, bufferHeight, partialLockOut = false) {
+  const { shape, y } = tetromino;
+  let blocksAbove = 0;
+  let blockCount = 0;
+  
+  for (let row = 0; row < shape.length; row++) {
+    for (let col = 0; col < shape[row].length; col++) {
+      if (shape[row][col] !== 0) {
+        blockCount++;
+        if (y + row < bufferHeight) {
+          blocksAbove++;
+        }
+      }
+    }
+  }
+  
+  if (blockCount > 0 && blocksAbove === blockCount) {
+    return TOP_OUT_LOCK_OUT;
+  }
+  if (partialLockOut && blocksAbove > 0) {
+    return TOP_OUT_PARTIAL_LOCK_OUT;
+  }
+  return null;
+}
+
+/**
+ * せり上がりでブロックがボードの上端から押し出されるかを判定する
+ * @param {number[][]} board - ゲームボード（バッファ行を含む）
+ * @param {number} rows - せり上げる行数
+ * @returns {boolean} 押し出されるブロックがある場合はtrue
+ */
+export function checkGarbageTopOut(board, rows) {
+  return board
+    .slice(0, Math.min(rows, board.length))
+    .some(row => row.some(cell => cell !== 0));
+}
+
+// せり上がり（ゴミ）ブロックの値（テトリミノの 1〜7 と区別して灰色で描画する）
+export const GARBAGE_BLOCK = 8;
+
+// せり上がりの穴の並び方
+export const GARBAGE_CLEAN = 'clean';   // 全て同じ列に穴が空く（縦に1列の穴になる、列は呼び出し側で引き継げる）
+export const GARBAGE_MESSY = 'messy';   // 行ごとにランダムな列に穴が空く
+
+/**
+ * 穴が1つだけ空いたせり上がりの行を作成する
+ * @param {number} width - ボードの幅
+ * @param {Function} random - 0以上1未満の数を返す乱数関数（シード付き乱数を渡す）
+ * @param {number|null} holeColumn - 穴を空ける列（null の場合はランダム）
+ * @returns {number[]} GARBAGE_BLOCK で埋め、1列だけ 0 にした行
+ */
+export function createGarbageRow(width, random, holeColumn = null) {
+  const row = Array(width).fill(GARBAGE_BLOCK);
+  row[holeColumn ?? Math.floor(random() * width)] = 0;
+  return row;
+}
+
+/**
+ * 穴の並び方を指定して、まとめて追加するせり上がりの行を作成する
+ * @param {number} count - 行数
+ * @param {number} width - ボードの幅
+ * @param {Function} random - 0以上1未満の数を返す乱数関数（シード付き乱数を渡す）
+ * @param {string} pattern - 穴の並び方（GARBAGE_CLEAN / GARBAGE_MESSY）
+ * @param {number|null} holeColumn - GARBAGE_CLEAN で穴を空ける列（null の場合はランダム、前回の列を引き継ぐ場合に指定する）
+ * @returns {number[][]} せり上がりの行の配列
+ * @throws {Error} 未知の並び方の場合
+ */
+export function createGarbageRows(count, width, random, pattern = GARBAGE_MESSY, holeColumn = null) {
+  if (pattern !== GARBAGE_CLEAN && pattern !== GARBAGE_MESSY) {
+    throw new Error(`Unknown garbage pattern: ${pattern}`);
+  }
+  const cleanColumn = pattern === GARBAGE_CLEAN ? holeColumn ?? Math.floor(random() * width) : null;
+  return Array.from({ length: count }, () => createGarbageRow(width, random, cleanColumn));
+}
+
+/**
+ * ボードの下端にせり上がりの行を挿入し、既存のブロックを押し上げる（dropLinesDown の逆の操作）
+ * 
+ * 上端から押し出される行は捨てられる（押し出されるかは checkGarbageTopOut で事前に判定する）
+ * 
+ * @param {number[][]} board - ゲームボード（バッファ行を含む）
+ * @param {number[][]} rows - 挿入する行（配列の末尾が最下段になる）
+ */
+export function insertGarbageRows(board, rows) {
+  const count = Math.min(rows.length, board.length);
+  board.splice(0, count);
+  rows.slice(rows.length - count).forEach((row) => {
+    board.push([...row]);
+  });
 }
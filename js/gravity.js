@@ -0,0 +1,166 @@
+/**
+ * Tetris 落下速度カーブ - レベルごとの自動落下間隔
+ * 
+ * このファイルは以下の落下速度カーブを提供します：
+ * - classic（従来の段階的な間隔、レベル10で100ms）
+ * - guideline（ガイドラインの計算式）
+ * - nes（NES版のフレーム数テーブル）
+ * - tgm（TGM方式の内部重力、最終的に20G）
+ * 
+ * 全てのカーブはレベル（1から始まる）を受け取り、1段落下するまでの間隔（ミリ秒）を返す
+ */
+
+// 1フレームの長さ（ミリ秒、60fps）
+export const FRAME_MS = 1000 / 60;
+
+// NES版（NTSC）の1フレームの長さ（ミリ秒）
+const NES_FRAME_MS = 1000 / 60.0988;
+
+// ガイドラインの計算式が有効な最大レベル（それ以上は同じ速度）
+const GUIDELINE_MAX_LEVEL = 20;
+
+// NES版の1段落下に要するフレーム数（NES のレベル0〜28、29以降は1フレーム）
+const NES_FRAMES_PER_ROW = [
+  48, 43, 38, 33, 28, 23, 18, 13, 8, 6,
+  5, 5, 5, 4, 4, 4, 3, 3, 3,
+  2, 2, 2, 2, 2, 2, 2, 2, 2, 2
+];
+
+// TGM の内部重力（1/256 G 単位）と適用開始する内部レベル
+export const TGM_GRAVITY_TABLE = [
+  [0, 4], [30, 6], [35, 8], [40, 10], [50, 12], [60, 16], [70, 32],
+  [80, 48], [90, 64], [100, 80], [120, 96], [140, 112], [160, 128],
+  [170, 144], [200, 4], [220, 32], [230, 64], [233, 96], [236, 128],
+  [239, 160], [243, 192], [247, 224], [251, 256], [300, 512],
+  [330, 768], [360, 1024], [400, 1280], [420, 1024], [450, 768],
+  [500, 5120]
+];
+
+// 1G（1フレームに1段）に相当する内部重力
+const TGM_GRAVITY_DENOMINATOR = 256;
+
+// ゲームのレベル1つあたりの TGM 内部レベル
+const TGM_LEVELS_PER_LEVEL = 10;
+
+/**
+ * 従来の段階的な落下間隔
+ * 
+ * レベル1: 1000ms, レベル2: 800ms, レベル5: 500ms, レベル10以降: 100ms
+ * 
+ * @param {number} level - レベル
+ * @returns {number} 落下間隔（ミリ秒）
+ */
+function classicInterval(level) {
+  if (level <= 1) return 1000;
+  if (level === 2) return 800;
+  if (level <= 5) return 500;
+  if (level >= 10) return 100;
+
+  // レベル6-9はレベル5(500ms)からレベル10(100ms)への線形補間
+  return 500 - ((level - 5) * 80);
+}
+
+/**
+ * ガイドラインの計算式による落下間隔
+ * 
+ * (0.8 − (level−1)·0.007)^(level−1) 秒
+ * 
+ * @param {number} level - レベル
+ * @returns {number} 落下間隔（ミリ秒）
+ */
+function guidelineInterval(level) {
+  const n = Math.min(level, GUIDELINE_MAX_LEVEL) - 1;
+  return Math.pow(0.8 - n * 0.007, n) * 1000;
+}
+
+/**
+ * NES版のフレーム数テーブルによる落下間隔
+ * 
+ * NES のレベルは0から始まるため、レベル1を NES のレベル0として扱う
+ * 
+ * @param {number} level - レベル
+ * @returns {number} 落下間隔（ミリ秒）
+ */
+function nesInterval(level) {
+  const frames = NES_FRAMES_PER_ROW[level - 1] ?? 1;
+  return frames * NES_FRAME_MS;
+}
+
+/**
+ * TGM の内部レベルに対応する内部重力を取得する
+ * 
+ * @param {number} internalLevel - TGM の内部レベル（0〜999）
+ * @returns {number} 内部重力（1/256 G 単位、5120 で20G）
+ */
+export function getTgmGravity(internalLevel) {
+  let gravity = TGM_GRAVITY_TABLE[0][1];
+  for (const [startLevel, value] of TGM_GRAVITY_TABLE) {
+    if (internalLevel < startLevel) {
+      break;
+    }
+    gravity = value;
+  }
+  return gravity;
+}
+
+/**
+ * TGM の内部重力を落下間隔に変換する
+ * 
+ * 1G を超える重力では1段あたりの間隔が1フレームより短くなる（20G で 1/20 フレーム）
+ * 
+ * @param {number} gravity - 内部重力（1/256 G 単位）
+ * @returns {number} 落下間隔（ミリ秒）
+ */
+export function tgmGravityToInterval(gravity) {
+  return FRAME_MS * TGM_GRAVITY_DENOMINATOR / gravity;
+}
+
+// 20G（1フレームで20段、ボードの高さ分を一度に落下する）の落下間隔
+// この間隔以下の重力では、テトリミノは出現と同時に接地する
+export const INSTANT_GRAVITY_INTERVAL = tgmGravityToInterval(20 * TGM_GRAVITY_DENOMINATOR);
+
+/**
+ * 落下間隔から1フレームあたりに落下する段数を求める
+ * 
+ * @param {number} interval - 落下間隔（ミリ秒）
+ * @returns {number} 1フレームあたりの段数（1G 以下では 1）
+ */
+export function getRowsPerFrame(interval) {
+  return Math.max(1, Math.round(FRAME_MS / interval));
+}
+
+/**
+ * TGM 方式の落下間隔
+ * 
+ * レベル1つを内部レベル10として扱い、レベル51（内部レベル500）で20Gに達する
+ * 
+ * @param {number} level - レベル
+ * @returns {number} 落下間隔（ミリ秒）
+ */
+function tgmInterval(level) {
+  return tgmGravityToInterval(getTgmGravity((level - 1) * TGM_LEVELS_PER_LEVEL));
+}
+
+// 選択可能な落下速度カーブの一覧
+export const GRAVITY_CURVES = {
+  classic: classicInterval,
+  guideline: guidelineInterval,
+  nes: nesInterval,
+  tgm: tgmInterval
+};
+
+/**
+ * 落下速度カーブとレベルから落下間隔を取得する
+ * 
+ * @param {string} curveName - カーブ名（GRAVITY_CURVES のキー）
+ * @param {number} level - レベル（1未満は1として扱う）
+ * @returns {number} 落下間隔（ミリ秒）
+ * @throws {Error} 未知のカーブ名の場合
+ */
+export function getGravityInterval(curveName, level) {
+  const curve = GRAVITY_CURVES[curveName];
+  if (!curve) {
+    throw new Error(`Unknown gravity curve: ${curveName}`);
+  }
+  return curve(Math.max(1, Math.floor(level)));
+}
@@ -0,0 +1,430 @@
+/**
+ * Tetris 入力処理 - キー入力の状態管理とオートリピート
+ * 
+ * このファイルは以下の機能を提供します：
+ * - InputHandler クラス（キーの押下状態の管理）
+ * - DAS（Delayed Auto Shift）/ ARR（Auto Repeat Rate）による左右移動のリピート
+ * - ソフトドロップ速度倍率（SDF）
+ * - キーバインド設定
+ * 
+ * OS のキーリピートには依存せず、ゲームループの時刻で全てのリピートを処理する。
+ * テトリミノが存在しない間の回転・ホールド入力と、固定時に押し続けている回転・ホールドは
+ * 出現時に適用する（IRS/IHS）
+ */
+
+/**
+ * 入力設定のデフォルト値（時間はミリ秒）
+ */
+export const DEFAULT_INPUT_SETTINGS = {
+  das: 167,             // 押し始めてからリピートが始まるまでの時間
+  arr: 33,              // リピート間隔（0 で壁まで即移動）
+  softDropFactor: 20    // ソフトドロップ時の落下速度倍率（Infinity で即座に接地）
+};
+
+/**
+ * アクションとキー（KeyboardEvent.code）の対応
+ */
+export const DEFAULT_KEY_BINDINGS = {
+  moveLeft: ['ArrowLeft'],
+  moveRight: ['ArrowRight'],
+  softDrop: ['ArrowDown'],
+  hardDrop: ['Space'],
+  rotateRight: ['ArrowUp', 'KeyX'],
+  rotateLeft: ['KeyZ'],
+  rotate180: ['KeyA'],
+  hold: ['KeyC', 'ShiftLeft', 'ShiftRight']
+};
+
+// 回転アクションと回転方向の対応
+const ROTATION_DIRECTIONS = {
+  rotateRight: 'right',
+  rotateLeft: 'left',
+  rotate180: '180'
+};
+
+/**
+ * InputHandler クラス - キー入力を Game の操作に変換する
+ * 
+ * keyDown / keyUp でキーの押下状態を記録し、
+ * update() でゲームループの時刻に合わせて DAS・ARR・ソフトドロップを処理する
+ */
+export class InputHandler {
+  /**
+   * InputHandler のコンストラクタ
+   * 
+   * @param {Game} game - 操作対象の Game インスタンス
+   * @param {Object} settings - 入力設定（DEFAULT_INPUT_SETTINGS を上書き）
+   * @param {Object} bindings - キーバインド（DEFAULT_KEY_BINDINGS を上書き）
+   */
+  constructor(game, settings = {}, bindings = {}) {
+    this.game = game;
+    this.settings = { ...DEFAULT_INPUT_SETTINGS };
+    this.setSettings(settings);
+    this.bindings = { ...DEFAULT_KEY_BINDINGS, ...bindings };
+
+    this.releaseAll();
+
+    // 固定されると出現待ちが始まるため、押し続けている回転・ホールドを予約する
+    this.game.on('lock', () => {
+      if (this.game.hasSpawnDelay()) {
+        this.queueHeldInitialActions();
+      }
+    });
+  }
+
+  /**
+   * 入力設定を更新する
+   * 
+   * @param {Object} settings - 更新する設定（das, arr, softDropFactor）
+   */
+  setSettings(settings) {
+    const { das, arr, softDropFactor } = settings;
+
+    if (typeof das === 'number' && das >= 0) {
+      this.settings.das = das;
+    }
+    if (typeof arr === 'number' && arr >= 0) {
+      this.settings.arr = arr;
+    }
+    if (typeof softDropFactor === 'number' && softDropFactor >= 1) {
+      this.settings.softDropFactor = softDropFactor;
+    }
+  }
+
+  /**
+   * アクションに割り当てるキーを変更する
+   * 
+   * 指定したキーが他のアクションに割り当てられていた場合は、そちらから外す
+   * 
+   * @param {string} action - アクション名（DEFAULT_KEY_BINDINGS のキー）
+   * @param {string[]} codes - 割り当てる KeyboardEvent.code の配列
+   * @throws {Error} 未知のアクション名の場合
+   */
+  setBinding(action, codes) {
+    if (!(action in DEFAULT_KEY_BINDINGS)) {
+      throw new Error(`Unknown input action: ${action}`);
+    }
+
+    Object.keys(this.bindings).forEach((other) => {
+      this.bindings[other] = this.bindings[other].filter(code => !codes.includes(code));
+    });
+    this.bindings[action] = [...codes];
+  }
+
+  /**
+   * キーに対応するアクション名を取得する
+   * 
+   * @param {string} code - KeyboardEvent.code
+   * @returns {string|null} アクション名（未割り当ての場合は null）
+   */
+  getAction(code) {
+    for (const [action, codes] of Object.entries(this.bindings)) {
+      if (codes.includes(code)) {
+        return action;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 全てのキーを離した状態にする（フォーカス喪失時など）
+   */
+  releaseAll() {
+    this.heldKeys = [];            // 押されているアクションのキー（後に押したものが末尾）
+    this.heldDirections = [];      // 押されている左右方向（後に押したものが末尾）
+    this.dasStartTime = 0;         // 現在の方向を押し始めた時刻
+    this.nextRepeatTime = 0;       // 次にリピート移動する時刻
+    this.softDropHeld = false;     // ソフトドロップキーが押されているか
+    this.nextSoftDropTime = 0;     // 次にソフトドロップする時刻
+    this.pausedAt = null;          // 一時停止中の update() が最初に呼ばれた時刻（停止していない場合は null）
+  }
+
+  /**
+   * 現在有効な左右方向を取得する（後から押した方向を優先）
+   * 
+   * @returns {string|null} 'left' / 'right'（押されていない場合は null）
+   */
+  getActiveDirection() {
+    return this.heldDirections.length > 0
+      ? this.heldDirections[this.heldDirections.length - 1]
+      : null;
+  }
+
+  /**
+   * 押し続けている回転キーの回転方向を取得する
+   * 
+   * @returns {string|null} 後から押した回転キーの方向（押されていない場合は null）
+   */
+  getHeldRotation() {
+    const rotation = this.heldKeys
+      .map(code => this.getAction(code))
+      .filter(action => action in ROTATION_DIRECTIONS)
+      .pop();
+    return rotation ? ROTATION_DIRECTIONS[rotation] : null;
+  }
+
+  /**
+   * 押し続けている回転・ホールドを出現時の操作として予約する（IRS/IHS）
+   * 
+   * 出現待ち・ライン消去の待ち時間がある場合のみ、固定時に呼び出される
+   */
+  queueHeldInitialActions() {
+    const rotation = this.getHeldRotation();
+    if (rotation) {
+      this.game.setInitialRotation(rotation);
+    }
+    if (this.heldKeys.some(code => this.getAction(code) === 'hold')) {
+      this.game.setInitialHold(true);
+    }
+  }
+
+  /**
+   * 左右方向の押し始めとして DAS を開始する
+   * 
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  startDas(currentTime) {
+    this.dasStartTime = currentTime;
+    this.nextRepeatTime = currentTime + this.settings.das;
+  }
+
+  /**
+   * キーが押された時の処理
+   * 
+   * @param {string} code - KeyboardEvent.code
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   * @returns {boolean} キーがアクションに割り当てられていた場合は true
+   */
+  keyDown(code, currentTime) {
+    const action = this.getAction(code);
+    if (action !== null && !this.heldKeys.includes(code)) {
+      this.heldKeys.push(code);
+    }
+
+    // 一時停止中・ゲームオーバー中は操作しない
+    if (this.game.paused || this.game.gameOver) {
+      if (this.game.paused) {
+        this.holdDuringPause(action, currentTime);
+      }
+      return action !== null;
+    }
+
+    // 操作でゲームが終わった場合もタイムに入力の時刻までを含める（制限時間を過ぎた入力は受け付けない）
+    if (action !== null && !this.game.syncElapsedTime(currentTime)) {
+      return true;
+    }
+
+    switch (action) {
+      case 'moveLeft':
+      case 'moveRight': {
+        const direction = action === 'moveLeft' ? 'left' : 'right';
+        // 押しっぱなしの状態で再度押された場合は無視
+        if (this.heldDirections.includes(direction)) {
+          return true;
+        }
+        this.heldDirections.push(direction);
+        this.startDas(currentTime);
+        this.game.moveCurrentTetromino(direction);
+        return true;
+      }
+      case 'softDrop':
+        if (!this.softDropHeld) {
+          this.softDropHeld = true;
+          this.game.softDrop();
+          this.nextSoftDropTime = currentTime + this.getSoftDropInterval();
+        }
+        return true;
+      case 'hardDrop':
+        this.game.hardDrop();
+        return true;
+      case 'rotateRight':
+      case 'rotateLeft':
+      case 'rotate180': {
+        const direction = ROTATION_DIRECTIONS[action];
+        // テトリミノが無い間（ライン消去・出現待ち）は出現時の回転として予約する（IRS）
+        if (!this.game.currentTetromino) {
+          this.game.setInitialRotation(direction);
+        } else {
+          this.game.rotateCurrentTetromino(direction);
+        }
+        return true;
+      }
+      case 'hold':
+        // テトリミノが無い間は出現時のホールドとして予約する（IHS）
+        if (!this.game.currentTetromino) {
+          this.game.setInitialHold(true);
+        } else {
+          this.game.holdCurrentTetromino();
+        }
+        return true;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * 一時停止中に押された左右移動・ソフトドロップを押し続けている状態として記録する
+   * 
+   * 停止中は移動しない。再開時に停止していた時間だけタイマーが先送りされるため、
+   * 停止した時刻を起点にすると DAS・ソフトドロップは再開した時刻から始まる
+   * 
+   * @param {string|null} action - アクション名
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  holdDuringPause(action, currentTime) {
+    if (this.pausedAt === null) {
+      this.pausedAt = currentTime;
+    }
+
+    if (action === 'moveLeft' || action === 'moveRight') {
+      const direction = action === 'moveLeft' ? 'left' : 'right';
+      if (!this.heldDirections.includes(direction)) {
+        this.heldDirections.push(direction);
+        this.startDas(this.pausedAt);
+      }
+    } else if (action === 'softDrop' && !this.softDropHeld) {
+      this.softDropHeld = true;
+      this.nextSoftDropTime = this.pausedAt + this.getSoftDropInterval();
+    }
+  }
+
+  /**
+   * キーが離された時の処理
+   * 
+   * @param {string} code - KeyboardEvent.code
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   * @returns {boolean} キーがアクションに割り当てられていた場合は true
+   */
+  keyUp(code, currentTime) {
+    const action = this.getAction(code);
+    this.heldKeys = this.heldKeys.filter(held => held !== code);
+
+    if (action === 'moveLeft' || action === 'moveRight') {
+      const direction = action === 'moveLeft' ? 'left' : 'right';
+      const wasActive = this.getActiveDirection() === direction;
+      this.heldDirections = this.heldDirections.filter(held => held !== direction);
+
+      // 有効な方向が離された場合は、押し続けている逆方向の DAS をやり直す
+      if (wasActive && this.getActiveDirection()) {
+        this.startDas(currentTime);
+      }
+      return true;
+    }
+
+    if (action === 'softDrop') {
+      this.softDropHeld = false;
+      return true;
+    }
+
+    // 出現前に離した回転・ホールドは予約を取り消す（他の回転キーを押し続けている場合はその方向にする）
+    if (action in ROTATION_DIRECTIONS) {
+      if (!this.game.currentTetromino) {
+        this.game.setInitialRotation(this.getHeldRotation());
+      }
+      return true;
+    }
+    if (action === 'hold') {
+      if (!this.game.currentTetromino) {
+        this.game.setInitialHold(false);
+      }
+      return true;
+    }
+
+    return action !== null;
+  }
+
+  /**
+   * ソフトドロップの落下間隔を取得する
+   * 
+   * @returns {number} 落下間隔（ミリ秒、即接地の場合は 0）
+   */
+  getSoftDropInterval() {
+    return this.game.dropInterval / this.settings.softDropFactor;
+  }
+
+  /**
+   * 押し続けているキーのリピート処理を行う（メインループから呼び出される）
+   * 
+   * DAS のチャージはテトリミノではなくキーの押下時間に紐づくため、
+   * テトリミノが存在しない間（ライン消去中など）もチャージは維持される。
+   * 一時停止していた時間はリピートの時刻を先送りし、再開時にまとめて移動しないようにする
+   * 
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  update(currentTime) {
+    if (this.game.paused || this.game.gameOver) {
+      if (this.pausedAt === null) {
+        this.pausedAt = currentTime;
+      }
+      return;
+    }
+
+    if (this.pausedAt !== null) {
+      const pausedTime = currentTime - this.pausedAt;
+      this.dasStartTime += pausedTime;
+      this.nextRepeatTime += pausedTime;
+      this.nextSoftDropTime += pausedTime;
+      this.pausedAt = null;
+    }
+
+    if (!this.game.syncElapsedTime(currentTime)) {
+      return;
+    }
+
+    this.updateAutoShift(currentTime);
+    this.updateSoftDrop(currentTime);
+  }
+
+  /**
+   * DAS・ARR による左右移動のリピート
+   * 
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  updateAutoShift(currentTime) {
+    const direction = this.getActiveDirection();
+    if (!direction || currentTime < this.nextRepeatTime) {
+      return;
+    }
+
+    if (this.settings.arr === 0) {
+      // ARR 0: 壁（または他のブロック）に当たるまで即座に移動
+      while (this.game.moveCurrentTetromino(direction)) {
+        // 移動できなくなるまで繰り返す
+      }
+      this.nextRepeatTime = currentTime;
+      return;
+    }
+
+    // 前回のフレームから経過した分だけリピートする
+    while (this.nextRepeatTime <= currentTime) {
+      this.game.moveCurrentTetromino(direction);
+      this.nextRepeatTime += this.settings.arr;
+    }
+  }
+
+  /**
+   * ソフトドロップキーを押し続けている間の落下
+   * 
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  updateSoftDrop(currentTime) {
+    if (!this.softDropHeld || currentTime < this.nextSoftDropTime) {
+      return;
+    }
+
+    const interval = this.getSoftDropInterval();
+    if (interval === 0) {
+      // 無限倍率: 接地するまで即座に落下
+      while (this.game.softDrop()) {
+        // 接地するまで繰り返す
+      }
+      this.nextSoftDropTime = currentTime;
+      return;
+    }
+
+    while (this.nextSoftDropTime <= currentTime) {
+      this.game.softDrop();
+      this.nextSoftDropTime += interval;
+    }
+  }
+}
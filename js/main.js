@@ -9,8 +9,52 @@
  * - 依存性注入パターンによる描画システム連携
  */
 
-import { createEmptyBoard, checkCollision, checkFullLines, clearLines, dropLinesDown, calculateScore } from './game.js';
-import { createTetromino } from './tetromino.js';
+import { BOARD_WIDTH, BOARD_HEIGHT, clampBoardSize, createEmptyBoard, getSpawnRow, checkCollision, checkFullLines, clearLines, dropLinesDown, isBoardEmpty, detectTSpin, T_SPIN_NONE, detectLockOut, checkGarbageTopOut, createGarbageRows, insertGarbageRows, GARBAGE_BLOCK, GARBAGE_MESSY, TOP_OUT_BLOCK_OUT, TOP_OUT_GARBAGE } from './game.js';
+import { createTetromino, rotateTetromino, rotateWithKicks, getPieceColorValue } from './tetromino.js';
+import { createRandomizer } from './randomizer.js';
+import { createSeededRandom, generateSeed } from './rng.js';
+import { getGravityInterval, getRowsPerFrame, INSTANT_GRAVITY_INTERVAL } from './gravity.js';
+import { ScoringSystem } from './scoring.js';
+import { getRotationSystem } from './rotationSystems.js';
+import { getPieceSet, getPieceSetWidth } from './pieceSets.js';
+import { createGameMode } from './modes.js';
+
+// ネクスト表示できるテトリミノの最大数
+export const MAX_PREVIEW_COUNT = 6;
+
+// ゲームループのフェーズ
+export const PHASE_FALLING = 'falling';        // テトリミノが落下中
+export const PHASE_LOCKING = 'locking';        // 接地して固定猶予中
+export const PHASE_LINE_CLEAR = 'lineClear';   // ライン消去の待ち時間
+export const PHASE_ENTRY = 'entry';            // 次のテトリミノが出現するまでの待ち時間（ARE）
+
+/**
+ * Game のデフォルト設定
+ */
+export const DEFAULT_GAME_OPTIONS = {
+  mode: 'endless',  // ゲームモード（modes.js の GAME_MODES のキー）
+  modeSettings: {}, // モードの設定（ウルトラの制限時間など、モードのコンストラクタに渡す）
+  showGhost: true,  // 落下予測位置（ゴーストピース）を表示するか
+  previewCount: 5,  // ネクストに表示するテトリミノ数（0〜MAX_PREVIEW_COUNT）
+  boardWidth: BOARD_WIDTH, // ボードの幅（MIN_BOARD_WIDTH〜MAX_BOARD_WIDTH、ピースセットの最大幅より狭い場合は実際のボードだけ広げる）
+  boardHeight: BOARD_HEIGHT, // 表示領域の高さ（MIN_BOARD_HEIGHT〜MAX_BOARD_HEIGHT）
+  pieceSet: 'tetromino', // 出現するピース（pieceSets.js の PIECE_SETS のキー、モードが指定する場合はそちらを優先）
+  randomizer: '7bag', // 出現順の決定方式（randomizer.js の RANDOMIZERS のキー）
+  seed: null,       // 乱数シード（null の場合はゲーム毎にランダムに決定）
+  lockDelay: 500,   // 接地してから固定されるまでの猶予（ミリ秒、0 で即固定）
+  lockResetLimit: 15, // 接地中の移動・回転で固定猶予をリセットできる回数
+  scoring: 'guideline', // スコアプロファイル（scoring.js の SCORING_PROFILES のキー）
+  bufferHeight: 0, // 表示領域の上に確保する非表示の行数（ガイドラインでは BUFFER_HEIGHT）
+  partialLockOut: false, // 一部が表示領域より上で固定された場合もゲームオーバーにするか
+  garbageTopOut: true, // せり上がりでブロックが押し出された場合にゲームオーバーにするか
+  gravity: 'classic', // 落下速度カーブ（gravity.js の GRAVITY_CURVES のキー）
+  startLevel: 1, // 開始レベル
+  lineClearDelay: 0, // ライン消去後、上の段が落ちるまでの待ち時間（ミリ秒）
+  entryDelay: 0, // 固定後、次のテトリミノが出現するまでの待ち時間（ARE、ミリ秒）
+  irs: true, // 出現前に入力した回転を出現時に適用するか（Initial Rotation System）
+  ihs: true, // 出現前に入力したホールドを出現時に適用するか（Initial Hold System）
+  rotationSystem: 'srs' // 回転システム（rotationSystems.js の ROTATION_SYSTEMS のキー）
+};
 
 /**
  * Game クラス - テトリスゲームの中核となる状態管理とロジック
@@ -23,9 +67,11 @@ export class Game {
    * Game クラスのコンストラクタ
    * 
    * @param {Renderer} renderer - 描画を担当する Renderer インスタンス
+   * @param {Object} options - ゲーム設定（DEFAULT_GAME_OPTIONS を上書き）
+   *                           options.seed を指定すると出現順などの乱数列が再現可能になる
    * @throws {Error} Renderer が提供されない場合
    */
-  constructor(renderer) {
+  constructor(renderer, options = {}) {
     // 依存性注入: Renderer インスタンスの検証
     if (!renderer || typeof renderer !== 'object') {
       throw new Error('Renderer instance is required');
@@ -42,6 +88,19 @@ export class Game {
     // 描画システムの参照を保存
     this.renderer = renderer;
     
+    // ゲーム設定（リセットしても保持される）
+    this.options = { ...DEFAULT_GAME_OPTIONS, ...options };
+    this.setBoardSize(this.options.boardWidth, this.options.boardHeight);
+    
+    // イベントリスナー（リセットしても保持される）
+    this.listeners = {};
+    this.setPreviewCount(this.options.previewCount);
+    
+    // バッファ行は描画しない
+    if (typeof this.renderer.setHiddenRows === 'function') {
+      this.renderer.setHiddenRows(this.options.bufferHeight);
+    }
+    
     // ゲーム状態の初期化
     this.initializeGameState();
     
@@ -56,24 +115,66 @@ export class Game {
    * リセット機能でも使用される
    */
   initializeGameState() {
+    // ゲームモード（目標・終了条件・HUD 表示）
+    this.mode = createGameMode(this.options.mode, this.options.modeSettings);
+    
     // スコア関連の状態
     this.score = 0;           // 現在のスコア
-    this.level = 1;           // 現在のレベル
+    this.level = this.options.startLevel; // 現在のレベル
     this.lines = 0;           // 消去したライン数
+    this.scoring = new ScoringSystem(this.mode.scoringProfile ?? this.options.scoring); // 得点計算（コンボ・B2B を管理）
     
     // ゲーム制御の状態
     this.gameOver = false;    // ゲームオーバーフラグ
+    this.gameOverReason = null; // ゲームオーバーの原因（TOP_OUT_* または MODE_END_* のいずれか）
+    this.cleared = false;     // モードの目標を達成して終了したか
     this.paused = false;      // 一時停止フラグ
     
-    // ゲームボードの初期化（20行×10列の空配列）
-    this.board = createEmptyBoard();
+    this.pieceTypes = getPieceSet(this.mode.pieceSet ?? this.options.pieceSet); // 出現するピースの種類
+    
+    // ゲームボードの初期化（表示行＋バッファ行 × 列数の空配列）
+    // 幅の広いピース（I5 など）が出現できるよう、幅はピースセットの最大幅以上にする（設定値は変えない）
+    const { boardHeight, bufferHeight } = this.options;
+    const boardWidth = Math.max(this.options.boardWidth, getPieceSetWidth(this.pieceTypes));
+    this.boardWidth = boardWidth;  // 実際のボードの幅
+    this.board = createEmptyBoard(boardWidth, boardHeight, bufferHeight);
+    
+    // 描画領域をボードの表示行に合わせる
+    if (typeof this.renderer.resizeToBoard === 'function') {
+      this.renderer.resizeToBoard(boardWidth, boardHeight);
+    }
     
     // テトリミノ管理
+    this.rotationSystem = getRotationSystem(this.options.rotationSystem); // 形状・出現位置・壁蹴りの規則
     this.currentTetromino = null;  // 現在操作中のテトリミノ
+    this.holdType = null;          // ホールド中のテトリミノタイプ
+    this.canHold = true;           // ホールド可能か（固定されるまで1回のみ）
+    this.initialRotation = null;   // 出現時に適用する回転方向（IRS）
+    this.initialHold = false;      // 出現時にホールドするか（IHS）
+    // 乱数管理（ゲーム内の乱数は全てシード付き乱数関数を経由する）
+    this.seed = this.options.seed ?? generateSeed();
+    this.random = createSeededRandom(this.seed);
+    
+    this.randomizer = createRandomizer(this.options.randomizer, this.random, this.pieceTypes); // 出現順の決定方式
+    this.nextQueue = [];           // これから出現するテトリミノタイプの列
+    this.fillNextQueue();
     
     // 時間管理（自動落下システム用）
     this.lastDropTime = 0;         // 前回の落下時刻
-    this.dropInterval = 1000;      // 落下間隔（ミリ秒）
+    this.dropInterval = this.getDropInterval(); // 落下間隔（ミリ秒）
+    this.currentTime = 0;          // 最後に update() が呼ばれた時刻
+    this.elapsedTime = 0;          // プレイ時間（一時停止中は進まない、ミリ秒）
+    this.lastTickTime = null;      // プレイ時間を最後に進めた時刻
+    
+    // ゲームループのフェーズ管理
+    this.phase = PHASE_FALLING;    // 現在のフェーズ（PHASE_* のいずれか）
+    this.phaseStartTime = 0;       // 現在のフェーズが始まった時刻
+    this.clearingLines = [];       // 消去待ちのライン（ライン消去フェーズ中のみ）
+    
+    // 固定猶予（ロックディレイ）管理
+    this.resetLockState();
+    
+    this.mode.start(this);
     
     // デバッグ用: 状態初期化をログ出力
     console.log('Game state initialized');
@@ -87,7 +188,7 @@ export class Game {
    */
   addScore(points, linesCleared) {
     // 入力値の検証
-    if (typeof points !== 'number' || points < 0) {
+    if (!Number.isFinite(points) || points < 0) {
       console.warn('Invalid points value:', points);
       return;
     }
@@ -101,11 +202,12 @@ export class Game {
     this.score += points;
     this.lines += linesCleared;
     
-    // レベルアップ判定（10ライン毎にレベルアップ）
-    const newLevel = Math.floor(this.lines / 10) + 1;
+    // レベルアップ判定（通常は開始レベルに応じたライン数の後、10ライン毎にレベルアップ）
+    const newLevel = this.mode.calculateLevel(this.lines, this.options.startLevel);
     if (newLevel > this.level) {
       this.level = newLevel;
       this.updateDropInterval();
+      this.mode.onLevelUp(this, this.level);
       console.log(`Level up! New level: ${this.level}`);
     }
     
@@ -113,17 +215,166 @@ export class Game {
     console.log(`Score: ${this.score}, Lines: ${this.lines}, Level: ${this.level}`);
   }
 
+  /**
+   * ゲームイベントのリスナーを登録する
+   * 
+   * @param {string} eventName - イベント名（'lock' など）
+   * @param {Function} listener - イベント発生時に呼ばれる関数
+   */
+  on(eventName, listener) {
+    if (!this.listeners[eventName]) {
+      this.listeners[eventName] = [];
+    }
+    this.listeners[eventName].push(listener);
+  }
+
+  /**
+   * ゲームイベントのリスナーを解除する
+   * 
+   * @param {string} eventName - イベント名
+   * @param {Function} listener - 登録済みの関数
+   */
+  off(eventName, listener) {
+    if (!this.listeners[eventName]) {
+      return;
+    }
+    this.listeners[eventName] = this.listeners[eventName].filter(registered => registered !== listener);
+  }
+
+  /**
+   * ゲームイベントを発生させる
+   * 
+   * @param {string} eventName - イベント名
+   * @param {Object} payload - リスナーに渡すイベント情報
+   */
+  emit(eventName, payload) {
+    (this.listeners[eventName] || []).forEach(listener => listener(payload));
+  }
+
   /**
    * ゲームオーバー状態を設定する
    * 
+   * ゲームオーバーになった時に 'gameover' イベント（原因・スコア・レベル・ライン数・プレイ時間・クリアしたか）を発生させる
+   * 
    * @param {boolean} isGameOver - ゲームオーバー状態
+   * @param {string|null} reason - ゲームオーバーの原因（TOP_OUT_* または MODE_END_* のいずれか）
    */
-  setGameOver(isGameOver) {
+  setGameOver(isGameOver, reason = null) {
+    const wasGameOver = this.gameOver;
     this.gameOver = Boolean(isGameOver);
+    this.gameOverReason = this.gameOver ? reason : null;
     
+    if (this.gameOver && !wasGameOver) {
+      console.log('Game Over! Final Score:', this.score, 'Reason:', reason);
+      this.emit('gameover', {
+        reason,
+        score: this.score,
+        level: this.level,
+        lines: this.lines,
+        elapsedTime: this.elapsedTime,
+        cleared: this.cleared
+      });
+    }
+  }
+
+  /**
+   * モードの終了条件を判定し、満たしていればゲームを終了する
+   * 
+   * @returns {boolean} ゲームを終了した場合は true
+   */
+  checkModeEnd() {
     if (this.gameOver) {
-      console.log('Game Over! Final Score:', this.score);
+      return true;
+    }
+    
+    const result = this.mode.checkEnd(this);
+    if (!result) {
+      return false;
+    }
+    
+    this.cleared = result.cleared;
+    this.currentTetromino = null;
+    this.setGameOver(true, result.reason);
+    return true;
+  }
+
+  /**
+   * プレイ時間を進める（一時停止中の時間は含めない）
+   * 
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  updateElapsedTime(currentTime) {
+    if (this.lastTickTime !== null && currentTime > this.lastTickTime) {
+      this.elapsedTime += currentTime - this.lastTickTime;
     }
+    this.lastTickTime = currentTime;
+  }
+
+  /**
+   * 入力の時刻までプレイ時間を進める（入力処理から操作の前に呼び出される）
+   * 
+   * ハードドロップなどで update() を待たずに終了した場合も、
+   * 記録するタイムに前回の update() から入力までの時間を含めるため。
+   * update() と同じくモードの時間経過処理（制限時間での打ち切りなど）と終了判定も行う
+   * 
+   * @param {number} currentTime - 入力の時刻（ミリ秒）
+   * @returns {boolean} ゲームが続いていて入力を受け付ける場合は true
+   */
+  syncElapsedTime(currentTime) {
+    // 開始前・一時停止からの再開直後は update() で数え始める
+    if (this.paused || this.gameOver || this.lastTickTime === null) {
+      return !this.gameOver;
+    }
+    this.updateElapsedTime(currentTime);
+    this.mode.onTick(this, currentTime);
+    return !this.checkModeEnd();
+  }
+
+  /**
+   * せり上がりによるトップアウトを判定する
+   * 
+   * garbageTopOut が有効で、指定行数のせり上がりでブロックがボード外に押し出される場合はゲームオーバーにする
+   * 
+   * @param {number} rows - せり上げる行数
+   * @returns {boolean} ゲームオーバーになった場合は true
+   */
+  checkGarbageTopOut(rows) {
+    if (!this.options.garbageTopOut || !checkGarbageTopOut(this.board, rows)) {
+      return false;
+    }
+    
+    this.currentTetromino = null;
+    this.setGameOver(true, TOP_OUT_GARBAGE);
+    return true;
+  }
+
+  /**
+   * ボードの下端に穴が1つ空いたせり上がりの行を追加する
+   * 
+   * 穴の位置はゲームのシード付き乱数で決める。操作中のテトリミノがブロックと重なる場合は上へ押し出す
+   * 
+   * @param {number} count - 追加する行数
+   * @param {string} pattern - 穴の並び方（GARBAGE_CLEAN / GARBAGE_MESSY、デフォルト: GARBAGE_MESSY）
+   * @param {number|null} holeColumn - GARBAGE_CLEAN で穴を空ける列（null の場合はランダム）
+   * @returns {boolean} 追加した場合は true（トップアウトした場合は false）
+   */
+  addGarbageRows(count, pattern = GARBAGE_MESSY, holeColumn = null) {
+    if (count <= 0 || this.gameOver || this.checkGarbageTopOut(count)) {
+      return false;
+    }
+    
+    const rows = createGarbageRows(count, this.board[0].length, this.random, pattern, holeColumn);
+    insertGarbageRows(this.board, rows);
+    
+    const tetromino = this.currentTetromino;
+    if (tetromino) {
+      for (let pushed = 0; pushed < count && checkCollision(this.board, tetromino.shape, tetromino.x, tetromino.y); pushed++) {
+        tetromino.y--;
+      }
+    }
+    
+    console.log(`Garbage rows added: ${count}`);
+    return true;
   }
 
   /**
@@ -133,6 +384,8 @@ export class Game {
    */
   togglePause() {
     this.paused = !this.paused;
+    // 再開後の最初の update() から改めてプレイ時間を数える
+    this.lastTickTime = null;
     console.log('Game paused:', this.paused);
     return this.paused;
   }
@@ -141,9 +394,13 @@ export class Game {
    * ゲーム状態を初期状態にリセットする
    * 
    * 新しいゲームを開始する際に使用
+   * 
+   * @param {number|null} seed - 新しいゲームの乱数シード
+   *                             （省略時は設定のシード、設定も無い場合はランダム）
    */
-  reset() {
+  reset(seed = this.options.seed) {
     console.log('Resetting game state...');
+    this.options.seed = seed;
     this.initializeGameState();
   }
 
@@ -153,23 +410,85 @@ export class Game {
    * @returns {number} 落下間隔（ミリ秒）
    */
   getDropInterval() {
-    // レベルが上がるほど落下速度が速くなる
-    // レベル1: 1000ms, レベル2: 800ms, レベル5: 500ms, レベル10: 100ms
-    
-    // 特定のレベルでの落下間隔をマッピング
-    if (this.level <= 1) return 1000;
-    if (this.level === 2) return 800;
-    if (this.level <= 5) return 500;
-    if (this.level >= 10) return 100;
-    
-    // レベル3-4とレベル6-9の間は線形補間
-    if (this.level <= 4) {
-      // レベル2(800ms)からレベル5(500ms)への線形補間
-      return 800 - ((this.level - 2) * 100);
-    } else {
-      // レベル5(500ms)からレベル10(100ms)への線形補間
-      return 500 - ((this.level - 5) * 80);
-    }
+    // レベルが上がるほど落下速度が速くなる（カーブは gravity オプションで選択、モードが独自に決める場合もある）
+    return this.mode.getDropInterval(this);
+  }
+
+  /**
+   * 現在の固定猶予を取得する
+   * 
+   * @returns {number} 接地してから固定されるまでの猶予（ミリ秒、モードが短くする場合もある）
+   */
+  getLockDelay() {
+    return this.mode.getLockDelay(this);
+  }
+
+  /**
+   * 落下速度カーブを切り替える
+   * 
+   * @param {string} name - カーブ名（GRAVITY_CURVES のキー）
+   * @throws {Error} 未知のカーブ名の場合
+   */
+  setGravityCurve(name) {
+    getGravityInterval(name, this.level);
+    this.options.gravity = name;
+    this.updateDropInterval();
+  }
+
+  /**
+   * 開始レベルを設定する（次のリセットから反映される）
+   * 
+   * @param {number} level - 開始レベル（1以上の整数）
+   */
+  setStartLevel(level) {
+    this.options.startLevel = Math.max(1, Math.floor(Number(level)) || 1);
+  }
+
+  /**
+   * ゲームモードを設定する（次のリセットから反映される）
+   * 
+   * @param {string} name - モード名（GAME_MODES のキー）
+   * @param {Object} settings - モードの設定（モードのコンストラクタに渡す）
+   * @throws {Error} 未知のモード名、または不正な設定の場合
+   */
+  setMode(name, settings = {}) {
+    createGameMode(name, settings);
+    this.options.mode = name;
+    this.options.modeSettings = { ...settings };
+  }
+
+  /**
+   * ピースセットを設定する（次のリセットから反映される）
+   * 
+   * @param {string} name - ピースセット名（PIECE_SETS のキー）
+   * @throws {Error} 未知のピースセット名の場合
+   */
+  setPieceSet(name) {
+    getPieceSet(name);
+    this.options.pieceSet = name;
+  }
+
+  /**
+   * ボードサイズを設定する（次のリセットから反映される）
+   * 
+   * @param {number} width - ボードの幅（MIN_BOARD_WIDTH〜MAX_BOARD_WIDTH に丸められる）
+   * @param {number} height - 表示領域の高さ（MIN_BOARD_HEIGHT〜MAX_BOARD_HEIGHT に丸められる）
+   */
+  setBoardSize(width, height) {
+    const size = clampBoardSize(width, height);
+    this.options.boardWidth = size.width;
+    this.options.boardHeight = size.height;
+  }
+
+  /**
+   * 回転システムを設定する（次のリセットから反映される）
+   * 
+   * @param {string} name - 回転システム名（ROTATION_SYSTEMS のキー）
+   * @throws {Error} 未知の回転システム名の場合
+   */
+  setRotationSystem(name) {
+    getRotationSystem(name);
+    this.options.rotationSystem = name;
   }
 
   /**
@@ -187,19 +506,33 @@ export class Game {
    * @returns {boolean} 落下すべき場合は true
    */
   shouldDropTetromino(currentTime) {
+    return this.getDropCount(currentTime) > 0;
+  }
+
+  /**
+   * 自動落下させる段数を求める
+   * 
+   * 1G を超える重力では前回の落下からの経過時間に応じて複数段落下する。
+   * 処理落ちなどで間隔が空いた場合も、1フレームあたりの段数（1G 以下では 1段）を上限とする
+   * 
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   * @returns {number} 落下させる段数（0 の場合は落下しない）
+   */
+  getDropCount(currentTime) {
     // ゲームが停止中の場合は落下しない
     if (this.paused || this.gameOver) {
-      return false;
+      return 0;
     }
     
     // 時間が経過していない場合は落下しない
-    if (currentTime - this.lastDropTime < this.dropInterval) {
-      return false;
+    const elapsed = currentTime - this.lastDropTime;
+    if (elapsed < this.dropInterval) {
+      return 0;
     }
     
     // 落下時刻を更新
     this.lastDropTime = currentTime;
-    return true;
+    return Math.min(Math.floor(elapsed / this.dropInterval), getRowsPerFrame(this.dropInterval));
   }
 
   /**
@@ -208,36 +541,225 @@ export class Game {
    * @returns {boolean} 生成に成功した場合は true
    */
   spawnNewTetromino() {
-    // ランダムなテトリミノタイプを選択
-    const types = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
-    const randomType = types[Math.floor(Math.random() * types.length)];
+    // ネクストの先頭からテトリミノタイプを取り出す
+    let nextType = this.nextQueue.shift();
+    this.fillNextQueue();
     
-    // 新しいテトリミノを作成
-    const newTetromino = createTetromino(randomType);
+    // IHS: 出現するテトリミノをそのままホールドと入れ替える
+    if (this.initialHold && this.canHold) {
+      const heldType = this.holdType;
+      this.holdType = nextType;
+      this.canHold = false;
+      
+      if (heldType === null) {
+        nextType = this.nextQueue.shift();
+        this.fillNextQueue();
+      } else {
+        nextType = heldType;
+      }
+      console.log(`Initial hold: ${this.holdType}`);
+    }
+    
+    // IRS・IHS の入力は出現ごとに1回だけ使う
+    const initialRotation = this.initialRotation;
+    this.initialRotation = null;
+    this.initialHold = false;
+    
+    // 新しいテトリミノを作成して出現位置に配置
+    if (!this.placeNewTetromino(nextType, initialRotation)) {
+      return false;
+    }
+    
+    console.log(`New tetromino spawned: ${nextType}`);
+    return true;
+  }
+
+  /**
+   * 次に出現させるテトリミノタイプを決定する
+   * 
+   * @returns {string} テトリミノタイプ
+   */
+  generateTetrominoType() {
+    return this.randomizer.next();
+  }
+
+  /**
+   * ランダマイザーを切り替える
+   * 
+   * 既にネクストに並んでいるテトリミノはそのまま残る
+   * 
+   * @param {string} name - ランダマイザー名（RANDOMIZERS のキー）
+   * @throws {Error} 未知のランダマイザー名の場合
+   */
+  setRandomizer(name) {
+    this.randomizer = createRandomizer(name, this.random, this.pieceTypes);
+    this.options.randomizer = name;
+  }
+
+  /**
+   * ネクストを最大表示数まで補充する
+   */
+  fillNextQueue() {
+    while (this.nextQueue.length < MAX_PREVIEW_COUNT) {
+      this.nextQueue.push(this.generateTetrominoType());
+    }
+  }
+
+  /**
+   * これから出現するテトリミノタイプを取得する
+   * 
+   * @param {number} count - 取得する数（デフォルト: 設定の表示数、0〜MAX_PREVIEW_COUNT）
+   * @returns {string[]} 出現順のテトリミノタイプ配列
+   */
+  getNextPieces(count = this.options.previewCount) {
+    const clamped = Math.max(0, Math.min(MAX_PREVIEW_COUNT, Math.floor(count) || 0));
+    return this.nextQueue.slice(0, clamped);
+  }
+
+  /**
+   * ネクストの表示数を設定する
+   * 
+   * @param {number} count - 表示数（0〜MAX_PREVIEW_COUNT に丸められる）
+   */
+  setPreviewCount(count) {
+    this.options.previewCount = Math.max(0, Math.min(MAX_PREVIEW_COUNT, Math.floor(count) || 0));
+  }
+
+  /**
+   * 指定タイプのテトリミノを初期回転状態で出現位置に配置する
+   * 
+   * @param {string} type - テトリミノタイプ
+   * @param {string|null} initialRotation - IRS で適用する回転方向（デフォルト: null）
+   * @returns {boolean} 配置に成功した場合は true（失敗時はゲームオーバー）
+   */
+  placeNewTetromino(type, initialRotation = null) {
+    // 出現位置はバッファの有無と回転システムに応じて決まる
+    const system = this.rotationSystem;
+    let newTetromino = {
+      ...createTetromino(type, system, this.boardWidth),
+      y: getSpawnRow(this.options.bufferHeight) + system.spawnOffsetY
+    };
+    
+    // IRS: 回転した向きで出現させる（衝突する場合は初期の向きで出現させる）
+    if (initialRotation) {
+      const rotated = rotateTetromino(newTetromino, initialRotation, system);
+      if (!checkCollision(this.board, rotated.shape, rotated.x, rotated.y)) {
+        newTetromino = rotated;
+      }
+    }
     
     // 初期位置での衝突判定
     if (checkCollision(this.board, newTetromino.shape, newTetromino.x, newTetromino.y)) {
-      // 配置できない場合はゲームオーバー
-      this.setGameOver(true);
+      // 配置できない場合はゲームオーバー（ブロックアウト）
+      this.currentTetromino = null;
+      this.setGameOver(true, TOP_OUT_BLOCK_OUT);
       return false;
     }
     
-    // テトリミノを配置
     this.currentTetromino = newTetromino;
-    console.log(`New tetromino spawned: ${randomType}`);
+    this.resetLockState();
+    this.setPhase(PHASE_FALLING);
+    
+    // バッファがある場合はガイドラインに従い、出現直後に塞がれていなければ1段落下させる（バッファ内に隠れたままにしない）
+    // 20G 以上の重力では出現と同時に接地させる（固定猶予は次の update() から始まる）
+    const { shape, x } = newTetromino;
+    const spawnDrop = this.options.bufferHeight > 0 ? 1 : 0;
+    const rows = this.dropInterval <= INSTANT_GRAVITY_INTERVAL ? Infinity : spawnDrop;
+    for (let row = 0; row < rows && !checkCollision(this.board, shape, x, newTetromino.y + 1); row++) {
+      newTetromino.y++;
+    }
+    this.updateLowestRow();
+    return true;
+  }
+
+  /**
+   * 出現時に適用する回転（IRS）を設定する
+   * 
+   * テトリミノが存在しない間（ライン消去・出現待ち）の入力のみ受け付ける
+   * 
+   * @param {string|null} direction - 回転方向（'right', 'left'、null で取り消し）
+   * @returns {boolean} 設定した場合は true
+   */
+  setInitialRotation(direction) {
+    if (direction !== null && (!this.options.irs || this.currentTetromino)) {
+      return false;
+    }
+    this.initialRotation = direction;
+    return true;
+  }
+
+  /**
+   * 出現時にホールドするか（IHS）を設定する
+   * 
+   * テトリミノが存在しない間（ライン消去・出現待ち）の入力のみ受け付ける
+   * 
+   * @param {boolean} enabled - ホールドする場合は true（false で取り消し）
+   * @returns {boolean} 設定した場合は true
+   */
+  setInitialHold(enabled) {
+    if (enabled && (!this.options.ihs || this.currentTetromino)) {
+      return false;
+    }
+    this.initialHold = Boolean(enabled);
+    return true;
+  }
+
+  /**
+   * 現在のテトリミノをホールドする
+   * 
+   * ホールドが空の場合は現在のテトリミノを格納して次を生成し、
+   * それ以外の場合はホールド中のテトリミノと入れ替える。
+   * 次にテトリミノが固定されるまで再度ホールドすることはできない。
+   * 
+   * @returns {boolean} ホールドを実行した場合は true
+   */
+  holdCurrentTetromino() {
+    if (!this.currentTetromino || !this.canHold || this.paused || this.gameOver) {
+      return false;
+    }
+    
+    const heldType = this.holdType;
+    this.holdType = this.currentTetromino.type;
+    this.canHold = false;
+    
+    if (heldType === null) {
+      // ホールドが空の場合は次のテトリミノを生成
+      this.currentTetromino = null;
+      this.spawnNewTetromino();
+    } else {
+      // ホールド中のテトリミノを出現位置・初期回転状態で取り出す
+      this.placeNewTetromino(heldType);
+    }
+    
+    console.log(`Tetromino held: ${this.holdType}`);
     return true;
   }
 
   /**
    * 現在のテトリミノをボードに固定し、ライン消去処理を行う
+   * 
+   * 固定後に 'lock' イベント（テトリミノ・T-spin 判定・消去ライン数・得点内訳）を発生させる
+   * 
+   * ラインを消去しなかった固定が表示領域より上で行われた場合はロックアウトでゲームオーバーになる。
+   * 待ち時間が設定されている場合は、ライン消去フェーズ・出現待ちフェーズを経て次のテトリミノが出現する
    */
   fixTetrominoToBoard() {
     if (!this.currentTetromino) {
       return;
     }
     
+    const tetromino = this.currentTetromino;
+    
+    // T-spin 判定はブロックを固定する前のボードで行う（T-spin の無い回転システムでは判定しない）
+    const tSpin = this.rotationSystem.tSpins
+      ? detectTSpin(this.board, tetromino, this.lastAction, this.lastKickIndex)
+      : T_SPIN_NONE;
+    
+    // ロックアウト判定は固定位置（ライン消去前）で行う
+    const lockOut = detectLockOut(tetromino, this.options.bufferHeight, this.options.partialLockOut);
+    
     // テトリミノの各ブロックをボードに固定
-    const { shape, x, y, type } = this.currentTetromino;
+    const { shape, x, y, type } = tetromino;
     
     for (let row = 0; row < shape.length; row++) {
       for (let col = 0; col < shape[row].length; col++) {
@@ -259,48 +781,193 @@ export class Game {
     console.log(`Tetromino fixed to board: ${type}`);
     
     // ライン消去処理
-    this.processLineClearing();
+    const scoring = this.processLineClearing(tSpin);
     
-    // 現在のテトリミノをクリア
+    // 現在のテトリミノをクリアし、ホールドを再び可能にする
     this.currentTetromino = null;
+    this.canHold = true;
+    
+    const lockEvent = { tetromino, tSpin, linesCleared: scoring.linesCleared, scoring };
+    this.emit('lock', lockEvent);
+    this.mode.onLock(this, lockEvent);
+    
+    // ラインを消去できなかった場合のみロックアウトとする
+    if (lockOut && scoring.linesCleared === 0) {
+      this.setGameOver(true, lockOut);
+      return;
+    }
+    
+    if (this.checkModeEnd()) {
+      return;
+    }
     
-    // 新しいテトリミノを生成
-    this.spawnNewTetromino();
+    // 消去待ちのラインがあればライン消去フェーズへ、なければ出現待ちへ
+    if (this.clearingLines.length > 0) {
+      this.setPhase(PHASE_LINE_CLEAR);
+    } else {
+      this.startEntryDelay();
+    }
+  }
+
+  /**
+   * フェーズを切り替え、開始時刻を記録する
+   * 
+   * @param {string} phase - 新しいフェーズ（PHASE_* のいずれか）
+   */
+  setPhase(phase) {
+    if (this.phase !== phase) {
+      this.phase = phase;
+      this.phaseStartTime = this.currentTime;
+    }
+  }
+
+  /**
+   * 現在のフェーズを取得する（描画側の演出用）
+   * 
+   * @returns {string} 現在のフェーズ（PHASE_* のいずれか）
+   */
+  getPhase() {
+    return this.phase;
+  }
+
+  /**
+   * 現在のフェーズの経過割合を取得する
+   * 
+   * @returns {number} 0〜1 の経過割合（待ち時間の無いフェーズでは 0）
+   */
+  getPhaseProgress() {
+    const durations = {
+      [PHASE_LOCKING]: this.getLockDelay(),
+      [PHASE_LINE_CLEAR]: this.options.lineClearDelay,
+      [PHASE_ENTRY]: this.options.entryDelay
+    };
+    const duration = durations[this.phase];
+    if (!duration || duration <= 0) {
+      return 0;
+    }
+    const start = this.phase === PHASE_LOCKING ? this.lockStartTime : this.phaseStartTime;
+    return Math.min(1, Math.max(0, (this.currentTime - start) / duration));
+  }
+
+  /**
+   * 出現待ち（ARE）を開始する。待ち時間が無い場合はすぐに次のテトリミノを出現させる
+   */
+  startEntryDelay() {
+    if (this.options.entryDelay > 0) {
+      this.setPhase(PHASE_ENTRY);
+    } else {
+      this.spawnNewTetromino();
+    }
+  }
+
+  /**
+   * ライン消去フェーズを終了し、消去したラインの上のブロックを落とす
+   */
+  finishLineClear() {
+    dropLinesDown(this.board, this.clearingLines);
+    this.clearingLines = [];
+    this.startEntryDelay();
+  }
+
+  /**
+   * 固定してから次のテトリミノが出現するまでに待ち時間があるか
+   * 
+   * @returns {boolean} 出現待ちまたはライン消去の待ち時間がある場合は true
+   */
+  hasSpawnDelay() {
+    return this.options.entryDelay > 0 || this.clearingLines.length > 0;
+  }
+
+  /**
+   * 待ち時間のあるフェーズ（ライン消去・出現待ち）を進める
+   * 
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   * @returns {boolean} 待ち時間のフェーズ中だった場合は true
+   */
+  updateDelayPhase(currentTime) {
+    const elapsed = currentTime - this.phaseStartTime;
+    
+    if (this.phase === PHASE_LINE_CLEAR) {
+      if (elapsed >= this.options.lineClearDelay) {
+        this.finishLineClear();
+      }
+      return true;
+    }
+    
+    if (this.phase === PHASE_ENTRY) {
+      if (elapsed >= this.options.entryDelay) {
+        this.spawnNewTetromino();
+      }
+      return true;
+    }
+    
+    return false;
+  }
+
+  /**
+   * フェーズの待ち時間を変更する
+   * 
+   * @param {Object} delays - 変更する待ち時間（lineClearDelay, entryDelay、ミリ秒）
+   */
+  setPhaseDelays({ lineClearDelay, entryDelay }) {
+    if (typeof lineClearDelay === 'number' && lineClearDelay >= 0) {
+      this.options.lineClearDelay = lineClearDelay;
+    }
+    if (typeof entryDelay === 'number' && entryDelay >= 0) {
+      this.options.entryDelay = entryDelay;
+    }
   }
 
   /**
    * ライン消去処理を実行する
+   * 
+   * @param {string} tSpin - 固定したテトリミノの T-spin 判定結果（デフォルト: T_SPIN_NONE）
+   * @returns {Object} 得点の内訳（ScoringSystem#scoreLock の戻り値）
    */
-  processLineClearing() {
-    // 完成したラインを検出
+  processLineClearing(tSpin = T_SPIN_NONE) {
+    // 完成したラインを検出（せり上がりのブロックを含むラインはモードの進行用に数える）
     const fullLines = checkFullLines(this.board);
+    const garbageLinesCleared = fullLines.filter(row => this.board[row].includes(GARBAGE_BLOCK)).length;
     
     if (fullLines.length > 0) {
       // ラインをクリア
       clearLines(this.board, fullLines);
       
-      // ブロックを下に落とす
-      dropLinesDown(this.board, fullLines);
-      
-      // スコアを計算して加算
-      const points = calculateScore(fullLines.length, this.level);
-      this.addScore(points, fullLines.length);
-      
-      console.log(`Lines cleared: ${fullLines.length}, Points: ${points}`);
+      // ブロックを下に落とす（待ち時間がある場合はライン消去フェーズの終了時に落とす）
+      if (this.options.lineClearDelay > 0) {
+        this.clearingLines = fullLines;
+      } else {
+        dropLinesDown(this.board, fullLines);
+      }
     }
+    
+    // スコアを計算して加算（T-spin はライン消去なしでも得点になる）
+    const breakdown = this.scoring.scoreLock({
+      linesCleared: fullLines.length,
+      tSpin,
+      level: this.mode.getScoringLevel(this),
+      perfectClear: isBoardEmpty(this.board)
+    });
+    if (breakdown.total > 0 || fullLines.length > 0) {
+      this.addScore(breakdown.total, fullLines.length);
+      console.log(`Lines cleared: ${fullLines.length}, T-spin: ${tSpin}, Points: ${breakdown.total}`);
+    }
+    
+    if (fullLines.length > 0) {
+      this.mode.onLineClear(this, { linesCleared: fullLines.length, rows: fullLines, garbageLinesCleared, scoring: breakdown });
+    }
+    
+    return breakdown;
   }
 
   /**
    * テトリミノタイプに応じた色値を取得する
    * 
-   * @param {string} type - テトリミノタイプ
-   * @returns {number} 色値（1-7）
+   * @param {string} type - テトリミノタイプ（登録したピースを含む）
+   * @returns {number} 色値（標準テトリミノは 1-7、登録したピースはピースごとの値）
    */
   getTetrominoColorValue(type) {
-    const colorMap = {
-      'I': 1, 'O': 2, 'T': 3, 'S': 4, 'Z': 5, 'J': 6, 'L': 7
-    };
-    return colorMap[type] || 1;
+    return getPieceColorValue(type);
   }
 
   /**
@@ -313,8 +980,23 @@ export class Game {
       // 無効な状態を修正
       this.validateAndFixGameState();
       
-      // ゲームが停止中の場合は更新しない
+      // ゲームが停止中の場合は更新しない（再開後の最初の update() から改めてプレイ時間を数える）
       if (this.paused || this.gameOver) {
+        this.lastTickTime = null;
+        return;
+      }
+      
+      this.currentTime = currentTime;
+      
+      // プレイ時間を進め、モードの時間経過処理と終了判定を行う
+      this.updateElapsedTime(currentTime);
+      this.mode.onTick(this, currentTime);
+      if (this.checkModeEnd()) {
+        return;
+      }
+      
+      // ライン消去・出現待ちの間はテトリミノを操作しない
+      if (this.updateDelayPhase(currentTime)) {
         return;
       }
       
@@ -324,9 +1006,20 @@ export class Game {
         return;
       }
       
-      // 自動落下の判定と実行
-      if (this.shouldDropTetromino(currentTime)) {
-        this.dropCurrentTetromino();
+      // 自動落下の判定と実行（1G を超える重力では複数段まとめて落下する）
+      const dropCount = this.getDropCount(currentTime);
+      for (let row = 0; row < dropCount; row++) {
+        if (!this.dropCurrentTetromino()) {
+          break;
+        }
+      }
+      
+      // 固定猶予の判定
+      this.updateLockDelay(currentTime);
+      
+      // 接地中は固定猶予フェーズ、それ以外は落下フェーズ
+      if (this.currentTetromino) {
+        this.setPhase(this.lockStartTime !== null ? PHASE_LOCKING : PHASE_FALLING);
       }
       
     } catch (error) {
@@ -336,12 +1029,44 @@ export class Game {
     }
   }
 
+  /**
+   * 接地中のテトリミノの固定猶予を進め、猶予が切れたら固定する
+   * 
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  updateLockDelay(currentTime) {
+    if (!this.currentTetromino) {
+      return;
+    }
+    
+    if (!this.isTetrominoGrounded()) {
+      // 浮いている間は猶予を止める（リセット上限到達後は止めない）
+      if (this.lockResets < this.options.lockResetLimit) {
+        this.lockStartTime = null;
+      }
+      return;
+    }
+    
+    // 接地した時点から猶予を開始
+    if (this.lockStartTime === null) {
+      this.lockStartTime = currentTime;
+    }
+    
+    if (currentTime - this.lockStartTime >= this.getLockDelay()) {
+      this.fixTetrominoToBoard();
+    }
+  }
+
   /**
    * 現在のテトリミノを1段下に落下させる
+   * 
+   * 接地している場合は固定猶予を開始する（猶予が 0 の場合は即座に固定）
+   * 
+   * @returns {boolean} 1段落下できた場合は true
    */
   dropCurrentTetromino() {
     if (!this.currentTetromino) {
-      return;
+      return false;
     }
     
     const { shape, x, y } = this.currentTetromino;
@@ -350,10 +1075,222 @@ export class Game {
     if (!checkCollision(this.board, shape, x, y + 1)) {
       // 移動可能な場合は落下
       this.currentTetromino.y += 1;
-    } else {
-      // 移動不可能な場合はボードに固定
+      this.lastAction = 'move';
+      this.updateLowestRow();
+      return true;
+    }
+    
+    // 移動不可能な場合は固定猶予を開始（猶予なしの設定では即固定）
+    if (this.getLockDelay() <= 0) {
       this.fixTetrominoToBoard();
+    } else if (this.lockStartTime === null) {
+      this.lockStartTime = this.currentTime;
+    }
+    return false;
+  }
+
+  /**
+   * 固定猶予の状態を新しいテトリミノ用に初期化する
+   */
+  resetLockState() {
+    this.lockStartTime = null;     // 固定猶予の開始時刻（接地していない場合は null）
+    this.lockResets = 0;           // 固定猶予をリセットした回数
+    this.lowestY = -Infinity;      // これまでに到達した最も低い行
+    
+    // T-spin 判定用に最後に成功した操作を記録
+    this.lastAction = null;        // 'move' または 'rotate'
+    this.lastKickIndex = null;     // 最後の回転で採用した壁蹴りテスト番号
+  }
+
+  /**
+   * 現在のテトリミノが接地しているか（これ以上下に動けないか）を判定する
+   * 
+   * @returns {boolean} 接地している場合は true
+   */
+  isTetrominoGrounded() {
+    if (!this.currentTetromino) {
+      return false;
+    }
+    
+    const { shape, x, y } = this.currentTetromino;
+    return checkCollision(this.board, shape, x, y + 1);
+  }
+
+  /**
+   * 移動・回転に成功した際に固定猶予をリセットする
+   * 
+   * 固定猶予が始まった後のリセットは lockResetLimit 回までに制限され、
+   * それ以降は猶予がリセットされずに固定される
+   */
+  handleLockReset() {
+    if (this.lockStartTime === null) {
+      return;
+    }
+    
+    if (this.lockResets >= this.options.lockResetLimit) {
+      return;
+    }
+    
+    this.lockResets++;
+    // 接地したままなら猶予を再開、浮いた場合は次の接地で再開
+    this.lockStartTime = this.isTetrominoGrounded() ? this.currentTime : null;
+  }
+
+  /**
+   * テトリミノが新しく低い行に到達した場合に固定猶予のリセット回数を戻す
+   */
+  updateLowestRow() {
+    if (this.currentTetromino.y > this.lowestY) {
+      this.lowestY = this.currentTetromino.y;
+      this.lockResets = 0;
+      this.lockStartTime = null;
+    }
+  }
+
+  /**
+   * 現在のテトリミノを左右に1マス移動させる
+   * 
+   * @param {string} direction - 移動方向 ('left', 'right')
+   * @returns {boolean} 移動できた場合は true
+   */
+  moveCurrentTetromino(direction) {
+    if (!this.currentTetromino || this.paused || this.gameOver) {
+      return false;
+    }
+    
+    const offsetX = direction === 'left' ? -1 : direction === 'right' ? 1 : 0;
+    const { shape, x, y } = this.currentTetromino;
+    if (offsetX === 0 || checkCollision(this.board, shape, x + offsetX, y)) {
+      return false;
+    }
+    
+    this.currentTetromino.x += offsetX;
+    this.lastAction = 'move';
+    this.handleLockReset();
+    return true;
+  }
+
+  /**
+   * 現在のテトリミノを壁蹴り付きで回転させる
+   * 
+   * @param {string} direction - 回転方向 ('right', 'left', '180')
+   * @returns {{tetromino: Object, kickIndex: number}|null} 回転結果（回転できない場合は null）
+   */
+  rotateCurrentTetromino(direction) {
+    if (!this.currentTetromino || this.paused || this.gameOver) {
+      return null;
     }
+    
+    const result = rotateWithKicks(this.board, this.currentTetromino, direction, this.rotationSystem);
+    if (result) {
+      this.currentTetromino = result.tetromino;
+      this.lastAction = 'rotate';
+      // 180度回転の壁蹴り番号は SRS の5番目のテストと対応しないため、T-spin の昇格判定には使わない
+      this.lastKickIndex = direction === '180' ? null : result.kickIndex;
+      this.handleLockReset();
+    }
+    
+    return result;
+  }
+
+  /**
+   * 現在のテトリミノが今すぐ落下した場合の着地位置を取得する
+   * 
+   * @returns {{x: number, y: number}|null} 着地位置（テトリミノが無い場合は null）
+   */
+  getGhostPosition() {
+    if (!this.currentTetromino) {
+      return null;
+    }
+    
+    const { shape, x, y } = this.currentTetromino;
+    
+    // 衝突するまで1段ずつ下を調べる
+    let landingY = y;
+    while (!checkCollision(this.board, shape, x, landingY + 1)) {
+      landingY++;
+    }
+    
+    return { x, y: landingY };
+  }
+
+  /**
+   * スコアプロファイルを切り替える
+   * 
+   * コンボ・Back-to-Back の状態と得点内訳の累計は新しいプロファイルで初期化される
+   * （モードが専用のプロファイルを持つ場合は、設定だけ変えてモードのプロファイルを使い続ける）
+   * 
+   * @param {string} name - プロファイル名（SCORING_PROFILES のキー）
+   * @throws {Error} 未知のプロファイル名の場合
+   */
+  setScoringProfile(name) {
+    const scoring = new ScoringSystem(name);
+    this.options.scoring = name;
+    if (!this.mode.scoringProfile) {
+      this.scoring = scoring;
+    }
+  }
+
+  /**
+   * ゴーストピースの表示・非表示を切り替える
+   * 
+   * @param {boolean} enabled - 表示する場合は true
+   */
+  setGhostEnabled(enabled) {
+    this.options.showGhost = Boolean(enabled);
+  }
+
+  /**
+   * 現在のテトリミノを最下段まで一気に落下させ、即座に固定する
+   * 
+   * 落下したセル数に応じてハードドロップ得点を加算する
+   * 
+   * @returns {number} 落下したセル数（テトリミノが無い場合は 0）
+   */
+  hardDrop() {
+    if (!this.currentTetromino || this.paused || this.gameOver) {
+      return 0;
+    }
+    
+    // 着地位置まで移動
+    const landing = this.getGhostPosition();
+    const distance = landing.y - this.currentTetromino.y;
+    this.currentTetromino.y = landing.y;
+    if (distance > 0) {
+      this.lastAction = 'move';
+    }
+    
+    // セル数に応じた得点を加算（ライン数は増えない）
+    if (distance > 0) {
+      this.addScore(this.scoring.scoreHardDrop(distance), 0);
+    }
+    
+    // 即座にボードへ固定
+    this.fixTetrominoToBoard();
+    
+    return distance;
+  }
+
+  /**
+   * ソフトドロップ（プレイヤー操作による1段落下）を行う
+   * 
+   * 落下できた場合はソフトドロップ得点を加算する
+   * 
+   * @returns {boolean} 1段落下できた場合は true
+   */
+  softDrop() {
+    if (!this.currentTetromino || this.paused || this.gameOver) {
+      return false;
+    }
+    
+    const moved = this.dropCurrentTetromino();
+    if (moved) {
+      const points = this.scoring.scoreSoftDrop(1);
+      if (points > 0) {
+        this.addScore(points, 0);
+      }
+    }
+    return moved;
   }
 
   /**
@@ -395,8 +1332,19 @@ export class Game {
       // ゲームボードを描画
       this.renderer.drawBoard(this.board);
       
+      // ライン消去フェーズ中は消去中のラインを演出する
+      if (this.phase === PHASE_LINE_CLEAR && typeof this.renderer.drawLineClear === 'function') {
+        this.renderer.drawLineClear(this.clearingLines, this.board[0].length, this.getPhaseProgress());
+      }
+      
       // 現在のテトリミノを描画
       if (this.currentTetromino) {
+        // ゴーストピースはテトリミノの下に描画する
+        if (this.options.showGhost && typeof this.renderer.drawGhostTetromino === 'function') {
+          const ghost = this.getGhostPosition();
+          this.renderer.drawGhostTetromino({ ...this.currentTetromino, ...ghost });
+        }
+        
         this.renderer.drawTetromino(this.currentTetromino);
       }
       
@@ -421,13 +1369,34 @@ export class Game {
    */
   getGameState() {
     return {
+      seed: this.seed,
+      mode: this.options.mode,
+      modeSettings: { ...this.options.modeSettings },
+      pieceSet: this.mode.pieceSet ?? this.options.pieceSet,
+      elapsedTime: this.elapsedTime,
+      cleared: this.cleared,
+      boardWidth: this.boardWidth,
+      boardHeight: this.options.boardHeight,
       score: this.score,
       level: this.level,
       lines: this.lines,
       gameOver: this.gameOver,
+      gameOverReason: this.gameOverReason,
+      phase: this.phase,
       paused: this.paused,
       hasCurrentTetromino: !!this.currentTetromino,
+      holdType: this.holdType,
+      canHold: this.canHold,
+      nextPieces: this.getNextPieces(),
+      randomizer: this.options.randomizer,
+      scoring: this.mode.scoringProfile ?? this.options.scoring,
+      rotationSystem: this.options.rotationSystem,
+      scoreBreakdown: { ...this.scoring.totals },
+      combo: this.scoring.combo,
+      backToBack: this.scoring.backToBack,
       dropInterval: this.dropInterval,
+      isLocking: this.lockStartTime !== null,
+      lockResets: this.lockResets,
       lastDropTime: this.lastDropTime
     };
   }
@@ -0,0 +1,868 @@
+/**
+ * Tetris ゲームモード - 目標・終了条件・HUD 表示のまとまり
+ * 
+ * このファイルは以下のモードを提供します：
+ * - EndlessMode（終わりのないマラソン、従来のルール）
+ * - MarathonMode（150ライン消去でクリア）
+ * - KidsMode（小さいピースで遊ぶエンドレス）
+ * - SprintMode（40ラインを消去するまでのタイムアタック）
+ * - UltraMode（制限時間内のスコアアタック）
+ * - DigMode（最初から積まれたせり上がりを掘り切るまでのタイムアタック）
+ * - SurvivalMode（一定間隔でせり上がるブロックに耐え続ける）
+ * - MasterMode（TGM 方式の内部レベル・20G・段位認定）
+ * 
+ * 全てのモードは GameMode を継承し、Game から次のフックが呼ばれる：
+ * - start(game): ゲーム開始時（リセット直後）
+ * - onTick(game, currentTime): update() のたび
+ * - onLock(game, event): テトリミノ固定時（'lock' イベントと同じ情報）
+ * - onLineClear(game, event): ライン消去時（せり上がりのラインの数を含む）
+ * - onLevelUp(game, level): レベルアップ時
+ * フックの後に checkEnd(game) で終了条件を判定する。
+ * 落下間隔は getDropInterval(game)、固定猶予は getLockDelay(game) でモードごとに変えられる
+ */
+
+import { calculateLevel, T_SPIN_NONE, GARBAGE_CLEAN, GARBAGE_MESSY } from './game.js';
+import { FRAME_MS, getGravityInterval, getTgmGravity, tgmGravityToInterval } from './gravity.js';
+
+// 目標の種類
+export const GOAL_LINES = 'lines';   // 消去ライン数
+export const GOAL_TIME = 'time';     // 経過時間（ミリ秒）
+export const GOAL_SCORE = 'score';   // スコア
+export const GOAL_GARBAGE = 'garbage'; // 消去したせり上がりのライン数
+
+// HUD に表示する目標の名前（時間の目標は残り時間として表示する）
+const GOAL_LABELS = {
+  [GOAL_LINES]: '目標ライン',
+  [GOAL_SCORE]: '目標スコア',
+  [GOAL_GARBAGE]: '掘ったライン'
+};
+
+// モードによるゲーム終了の原因（トップアウト以外）
+export const MODE_END_GOAL = 'goalReached'; // 目標を達成した
+export const MODE_END_TIME_UP = 'timeUp';   // 制限時間が終わった
+
+// ウルトラで選べる制限時間（ミリ秒、1・2・3・5分）
+export const ULTRA_TIME_LIMITS = [60000, 120000, 180000, 300000];
+
+// ディグで選べるせり上がりの総数（Infinity はエンドレス）
+export const DIG_GARBAGE_ROWS = [10, 18, 100, Infinity];
+
+// ディグでボード上に同時に置くせり上がりの最大行数
+const DIG_ROWS_ON_BOARD = 10;
+
+// サバイバルのせり上がり間隔（ミリ秒）: 開始時の間隔から一定時間ごとに短くなり、最短間隔で止まる
+export const SURVIVAL_START_INTERVAL = 10000;
+export const SURVIVAL_MIN_INTERVAL = 2000;
+const SURVIVAL_INTERVAL_STEP = 1000;     // 1段階で短くなる時間
+const SURVIVAL_SPEED_UP_TIME = 30000;    // 間隔が1段階短くなるまでのプレイ時間
+// 穴が縦に揃う並びで、穴の列を移すまでにせり上がる行数
+export const SURVIVAL_CLEAN_HOLE_ROWS = 8;
+
+// マスターの内部レベル（1セクションは 100 レベル、999 でクリア）
+export const MASTER_MAX_LEVEL = 999;
+const MASTER_SECTION_LEVELS = 100;
+
+// マスターのセクションごとの固定猶予（適用開始する内部レベル, フレーム数）
+const MASTER_LOCK_DELAY_TABLE = [[0, 30], [500, 26], [600, 22], [700, 18], [800, 15]];
+
+// マスターの段位と必要なスコア（TGM 準拠、スコアは scoring.js の 'tgm' プロファイルで計算する）
+export const MASTER_GRADES = [
+  ['9', 0], ['8', 400], ['7', 800], ['6', 1400], ['5', 2000], ['4', 3500],
+  ['3', 5500], ['2', 8000], ['1', 12000], ['S1', 16000], ['S2', 22000],
+  ['S3', 30000], ['S4', 40000], ['S5', 52000], ['S6', 66000], ['S7', 82000],
+  ['S8', 100000], ['S9', 120000]
+];
+export const MASTER_GRADE_GM = 'GM';
+
+// GM の条件: 各レベルに制限時間（ミリ秒）内に、必要なスコア以上で到達していること（TGM 準拠）
+const MASTER_GM_REQUIREMENTS = [[300, 255000, 12000], [500, 450000, 40000], [999, 810000, 126000]];
+
+// 消去の種類（ウルトラの結果画面の内訳用）
+export const CLEAR_TYPES = ['single', 'double', 'triple', 'tetris', 'pentris', 'tSpin'];
+const LINE_CLEAR_TYPES = { 1: 'single', 2: 'double', 3: 'triple', 4: 'tetris', 5: 'pentris' };
+
+/**
+ * 消去の種類ごとの集計を空の状態で作成する
+ * 
+ * @returns {Object} 消去の種類 → { count, points }
+ */
+function createClearStats() {
+  return Object.fromEntries(CLEAR_TYPES.map(type => [type, { count: 0, points: 0 }]));
+}
+
+/**
+ * 時間を「分:秒.小数部」の形式にする
+ * 
+ * @param {number} ms - 時間（ミリ秒）
+ * @param {number} fractionDigits - 秒の小数部の桁数（1〜3、デフォルト: 2）
+ * @returns {string} 表示用の文字列（例: 1:05.42、3桁の場合は 1:05.423）
+ */
+export function formatTime(ms, fractionDigits = 2) {
+  const unitsPerSecond = 10 ** fractionDigits;
+  const units = Math.floor(Math.max(0, ms) * unitsPerSecond / 1000);
+  const minutes = Math.floor(units / (unitsPerSecond * 60));
+  const seconds = Math.floor(units / unitsPerSecond) % 60;
+  const fraction = units % unitsPerSecond;
+  return `${minutes}:${String(seconds).padStart(2, '0')}.${String(fraction).padStart(fractionDigits, '0')}`;
+}
+
+/**
+ * GameMode クラス - 全てのモードの基底クラス
+ * 
+ * goal を設定すると、目標に達した時点でクリアとしてゲームを終了する
+ * （時間の目標は制限時間として扱う）
+ */
+export class GameMode {
+  constructor() {
+    this.name = 'Game';         // メニュー・HUD に表示する名前
+    this.description = '';      // メニューに表示する説明
+    this.goal = null;           // 目標 { type: GOAL_*, target: number }（null の場合は終わりなし）
+    this.pieceSet = null;       // モード専用のピースセット（null の場合はゲーム設定に従う）
+    this.scoringProfile = null; // モード専用のスコアプロファイル（null の場合はゲーム設定に従う）
+  }
+
+  /**
+   * ゲーム開始時の処理
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   */
+  start(game) {}
+
+  /**
+   * update() のたびに呼ばれる処理
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  onTick(game, currentTime) {}
+
+  /**
+   * テトリミノ固定時の処理
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {Object} event - 'lock' イベントの情報（tetromino, tSpin, linesCleared, scoring）
+   */
+  onLock(game, event) {}
+
+  /**
+   * ライン消去時の処理
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {Object} event - 消去の情報（linesCleared, rows, garbageLinesCleared, scoring）
+   */
+  onLineClear(game, event) {}
+
+  /**
+   * レベルアップ時の処理
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {number} level - 新しいレベル
+   */
+  onLevelUp(game, level) {}
+
+  /**
+   * 消去ライン数からレベルを求める
+   * 
+   * @param {number} lines - 消去したライン数
+   * @param {number} startLevel - 開始レベル
+   * @returns {number} レベル
+   */
+  calculateLevel(lines, startLevel) {
+    return calculateLevel(lines, startLevel);
+  }
+
+  /**
+   * 自動落下の間隔を求める
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {number} 落下間隔（ミリ秒、デフォルトはゲーム設定の落下速度カーブとレベルで決まる）
+   */
+  getDropInterval(game) {
+    return getGravityInterval(game.options.gravity, game.level);
+  }
+
+  /**
+   * 得点計算に使うレベルを求める
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {number} レベル（デフォルトはゲームのレベル）
+   */
+  getScoringLevel(game) {
+    return game.level;
+  }
+
+  /**
+   * 固定猶予を求める
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {number} 固定猶予（ミリ秒、デフォルトはゲーム設定の値）
+   */
+  getLockDelay(game) {
+    return game.options.lockDelay;
+  }
+
+  /**
+   * 目標に対する現在の進み具合を取得する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {number} 消去ライン数・経過時間・スコアのいずれか（目標が無い場合・モード独自の目標の場合は 0）
+   */
+  getGoalProgress(game) {
+    switch (this.goal && this.goal.type) {
+      case GOAL_LINES:
+        return game.lines;
+      case GOAL_TIME:
+        return game.elapsedTime;
+      case GOAL_SCORE:
+        return game.score;
+      default:
+        return 0;
+    }
+  }
+
+  /**
+   * 終了条件を判定する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {{cleared: boolean, reason: string}|null} 終了する場合は結果（続ける場合は null）
+   */
+  checkEnd(game) {
+    if (!this.goal || this.getGoalProgress(game) < this.goal.target) {
+      return null;
+    }
+    return {
+      cleared: true,
+      reason: this.goal.type === GOAL_TIME ? MODE_END_TIME_UP : MODE_END_GOAL
+    };
+  }
+
+  /**
+   * HUD に表示する項目を取得する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {{label: string, value: string}[]} 表示する項目の配列
+   */
+  getHudFields(game) {
+    const fields = [{ label: '時間', value: formatTime(game.elapsedTime) }];
+
+    if (this.goal) {
+      const { type, target } = this.goal;
+      if (type === GOAL_TIME) {
+        fields.push({ label: '残り時間', value: formatTime(target - game.elapsedTime) });
+      } else {
+        fields.push({ label: GOAL_LABELS[type], value: `${Math.min(this.getGoalProgress(game), target)} / ${target}` });
+      }
+    }
+
+    return fields;
+  }
+}
+
+/**
+ * EndlessMode クラス - トップアウトするまで続くマラソン（従来のルール）
+ */
+export class EndlessMode extends GameMode {
+  constructor() {
+    super();
+    this.name = 'エンドレス';
+    this.description = 'トップアウトするまで続けて、スコアを競う';
+  }
+}
+
+/**
+ * MarathonMode クラス - 指定ライン数（デフォルト 150 ライン）を消去するとクリア
+ */
+export class MarathonMode extends GameMode {
+  /**
+   * @param {Object} settings - モードの設定
+   * @param {number} settings.goalLines - クリアに必要なライン数（デフォルト: 150）
+   */
+  constructor({ goalLines = 150 } = {}) {
+    super();
+    this.name = 'マラソン';
+    this.description = `${goalLines}ライン消去でクリア`;
+    this.goal = { type: GOAL_LINES, target: goalLines };
+  }
+}
+
+/**
+ * KidsMode クラス - モノミノ・ドミノ・トロミノだけで遊ぶエンドレス
+ */
+export class KidsMode extends GameMode {
+  constructor() {
+    super();
+    this.name = 'キッズ';
+    this.description = '小さいピースだけで遊ぶ';
+    this.pieceSet = 'kids';
+  }
+}
+
+/**
+ * SprintMode クラス - 指定ライン数（デフォルト 40 ライン）を消去するまでの時間を競う
+ * 
+ * 時間はゲームループの時刻で進むプレイ時間（一時停止中は進まない）を使い、
+ * 一定ライン数（デフォルト 10 ライン）ごとにスプリットタイムを記録する
+ */
+export class SprintMode extends GameMode {
+  /**
+   * @param {Object} settings - モードの設定
+   * @param {number} settings.goalLines - クリアに必要なライン数（デフォルト: 40）
+   * @param {number} settings.splitLines - スプリットタイムを記録する間隔のライン数（デフォルト: 10）
+   */
+  constructor({ goalLines = 40, splitLines = 10 } = {}) {
+    super();
+    this.name = 'スプリント';
+    this.description = `${goalLines}ラインをできるだけ速く消去`;
+    this.goal = { type: GOAL_LINES, target: goalLines };
+    this.splitLines = splitLines;
+    this.recordKey = `sprint${goalLines}`; // 自己ベストを保存するキー
+    this.splits = [];                       // スプリットタイム { lines, time } の配列
+    this.pieces = 0;                        // 固定したピースの数
+  }
+
+  /**
+   * ゲーム開始時にスプリットタイムとピース数をリセットする
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   */
+  start(game) {
+    this.splits = [];
+    this.pieces = 0;
+  }
+
+  /**
+   * ピース数を数え、区切りのライン数を超えた時点のスプリットタイムを記録する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {Object} event - 'lock' イベントの情報
+   */
+  onLock(game, event) {
+    this.pieces++;
+
+    let nextSplit = (this.splits.length + 1) * this.splitLines;
+    while (nextSplit <= Math.min(game.lines, this.goal.target)) {
+      this.splits.push({ lines: nextSplit, time: game.elapsedTime });
+      nextSplit += this.splitLines;
+    }
+  }
+
+  /**
+   * 1秒あたりに固定したピースの数（PPS）を求める
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {number} PPS（プレイ時間が 0 の場合は 0）
+   */
+  getPiecesPerSecond(game) {
+    return game.elapsedTime > 0 ? this.pieces / (game.elapsedTime / 1000) : 0;
+  }
+
+  /**
+   * HUD に時間・目標ライン・PPS・スプリットタイムを表示する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {{label: string, value: string}[]} 表示する項目の配列
+   */
+  getHudFields(game) {
+    return [
+      ...super.getHudFields(game),
+      { label: 'PPS', value: this.getPiecesPerSecond(game).toFixed(2) },
+      ...this.splits.map(({ lines, time }) => ({ label: `${lines}ライン`, value: formatTime(time) }))
+    ];
+  }
+
+  /**
+   * 結果画面に表示する記録を取得する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {{time: number, pieces: number, piecesPerSecond: number, splits: Object[]}} 最終タイム・ピース数・PPS・スプリットタイム
+   */
+  getResult(game) {
+    return {
+      time: game.elapsedTime,
+      pieces: this.pieces,
+      piecesPerSecond: this.getPiecesPerSecond(game),
+      splits: this.splits.map(split => ({ ...split }))
+    };
+  }
+}
+
+/**
+ * UltraMode クラス - 制限時間（デフォルト 2 分）内のスコアを競う
+ * 
+ * 一時停止中を除いたプレイ時間が制限時間に達した時点で終了し、
+ * 得点を消去の種類（シングル〜テトリス・T-spin）ごとに集計する
+ */
+export class UltraMode extends GameMode {
+  /**
+   * @param {Object} settings - モードの設定
+   * @param {number} settings.timeLimit - 制限時間（ミリ秒、ULTRA_TIME_LIMITS のいずれか、デフォルト: 120000）
+   * @throws {Error} 制限時間が ULTRA_TIME_LIMITS に無い場合
+   */
+  constructor({ timeLimit = 120000 } = {}) {
+    super();
+    if (!ULTRA_TIME_LIMITS.includes(timeLimit)) {
+      throw new Error(`Invalid ultra time limit: ${timeLimit}`);
+    }
+    this.name = 'ウルトラ';
+    this.description = `${timeLimit / 60000}分間でスコアを競う`;
+    this.goal = { type: GOAL_TIME, target: timeLimit };
+    this.recordKey = `ultra${timeLimit / 1000}`; // 自己ベストを保存するキー
+    this.clearStats = createClearStats();        // 消去の種類ごとの { count, points }
+  }
+
+  /**
+   * ゲーム開始時に消去の集計をリセットする
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   */
+  start(game) {
+    this.clearStats = createClearStats();
+  }
+
+  /**
+   * プレイ時間が制限時間を超えないようにする（最後のフレームの超過分を切り捨てる）
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  onTick(game, currentTime) {
+    game.elapsedTime = Math.min(game.elapsedTime, this.goal.target);
+  }
+
+  /**
+   * 消去の種類ごとに回数と得点を集計する
+   * 
+   * T-spin はライン数に関わらず T-spin として数える（ラインを消さない T-spin を含む）
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {Object} event - 'lock' イベントの情報
+   */
+  onLock(game, { scoring }) {
+    const type = scoring.tSpin !== T_SPIN_NONE ? 'tSpin' : LINE_CLEAR_TYPES[scoring.linesCleared];
+    if (!type) {
+      return;
+    }
+    this.clearStats[type].count++;
+    this.clearStats[type].points += scoring.total;
+  }
+
+  /**
+   * 結果画面に表示する記録を取得する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {{score: number, clears: Object, otherPoints: number}} 最終スコア・消去の種類ごとの内訳・それ以外（ドロップ）の得点
+   */
+  getResult(game) {
+    const clears = Object.fromEntries(
+      Object.entries(this.clearStats).map(([type, stats]) => [type, { ...stats }])
+    );
+    const clearPoints = Object.values(clears).reduce((sum, { points }) => sum + points, 0);
+    return { score: game.score, clears, otherPoints: game.score - clearPoints };
+  }
+}
+
+/**
+ * DigMode クラス - 最初から積まれたせり上がりを全て消去するまでの時間を競う
+ * 
+ * ボード上のせり上がりは最大 DIG_ROWS_ON_BOARD 行で、消去した分だけ総数に達するまで下から補充する。
+ * 進み具合にはせり上がりのブロックを含むラインだけを数える
+ */
+export class DigMode extends GameMode {
+  /**
+   * @param {Object} settings - モードの設定
+   * @param {number} settings.garbageRows - せり上がりの総数（DIG_GARBAGE_ROWS のいずれか、Infinity でエンドレス、デフォルト: 10）
+   * @throws {Error} 総数が DIG_GARBAGE_ROWS に無い場合
+   */
+  constructor({ garbageRows = 10 } = {}) {
+    super();
+    if (!DIG_GARBAGE_ROWS.includes(garbageRows)) {
+      throw new Error(`Invalid dig garbage rows: ${garbageRows}`);
+    }
+    const isEndless = garbageRows === Infinity;
+    this.name = 'ディグ';
+    this.description = isEndless ? 'せり上がりを掘り続ける' : `${garbageRows}段のせり上がりを掘り切る`;
+    this.goal = isEndless ? null : { type: GOAL_GARBAGE, target: garbageRows };
+    this.garbageRows = garbageRows;
+    this.garbageAdded = 0;    // これまでに追加したせり上がりの行数
+    this.garbageCleared = 0;  // 消去したせり上がりのライン数
+    this.pendingRows = 0;     // 次に補充するせり上がりの行数
+  }
+
+  /**
+   * ゲーム開始時にせり上がりをボードの下端に積む
+   * 
+   * ボードが低い場合は表示領域の半分までにする
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   */
+  start(game) {
+    this.garbageAdded = 0;
+    this.garbageCleared = 0;
+    this.pendingRows = 0;
+
+    const rowsOnBoard = Math.min(DIG_ROWS_ON_BOARD, Math.floor(game.options.boardHeight / 2));
+    this.addGarbage(game, rowsOnBoard);
+  }
+
+  /**
+   * 総数を超えない範囲でせり上がりを追加する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {number} count - 追加したい行数
+   */
+  addGarbage(game, count) {
+    const rows = Math.min(count, this.garbageRows - this.garbageAdded);
+    if (rows > 0 && game.addGarbageRows(rows)) {
+      this.garbageAdded += rows;
+    }
+  }
+
+  /**
+   * ライン消去が終わって盤面が落ち着いてから、消去した分のせり上がりを補充する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  onTick(game, currentTime) {
+    if (this.pendingRows > 0 && game.clearingLines.length === 0) {
+      this.addGarbage(game, this.pendingRows);
+      this.pendingRows = 0;
+    }
+  }
+
+  /**
+   * 消去したせり上がりのラインを数える
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {Object} event - 消去の情報
+   */
+  onLineClear(game, { garbageLinesCleared }) {
+    this.garbageCleared += garbageLinesCleared;
+    this.pendingRows += garbageLinesCleared;
+  }
+
+  /**
+   * 目標に対する現在の進み具合を取得する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {number} 消去したせり上がりのライン数
+   */
+  getGoalProgress(game) {
+    return this.garbageCleared;
+  }
+
+  /**
+   * HUD に時間・掘ったライン（エンドレスでは掘ったライン数のみ）を表示する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {{label: string, value: string}[]} 表示する項目の配列
+   */
+  getHudFields(game) {
+    const fields = super.getHudFields(game);
+    if (!this.goal) {
+      fields.push({ label: GOAL_LABELS[GOAL_GARBAGE], value: String(this.garbageCleared) });
+    }
+    return fields;
+  }
+}
+
+/**
+ * SurvivalMode クラス - 一定間隔でせり上がるブロックに耐えてトップアウトまでの時間を競う
+ * 
+ * せり上がりの間隔はプレイ時間に応じて短くなる（一時停止中は進まない）
+ */
+export class SurvivalMode extends GameMode {
+  /**
+   * @param {Object} settings - モードの設定
+   * @param {string} settings.pattern - 穴の並び方（GARBAGE_CLEAN / GARBAGE_MESSY、デフォルト: GARBAGE_MESSY）
+   * @throws {Error} 未知の並び方の場合
+   */
+  constructor({ pattern = GARBAGE_MESSY } = {}) {
+    super();
+    if (pattern !== GARBAGE_CLEAN && pattern !== GARBAGE_MESSY) {
+      throw new Error(`Unknown garbage pattern: ${pattern}`);
+    }
+    this.name = 'サバイバル';
+    this.description = pattern === GARBAGE_CLEAN
+      ? 'せり上がり（穴が縦に揃う）に耐え続ける'
+      : 'せり上がり（穴がばらばら）に耐え続ける';
+    this.pattern = pattern;
+    this.nextGarbageTime = SURVIVAL_START_INTERVAL; // 次にせり上がるプレイ時間
+    this.garbageAdded = 0;                          // せり上がった行数
+    this.holeColumn = null;                         // 穴が縦に揃う並びで現在穴を空けている列
+  }
+
+  /**
+   * プレイ時間に応じたせり上がりの間隔を求める
+   * 
+   * @param {number} elapsedTime - プレイ時間（ミリ秒）
+   * @returns {number} せり上がりの間隔（ミリ秒）
+   */
+  getGarbageInterval(elapsedTime) {
+    const steps = Math.floor(elapsedTime / SURVIVAL_SPEED_UP_TIME);
+    return Math.max(SURVIVAL_MIN_INTERVAL, SURVIVAL_START_INTERVAL - steps * SURVIVAL_INTERVAL_STEP);
+  }
+
+  /**
+   * ゲーム開始時にせり上がりのタイマーをリセットする
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   */
+  start(game) {
+    this.nextGarbageTime = this.getGarbageInterval(0);
+    this.garbageAdded = 0;
+    this.holeColumn = null;
+  }
+
+  /**
+   * せり上がりの時刻になったら1行せり上げる（ライン消去の途中は消去が終わるまで待つ）
+   * 
+   * 穴が縦に揃う並びでは、1行ずつ追加しても同じ列に穴が続くよう列を保持し、
+   * SURVIVAL_CLEAN_HOLE_ROWS 行ごとにゲームのシード付き乱数で列を移す
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {number} currentTime - 現在の時刻（ミリ秒）
+   */
+  onTick(game, currentTime) {
+    if (game.elapsedTime < this.nextGarbageTime || game.clearingLines.length > 0) {
+      return;
+    }
+    if (this.pattern === GARBAGE_CLEAN && (this.holeColumn === null || this.garbageAdded % SURVIVAL_CLEAN_HOLE_ROWS === 0)) {
+      this.holeColumn = Math.floor(game.random() * game.board[0].length);
+    }
+    if (game.addGarbageRows(1, this.pattern, this.holeColumn)) {
+      this.garbageAdded++;
+    }
+    this.nextGarbageTime += this.getGarbageInterval(this.nextGarbageTime);
+  }
+
+  /**
+   * HUD に時間・次のせり上がりまでの時間・せり上がった行数を表示する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {{label: string, value: string}[]} 表示する項目の配列
+   */
+  getHudFields(game) {
+    return [
+      ...super.getHudFields(game),
+      { label: '次のせり上がり', value: formatTime(this.nextGarbageTime - game.elapsedTime) },
+      { label: 'せり上がり', value: `${this.garbageAdded}段` }
+    ];
+  }
+}
+
+/**
+ * MasterMode クラス - TGM 方式の内部レベルで 999 を目指し、段位を認定する
+ * 
+ * 内部レベルはピースを固定するたびに 1、ラインを消去するとライン数だけ上がる。
+ * 各セクションの最後（x99 と 998）ではライン消去でしか上がらない（セクションストップ）。
+ * 落下速度は内部レベルに応じた TGM の重力（500 で 20G）、固定猶予は後半のセクションほど短くなる。
+ * 得点はゲーム設定によらず TGM の計算式（'tgm' プロファイル、内部レベルを使う）で計算し、TGM の段位表で認定する
+ */
+export class MasterMode extends GameMode {
+  constructor() {
+    super();
+    this.name = 'マスター';
+    this.description = '20Gを越えてレベル999を目指し、段位を認定する';
+    this.internalLevel = 0;     // 内部レベル（0〜MASTER_MAX_LEVEL）
+    this.sectionTimes = [];     // 完了したセクションごとの所要時間
+    this.levelTimes = [];       // GM の条件のレベルに到達した時のプレイ時間とスコア { level, time, score }
+    this.sectionStartTime = 0;  // 現在のセクションを始めたプレイ時間
+    this.scoringProfile = 'tgm';
+  }
+
+  /**
+   * ゲーム開始時に内部レベルとセクションタイムをリセットする
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   */
+  start(game) {
+    this.internalLevel = 0;
+    this.sectionTimes = [];
+    this.levelTimes = [];
+    this.sectionStartTime = 0;
+    game.level = this.getSection() + 1;
+    game.updateDropInterval();
+  }
+
+  /**
+   * 現在のセクション番号を取得する
+   * 
+   * @returns {number} 0 から始まるセクション番号
+   */
+  getSection() {
+    return Math.floor(this.internalLevel / MASTER_SECTION_LEVELS);
+  }
+
+  /**
+   * 現在のセクションストップのレベルを取得する
+   * 
+   * @returns {number} ピースの固定だけでは越えられないレベル（x99、最後のセクションは 998）
+   */
+  getSectionStop() {
+    return Math.min((this.getSection() + 1) * MASTER_SECTION_LEVELS - 1, MASTER_MAX_LEVEL - 1);
+  }
+
+  /**
+   * 固定したピースと消去したライン数で内部レベルを上げる
+   * 
+   * セクションを越えたらセクションタイムを記録し、ゲームのレベル（セクション番号 + 1）と落下速度を更新する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @param {Object} event - 'lock' イベントの情報
+   */
+  onLock(game, { linesCleared }) {
+    const previousSection = this.getSection();
+    let level = this.internalLevel;
+    if (level < this.getSectionStop()) {
+      level++;
+    }
+    level = Math.min(level + linesCleared, MASTER_MAX_LEVEL);
+
+    // GM の判定用に、条件のレベルに到達した時刻とスコアを記録する
+    MASTER_GM_REQUIREMENTS.forEach(([target]) => {
+      if (this.internalLevel < target && level >= target) {
+        this.levelTimes.push({ level: target, time: game.elapsedTime, score: game.score });
+      }
+    });
+    this.internalLevel = level;
+
+    const section = this.getSection();
+    if (section > previousSection || level === MASTER_MAX_LEVEL) {
+      this.sectionTimes.push(game.elapsedTime - this.sectionStartTime);
+      this.sectionStartTime = game.elapsedTime;
+    }
+    game.level = section + 1;
+    game.updateDropInterval();
+  }
+
+  /**
+   * ゲームのレベルは内部レベルのセクションで決まるため、消去ライン数では変えない
+   * 
+   * @param {number} lines - 消去したライン数
+   * @param {number} startLevel - 開始レベル
+   * @returns {number} 現在のセクション番号 + 1
+   */
+  calculateLevel(lines, startLevel) {
+    return this.getSection() + 1;
+  }
+
+  /**
+   * 内部レベルに応じた TGM の重力で落下間隔を求める
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {number} 落下間隔（ミリ秒、内部レベル 500 以降は 20G）
+   */
+  getDropInterval(game) {
+    return tgmGravityToInterval(getTgmGravity(this.internalLevel));
+  }
+
+  /**
+   * 内部レベルに応じた固定猶予を求める
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {number} 固定猶予（ミリ秒）
+   */
+  getLockDelay(game) {
+    let frames = MASTER_LOCK_DELAY_TABLE[0][1];
+    for (const [startLevel, value] of MASTER_LOCK_DELAY_TABLE) {
+      if (this.internalLevel < startLevel) {
+        break;
+      }
+      frames = value;
+    }
+    return frames * FRAME_MS;
+  }
+
+  /**
+   * TGM の計算式は内部レベルで得点を計算する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {number} 消去前の内部レベル
+   */
+  getScoringLevel(game) {
+    return this.internalLevel;
+  }
+
+  /**
+   * 内部レベルが 999 に達したらクリアとする
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {{cleared: boolean, reason: string}|null} 終了する場合は結果（続ける場合は null）
+   */
+  checkEnd(game) {
+    return this.internalLevel >= MASTER_MAX_LEVEL ? { cleared: true, reason: MODE_END_GOAL } : null;
+  }
+
+  /**
+   * スコアとセクションタイムから段位を求める
+   * 
+   * TGM の計算式によるスコアを TGM の段位表に当てはめて 9〜S9 を決め、
+   * レベル 300・500・999 に制限時間内かつ必要なスコア（12000・40000・126000）以上で到達していれば GM とする
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {string} 段位（'9'〜'1'、'S1'〜'S9'、'GM'）
+   */
+  getGrade(game) {
+    let grade = MASTER_GRADES[0][0];
+    for (const [name, score] of MASTER_GRADES) {
+      if (game.score < score) {
+        break;
+      }
+      grade = name;
+    }
+
+    const isGrandMaster = MASTER_GM_REQUIREMENTS.every(([level, timeLimit, minScore]) => {
+      const reached = this.levelTimes.find(entry => entry.level === level);
+      return reached && reached.time <= timeLimit && reached.score >= minScore;
+    });
+    return isGrandMaster ? MASTER_GRADE_GM : grade;
+  }
+
+  /**
+   * HUD に時間・内部レベル・段位・セクションタイムを表示する
+   * 
+   * @param {Game} game - 対象の Game インスタンス
+   * @returns {{label: string, value: string}[]} 表示する項目の配列
+   */
+  getHudFields(game) {
+    const nextStop = Math.min(this.getSectionStop() + 1, MASTER_MAX_LEVEL);
+    return [
+      ...super.getHudFields(game),
+      { label: 'レベル', value: `${this.internalLevel} / ${nextStop}` },
+      { label: '段位', value: this.getGrade(game) },
+      ...this.sectionTimes.map((time, index) => ({
+        label: `${index * MASTER_SECTION_LEVELS}〜`,
+        value: formatTime(time)
+      }))
+    ];
+  }
+}
+
+// 選択可能なモードの一覧
+export const GAME_MODES = {
+  endless: EndlessMode,
+  marathon: MarathonMode,
+  sprint: SprintMode,
+  ultra: UltraMode,
+  dig: DigMode,
+  survival: SurvivalMode,
+  master: MasterMode,
+  kids: KidsMode
+};
+
+/**
+ * 名前を指定してモードを作成する
+ * 
+ * @param {string} name - モード名（GAME_MODES のキー）
+ * @param {Object} settings - モードの設定（モードのコンストラクタに渡す）
+ * @returns {GameMode} モード
+ * @throws {Error} 未知のモード名の場合
+ */
+export function createGameMode(name, settings = {}) {
+  const ModeClass = GAME_MODES[name];
+  if (!ModeClass) {
+    throw new Error(`Unknown game mode: ${name}`);
+  }
+  return new ModeClass(settings);
+}
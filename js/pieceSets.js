@@ -0,0 +1,108 @@
+/**
+ * Tetris ピースセット - 出現するピースの組み合わせ
+ * 
+ * このファイルは以下のピースセットを提供します：
+ * - tetromino（標準の7種類のテトリミノ）
+ * - pentomino（片面ペントミノ18種類）
+ * - mixed（テトリミノ＋ペントミノ）
+ * - kids（モノミノ・ドミノ・トロミノの小さいピース）
+ * 
+ * モードなどから registerPiece() でピースを登録し、registerPieceSet() で独自のセットを追加できる
+ */
+
+import { TETROMINOS, registerPiece, getPieceDefinition } from './tetromino.js';
+
+// 片面ペントミノ18種類（回転状態 0 の形状、r は鏡像）
+export const PENTOMINOES = {
+  F5: { color: '#E57373', shape: [[0, 1, 1], [1, 1, 0], [0, 1, 0]] },
+  F5r: { color: '#F06292', shape: [[1, 1, 0], [0, 1, 1], [0, 1, 0]] },
+  I5: {
+    color: '#4DD0E1',
+    shape: [
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0],
+      [1, 1, 1, 1, 1],
+      [0, 0, 0, 0, 0],
+      [0, 0, 0, 0, 0]
+    ]
+  },
+  L5: { color: '#FFB74D', shape: [[0, 0, 0, 1], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]] },
+  J5: { color: '#7986CB', shape: [[1, 0, 0, 0], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]] },
+  N5: { color: '#A1887F', shape: [[1, 1, 0, 0], [0, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]] },
+  N5r: { color: '#BCAAA4', shape: [[0, 0, 1, 1], [1, 1, 1, 0], [0, 0, 0, 0], [0, 0, 0, 0]] },
+  P5: { color: '#BA68C8', shape: [[1, 1, 1], [1, 1, 0], [0, 0, 0]] },
+  P5r: { color: '#9575CD', shape: [[1, 1, 1], [0, 1, 1], [0, 0, 0]] },
+  T5: { color: '#CE93D8', shape: [[1, 1, 1], [0, 1, 0], [0, 1, 0]] },
+  U5: { color: '#FFF176', shape: [[1, 0, 1], [1, 1, 1], [0, 0, 0]] },
+  V5: { color: '#64B5F6', shape: [[1, 0, 0], [1, 0, 0], [1, 1, 1]] },
+  W5: { color: '#81C784', shape: [[1, 0, 0], [1, 1, 0], [0, 1, 1]] },
+  X5: { color: '#E0E0E0', shape: [[0, 1, 0], [1, 1, 1], [0, 1, 0]] },
+  Y5: { color: '#4DB6AC', shape: [[0, 1, 0, 0], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]] },
+  Y5r: { color: '#80CBC4', shape: [[0, 0, 1, 0], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]] },
+  Z5: { color: '#EF5350', shape: [[1, 1, 0], [0, 1, 0], [0, 1, 1]] },
+  S5: { color: '#66BB6A', shape: [[0, 1, 1], [0, 1, 0], [1, 1, 0]] }
+};
+
+// キッズ向けの小さいピース（モノミノ・ドミノ・トロミノ）
+export const KIDS_PIECES = {
+  O1: { color: '#FFD54F', shape: [[1]] },
+  I2: { color: '#4FC3F7', shape: [[1, 1], [0, 0]] },
+  I3: { color: '#AED581', shape: [[0, 0, 0], [1, 1, 1], [0, 0, 0]] },
+  L3: { color: '#FF8A65', shape: [[1, 0], [1, 1]] }
+};
+
+Object.entries({ ...PENTOMINOES, ...KIDS_PIECES }).forEach(([type, definition]) => {
+  registerPiece(type, definition);
+});
+
+// 選択可能なピースセットの一覧（セット名 → 出現するピースの種類）
+export const PIECE_SETS = {
+  tetromino: Object.keys(TETROMINOS),
+  pentomino: Object.keys(PENTOMINOES),
+  mixed: [...Object.keys(TETROMINOS), ...Object.keys(PENTOMINOES)],
+  kids: Object.keys(KIDS_PIECES)
+};
+
+/**
+ * ピースセットを登録する
+ * 
+ * @param {string} name - セット名
+ * @param {string[]} types - 出現するピースの種類（registerPiece() で登録済みのもの）
+ * @throws {Error} 未登録のピースが含まれる場合、またはピースが無い場合
+ */
+export function registerPieceSet(name, types) {
+  if (!Array.isArray(types) || types.length === 0) {
+    throw new Error(`Piece set must contain at least one piece: ${name}`);
+  }
+  types.forEach((type) => {
+    if (!getPieceDefinition(type)) {
+      throw new Error(`Unknown piece type: ${type}`);
+    }
+  });
+  PIECE_SETS[name] = [...types];
+}
+
+/**
+ * ピースセットの全てのピースを出現させるのに必要なボードの幅を求める
+ * 
+ * @param {string[]} types - 出現するピースの種類
+ * @returns {number} 最も幅の広いピースの形状の枠の幅（I5 を含むセットでは 5）
+ */
+export function getPieceSetWidth(types) {
+  return Math.max(...types.map(type => getPieceDefinition(type).shapes[0][0].length));
+}
+
+/**
+ * 名前を指定してピースセットを取得する
+ * 
+ * @param {string} name - セット名（PIECE_SETS のキー）
+ * @returns {string[]} 出現するピースの種類
+ * @throws {Error} 未知のセット名の場合
+ */
+export function getPieceSet(name) {
+  const types = PIECE_SETS[name];
+  if (!types) {
+    throw new Error(`Unknown piece set: ${name}`);
+  }
+  return [...types];
+}
@@ -0,0 +1,201 @@
+/**
+ * Tetris ランダマイザー - テトリミノ出現順の決定アルゴリズム
+ * 
+ * このファイルは以下のランダマイザーを提供します：
+ * - SevenBagRandomizer（7種1巡のバッグ方式、現行ガイドライン）
+ * - PureRandomizer（完全ランダム）
+ * - HistoryRandomizer（TGM方式、履歴に基づく再抽選）
+ * - NesRandomizer（NES方式、1回だけ再抽選）
+ * 
+ * 全てのランダマイザーは next() で次のテトリミノタイプを返す共通インターフェースを持つ
+ * 出現するピースの種類はコンストラクタで指定できる（ピースセット、デフォルトは標準の7種類）
+ */
+
+// 出現するテトリミノの種類
+export const TETROMINO_TYPES = ['I', 'O', 'T', 'S', 'Z', 'J', 'L'];
+
+/**
+ * 乱数関数から配列の要素を1つ選ぶ
+ * 
+ * @param {Array} items - 候補の配列
+ * @param {Function} random - 0以上1未満の数を返す乱数関数
+ * @returns {*} 選ばれた要素
+ */
+function pickRandom(items, random) {
+  return items[Math.floor(random() * items.length)];
+}
+
+/**
+ * PureRandomizer クラス - 全種類を等確率で選ぶ
+ */
+export class PureRandomizer {
+  /**
+   * @param {Function} random - 乱数関数（デフォルト: Math.random）
+   * @param {string[]} types - 出現するピースの種類（デフォルト: 標準の7種類）
+   */
+  constructor(random = Math.random, types = TETROMINO_TYPES) {
+    this.random = random;
+    this.types = types;
+  }
+
+  /**
+   * 次のテトリミノタイプを取得する
+   * 
+   * @returns {string} テトリミノタイプ
+   */
+  next() {
+    return pickRandom(this.types, this.random);
+  }
+}
+
+/**
+ * SevenBagRandomizer クラス - 7種類を1つずつ入れた袋をシャッフルして順に取り出す
+ * 
+ * 同じテトリミノの出現間隔は最大12個に収まる
+ * （標準以外のピースセットでは全種類を1つずつ入れた袋を使う）
+ */
+export class SevenBagRandomizer {
+  /**
+   * @param {Function} random - 乱数関数（デフォルト: Math.random）
+   * @param {string[]} types - 出現するピースの種類（デフォルト: 標準の7種類）
+   */
+  constructor(random = Math.random, types = TETROMINO_TYPES) {
+    this.random = random;
+    this.types = types;
+    this.bag = [];
+  }
+
+  /**
+   * 袋を補充してシャッフルする（Fisher-Yates）
+   */
+  refillBag() {
+    this.bag = [...this.types];
+    for (let i = this.bag.length - 1; i > 0; i--) {
+      const j = Math.floor(this.random() * (i + 1));
+      [this.bag[i], this.bag[j]] = [this.bag[j], this.bag[i]];
+    }
+  }
+
+  /**
+   * 次のテトリミノタイプを取得する
+   * 
+   * @returns {string} テトリミノタイプ
+   */
+  next() {
+    if (this.bag.length === 0) {
+      this.refillBag();
+    }
+    return this.bag.shift();
+  }
+}
+
+/**
+ * HistoryRandomizer クラス - TGM方式の履歴ランダマイザー
+ * 
+ * 直近の出現履歴に含まれるタイプが選ばれた場合、指定回数まで再抽選する（最初の抽選と合わせて最大 rerolls + 1 回引く）。
+ * 最初の1個は S・Z・O 以外から選ばれる。
+ */
+export class HistoryRandomizer {
+  /**
+   * @param {Function} random - 乱数関数（デフォルト: Math.random）
+   * @param {string[]} types - 出現するピースの種類（デフォルト: 標準の7種類）
+   * @param {number} rerolls - 再抽選の回数の上限（デフォルト: 4、TGM と同じ）
+   * @param {number} historySize - 参照する履歴の長さ（デフォルト: 4）
+   */
+  constructor(random = Math.random, types = TETROMINO_TYPES, rerolls = 4, historySize = 4) {
+    this.random = random;
+    this.types = types;
+    this.rerolls = rerolls;
+    this.history = Array(historySize).fill('Z');
+    this.isFirst = true;
+  }
+
+  /**
+   * 次のテトリミノタイプを取得する
+   * 
+   * @returns {string} テトリミノタイプ
+   */
+  next() {
+    let type;
+
+    if (this.isFirst) {
+      // 最初の1個は置きにくい S・Z・O を避ける（セットに含まれない場合は全種類から選ぶ）
+      const firstTypes = ['I', 'J', 'L', 'T'].filter(candidate => this.types.includes(candidate));
+      type = pickRandom(firstTypes.length > 0 ? firstTypes : this.types, this.random);
+      this.isFirst = false;
+    } else {
+      for (let roll = 0; roll <= this.rerolls; roll++) {
+        type = pickRandom(this.types, this.random);
+        if (!this.history.includes(type)) {
+          break;
+        }
+      }
+    }
+
+    // 履歴を更新（古いものから押し出す）
+    this.history.shift();
+    this.history.push(type);
+    return type;
+  }
+}
+
+/**
+ * NesRandomizer クラス - NES版の再抽選1回方式
+ * 
+ * 8面（7種類＋再抽選）から選び、再抽選または直前と同じ場合のみ
+ * 7種類から1回だけ選び直す
+ */
+export class NesRandomizer {
+  /**
+   * @param {Function} random - 乱数関数（デフォルト: Math.random）
+   * @param {string[]} types - 出現するピースの種類（デフォルト: 標準の7種類）
+   */
+  constructor(random = Math.random, types = TETROMINO_TYPES) {
+    this.random = random;
+    this.types = types;
+    this.previous = null;
+  }
+
+  /**
+   * 次のテトリミノタイプを取得する
+   * 
+   * @returns {string} テトリミノタイプ
+   */
+  next() {
+    const index = Math.floor(this.random() * (this.types.length + 1));
+    let type = this.types[index];
+
+    // 8面目（再抽選）または直前と同じ場合は1回だけ選び直す
+    if (index === this.types.length || type === this.previous) {
+      type = pickRandom(this.types, this.random);
+    }
+
+    this.previous = type;
+    return type;
+  }
+}
+
+// 選択可能なランダマイザーの一覧
+export const RANDOMIZERS = {
+  '7bag': SevenBagRandomizer,
+  'random': PureRandomizer,
+  'tgm': HistoryRandomizer,
+  'nes': NesRandomizer
+};
+
+/**
+ * 名前を指定してランダマイザーを作成する
+ * 
+ * @param {string} name - ランダマイザー名（RANDOMIZERS のキー）
+ * @param {Function} random - 乱数関数（デフォルト: Math.random）
+ * @param {string[]} types - 出現するピースの種類（デフォルト: 標準の7種類）
+ * @returns {Object} next() を持つランダマイザー
+ * @throws {Error} 未知のランダマイザー名の場合
+ */
+export function createRandomizer(name, random = Math.random, types = TETROMINO_TYPES) {
+  const RandomizerClass = RANDOMIZERS[name];
+  if (!RandomizerClass) {
+    throw new Error(`Unknown randomizer: ${name}`);
+  }
+  return new RandomizerClass(random, types);
+}
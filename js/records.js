@@ -0,0 +1,77 @@
+/**
+ * Tetris 記録 - モードごとの自己ベストの保存
+ * 
+ * このファイルは以下の機能を提供します：
+ * - 自己ベストの読み込み（getBestRecord）
+ * - 新しい記録の登録と自己ベストとの比較（submitRecord）
+ * 
+ * 記録は localStorage に保存する。localStorage が使えない環境（プライベートモードなど）では
+ * ページを開いている間だけメモリ上に保持する
+ */
+
+// localStorage のキーの接頭辞
+export const RECORD_STORAGE_PREFIX = 'tetris.best.';
+
+// localStorage が使えない場合の保存先
+const memoryStorage = {
+  items: {},
+  getItem(key) {
+    return key in this.items ? this.items[key] : null;
+  },
+  setItem(key, value) {
+    this.items[key] = String(value);
+  }
+};
+
+/**
+ * 記録の保存先を取得する
+ * 
+ * @returns {Storage|Object} localStorage（使えない場合はメモリ上の保存先）
+ */
+function getDefaultStorage() {
+  try {
+    if (typeof localStorage !== 'undefined' && localStorage !== null) {
+      return localStorage;
+    }
+  } catch (error) {
+    // アクセスが禁止されている場合はメモリ上に保存する
+  }
+  return memoryStorage;
+}
+
+/**
+ * 自己ベストを取得する
+ * 
+ * @param {string} key - 記録の種類（モードの recordKey）
+ * @param {Storage|Object} storage - 保存先（getItem / setItem を持つもの）
+ * @returns {number|null} 自己ベスト（記録が無い場合は null）
+ */
+export function getBestRecord(key, storage = getDefaultStorage()) {
+  const value = Number.parseFloat(storage.getItem(RECORD_STORAGE_PREFIX + key));
+  return Number.isFinite(value) ? value : null;
+}
+
+/**
+ * 新しい記録を登録し、自己ベストを更新した場合は保存する
+ * 
+ * @param {string} key - 記録の種類（モードの recordKey）
+ * @param {number} value - 新しい記録
+ * @param {boolean} lowerIsBetter - 小さい方が良い記録か（タイムは true、スコアは false）
+ * @param {Storage|Object} storage - 保存先（getItem / setItem を持つもの）
+ * @returns {{previousBest: number|null, isNewBest: boolean}} 登録前の自己ベストと、更新したか
+ */
+export function submitRecord(key, value, lowerIsBetter = false, storage = getDefaultStorage()) {
+  const previousBest = getBestRecord(key, storage);
+  const isNewBest = previousBest === null ||
+    (lowerIsBetter ? value < previousBest : value > previousBest);
+
+  if (isNewBest) {
+    try {
+      storage.setItem(RECORD_STORAGE_PREFIX + key, String(value));
+    } catch (error) {
+      console.warn('Failed to save record:', error);
+    }
+  }
+
+  return { previousBest, isNewBest };
+}
@@ -10,6 +10,12 @@
  * - 色管理システム
  */
 
+import { getCustomPieceColor } from './tetromino.js';
+import { GARBAGE_BLOCK } from './game.js';
+
+// プレビュー枠1つあたりの高さ（ブロック数）
+export const PREVIEW_SLOT_ROWS = 3;
+
 /**
  * Renderer クラス - Canvas描画を管理
  * 
@@ -30,6 +36,12 @@ export class Renderer {
     // ブロックサイズの設定（1ブロック = blockSize × blockSize ピクセル）
     this.blockSize = blockSize;
     
+    // ゴーストピースの不透明度（0〜1）
+    this.ghostAlpha = 0.3;
+    
+    // ボード上部の描画しない行数（非表示バッファ）
+    this.hiddenRows = 0;
+    
     // 2D描画コンテキストの取得
     // null チェックを行い、エラーハンドリングを実装
     this.context = null;
@@ -45,11 +57,37 @@ export class Renderer {
     }
   }
 
+  /**
+   * ボード上部の描画しない行数を設定する
+   * 
+   * 設定した行数分だけ描画位置を上にずらし、その範囲のブロックは描画しない
+   * 
+   * @param {number} rows - 非表示にする行数
+   */
+  setHiddenRows(rows) {
+    this.hiddenRows = Math.max(0, rows || 0);
+  }
+
+  /**
+   * Canvas のサイズをボードの表示領域に合わせる
+   * 
+   * @param {number} columns - ボードの列数
+   * @param {number} rows - 表示する行数（非表示行を含まない）
+   */
+  resizeToBoard(columns, rows) {
+    if (!this.canvas) {
+      return;
+    }
+    
+    this.canvas.width = columns * this.blockSize;
+    this.canvas.height = rows * this.blockSize;
+  }
+
   /**
    * 単一ブロックを描画する
    * 
    * @param {number} x - ゲーム座標でのX位置（0から始まる）
-   * @param {number} y - ゲーム座標でのY位置（0から始まる）
+   * @param {number} y - ゲーム座標でのY位置（0から始まる、非表示行を含む）
    * @param {string} color - ブロックの色（CSS色指定）
    */
   drawBlock(x, y, color) {
@@ -63,9 +101,15 @@ export class Renderer {
       return;
     }
     
+    // 非表示行のブロックは描画しない
+    const visibleY = y - this.hiddenRows;
+    if (visibleY < 0) {
+      return;
+    }
+    
     // ゲーム座標をピクセル座標に変換
     const pixelX = x * this.blockSize;
-    const pixelY = y * this.blockSize;
+    const pixelY = visibleY * this.blockSize;
     
     // 塗りつぶし色を設定
     this.context.fillStyle = color;
@@ -166,6 +210,148 @@ export class Renderer {
     // console.log(`Tetromino drawn at (${x}, ${y}) with color ${color}`);
   }
 
+  /**
+   * ゴーストピース（落下予測位置）を描画する
+   * 
+   * 半透明の塗りつぶしと輪郭線で、通常のテトリミノと区別する
+   * 
+   * @param {Object} tetromino - 着地位置に配置したテトリミノオブジェクト
+   */
+  drawGhostTetromino(tetromino) {
+    // コンテキストまたはテトリミノが無効な場合は描画をスキップ
+    if (!this.context || !tetromino) {
+      return;
+    }
+    
+    const { shape, x, y, color } = tetromino;
+    if (!shape || !Array.isArray(shape)) {
+      return;
+    }
+    
+    // 描画設定を退避してから半透明にする
+    this.context.save();
+    this.context.globalAlpha = this.ghostAlpha;
+    this.context.strokeStyle = color;
+    
+    for (let row = 0; row < shape.length; row++) {
+      if (!Array.isArray(shape[row])) {
+        continue;
+      }
+      
+      for (let col = 0; col < shape[row].length; col++) {
+        if (shape[row][col] !== 0) {
+          const absoluteX = x + col;
+          const absoluteY = y + row;
+          const visibleY = absoluteY - this.hiddenRows;
+          if (visibleY < 0) {
+            continue;
+          }
+          
+          // 半透明の塗りつぶし
+          this.drawBlock(absoluteX, absoluteY, color);
+          
+          // 輪郭線
+          this.context.strokeRect(
+            absoluteX * this.blockSize,
+            visibleY * this.blockSize,
+            this.blockSize,
+            this.blockSize
+          );
+        }
+      }
+    }
+    
+    this.context.restore();
+  }
+
+  /**
+   * 消去中のラインを描画する（ライン消去フェーズの演出）
+   * 
+   * 経過に合わせて白いラインをフェードアウトさせる
+   * 
+   * @param {number[]} rows - 消去中のラインの行番号
+   * @param {number} width - ボードの幅（ブロック数）
+   * @param {number} progress - ライン消去フェーズの経過割合（0〜1）
+   */
+  drawLineClear(rows, width, progress = 0) {
+    if (!this.context || !Array.isArray(rows) || rows.length === 0) {
+      return;
+    }
+    
+    this.context.save();
+    this.context.globalAlpha = Math.max(0, 1 - progress);
+    
+    for (const row of rows) {
+      for (let col = 0; col < width; col++) {
+        this.drawBlock(col, row, '#FFFFFF');
+      }
+    }
+    
+    this.context.restore();
+  }
+
+  /**
+   * プレビュー枠（ホールド・ネクスト）にテトリミノを描画する
+   * 
+   * テトリミノの実ブロック部分を Canvas の幅と1枠の高さの中央に配置する
+   * 
+   * @param {Object} tetromino - 描画するテトリミノオブジェクト
+   * @param {number} slot - 上から何番目の枠に描画するか（デフォルト: 0）
+   * @param {number} alpha - 不透明度（デフォルト: 1）
+   */
+  drawPiecePreview(tetromino, slot = 0, alpha = 1) {
+    if (!this.context || !this.canvas || !tetromino) {
+      return;
+    }
+    
+    const { shape, color } = tetromino;
+    if (!shape || !Array.isArray(shape)) {
+      return;
+    }
+    
+    // 実ブロックが存在する範囲を求める
+    let minRow = Infinity, maxRow = -Infinity, minCol = Infinity, maxCol = -Infinity;
+    for (let row = 0; row < shape.length; row++) {
+      for (let col = 0; col < shape[row].length; col++) {
+        if (shape[row][col] !== 0) {
+          minRow = Math.min(minRow, row);
+          maxRow = Math.max(maxRow, row);
+          minCol = Math.min(minCol, col);
+          maxCol = Math.max(maxCol, col);
+        }
+      }
+    }
+    if (minRow === Infinity) {
+      return;
+    }
+    
+    // 枠内で中央寄せするためのピクセルオフセット
+    const slotHeight = PREVIEW_SLOT_ROWS * this.blockSize;
+    const pieceWidth = (maxCol - minCol + 1) * this.blockSize;
+    const pieceHeight = (maxRow - minRow + 1) * this.blockSize;
+    const offsetX = (this.canvas.width - pieceWidth) / 2;
+    const offsetY = slot * slotHeight + (slotHeight - pieceHeight) / 2;
+    
+    this.context.save();
+    this.context.globalAlpha = alpha;
+    this.context.fillStyle = color;
+    
+    for (let row = minRow; row <= maxRow; row++) {
+      for (let col = minCol; col <= maxCol; col++) {
+        if (shape[row][col] !== 0) {
+          this.context.fillRect(
+            offsetX + (col - minCol) * this.blockSize,
+            offsetY + (row - minRow) * this.blockSize,
+            this.blockSize,
+            this.blockSize
+          );
+        }
+      }
+    }
+    
+    this.context.restore();
+  }
+
   /**
    * Canvas 全体をクリアする
    * 
@@ -194,7 +380,7 @@ export class Renderer {
    * ブロック値に応じた色を取得する
    * 
    * @param {number} blockValue - ブロックの値（0: 空, 1以上: ブロック種類）
-   * @returns {string} CSS色指定文字列
+   * @returns {string} CSS色指定文字列（登録したピースはピースの色）
    */
   getBlockColor(blockValue) {
     // 色マッピングテーブル
@@ -208,6 +394,7 @@ export class Renderer {
       5: '#FF00FF',      // マゼンタ
       6: '#00FFFF',      // シアン
       7: '#FFA500',      // オレンジ
+      [GARBAGE_BLOCK]: '#808080', // 灰色（せり上がり）
     };
     
     // 無効な値の場合のデフォルト処理
@@ -216,8 +403,8 @@ export class Renderer {
     }
     
     // マッピングテーブルから色を取得
-    // 定義されていない値の場合は白を返す
-    return colorMap[blockValue] || '#FFFFFF';
+    // 定義されていない値の場合は登録したピースの色、それも無い場合は白を返す
+    return colorMap[blockValue] || getCustomPieceColor(blockValue) || '#FFFFFF';
   }
 
   /**
@@ -0,0 +1,33 @@
+/**
+ * Tetris 乱数生成 - シード指定可能な疑似乱数生成器
+ * 
+ * 同じシードからは常に同じ乱数列が得られるため、
+ * ゲームの再現（バグ報告の再現・同一出現順での練習）に使用する
+ */
+
+/**
+ * 新しいシード値をランダムに生成する
+ * 
+ * @returns {number} 32ビット符号なし整数のシード
+ */
+export function generateSeed() {
+  return Math.floor(Math.random() * 0x100000000);
+}
+
+/**
+ * シード付きの疑似乱数関数を作成する（mulberry32）
+ * 
+ * @param {number} seed - シード値（32ビット符号なし整数に丸められる）
+ * @returns {Function} 0以上1未満の数を返す乱数関数（Math.random と同じ形式）
+ */
+export function createSeededRandom(seed) {
+  let state = seed >>> 0;
+
+  return function random() {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 0x100000000;
+  };
+}
@@ -0,0 +1,221 @@
+/**
+ * Tetris 回転システム - 回転状態の形状・出現位置・壁蹴りのまとまり
+ * 
+ * このファイルは以下の回転システムを提供します：
+ * - SRS（スーパーローテーションシステム、現行ガイドライン）
+ * - ARS（アリカ・ローテーションシステム、TGM 方式。中央列ルール付きの左右1マスの壁蹴り）
+ * - NES（右手系の回転、壁蹴りなし）
+ * - Sega（セガ版の回転、壁蹴りなし）
+ * 
+ * 全ての回転システムは次のプロパティを持つ共通インターフェースを持つ：
+ * - shapes: テトリミノタイプごとの回転状態 0〜3 の形状（0 から右回転順）
+ * - spawnRotation: 出現時の回転状態
+ * - spawnOffsetY: 出現行からの Y 方向のずれ（形状の上端が空行の場合に -1）
+ * - tSpins: T-spin 判定を行うか
+ * - getKickTests(type, from, to, board, rotated): 試す壁蹴りオフセット（ガイドライン表記）
+ */
+
+import { TETROMINOS, getKickTests } from './tetromino.js';
+
+/**
+ * 2状態しかないテトリミノの形状を4状態に展開する
+ * 
+ * @param {number[][]} first - 状態 0・2 の形状
+ * @param {number[][]} second - 状態 1・3 の形状
+ * @returns {number[][][]} 回転状態 0〜3 の形状配列
+ */
+function twoStates(first, second) {
+  return [first, second, first, second];
+}
+
+// O-piece は全システム共通で回転しない
+const O_SHAPES = TETROMINOS.O.shapes;
+
+// ARS の形状（出現時は平らな面が上、回転状態は 3×3 枠の下端に揃える）
+const ARS_SHAPES = {
+  I: twoStates(
+    [[0, 0, 0, 0], [1, 1, 1, 1], [0, 0, 0, 0], [0, 0, 0, 0]],
+    [[0, 0, 1, 0], [0, 0, 1, 0], [0, 0, 1, 0], [0, 0, 1, 0]]
+  ),
+  O: O_SHAPES,
+  T: [
+    [[0, 0, 0], [1, 1, 1], [0, 1, 0]],
+    [[0, 1, 0], [1, 1, 0], [0, 1, 0]],
+    [[0, 0, 0], [0, 1, 0], [1, 1, 1]],
+    [[0, 1, 0], [0, 1, 1], [0, 1, 0]]
+  ],
+  S: twoStates(
+    [[0, 0, 0], [0, 1, 1], [1, 1, 0]],
+    [[1, 0, 0], [1, 1, 0], [0, 1, 0]]
+  ),
+  Z: twoStates(
+    [[0, 0, 0], [1, 1, 0], [0, 1, 1]],
+    [[0, 0, 1], [0, 1, 1], [0, 1, 0]]
+  ),
+  J: [
+    [[0, 0, 0], [1, 1, 1], [0, 0, 1]],
+    [[0, 1, 0], [0, 1, 0], [1, 1, 0]],
+    [[0, 0, 0], [1, 0, 0], [1, 1, 1]],
+    [[0, 1, 1], [0, 1, 0], [0, 1, 0]]
+  ],
+  L: [
+    [[0, 0, 0], [1, 1, 1], [1, 0, 0]],
+    [[1, 1, 0], [0, 1, 0], [0, 1, 0]],
+    [[0, 0, 0], [0, 0, 1], [1, 1, 1]],
+    [[0, 1, 0], [0, 1, 0], [0, 1, 1]]
+  ]
+};
+
+// NES の形状（中心のブロックを軸に回転し、S・Z・I の縦向きは右寄り）
+const NES_SHAPES = {
+  I: twoStates(
+    [[0, 0, 0, 0], [0, 0, 0, 0], [1, 1, 1, 1], [0, 0, 0, 0]],
+    [[0, 0, 1, 0], [0, 0, 1, 0], [0, 0, 1, 0], [0, 0, 1, 0]]
+  ),
+  O: O_SHAPES,
+  T: [
+    [[0, 0, 0], [1, 1, 1], [0, 1, 0]],
+    [[0, 1, 0], [1, 1, 0], [0, 1, 0]],
+    [[0, 1, 0], [1, 1, 1], [0, 0, 0]],
+    [[0, 1, 0], [0, 1, 1], [0, 1, 0]]
+  ],
+  S: twoStates(
+    [[0, 0, 0], [0, 1, 1], [1, 1, 0]],
+    [[0, 1, 0], [0, 1, 1], [0, 0, 1]]
+  ),
+  Z: twoStates(
+    [[0, 0, 0], [1, 1, 0], [0, 1, 1]],
+    [[0, 0, 1], [0, 1, 1], [0, 1, 0]]
+  ),
+  J: [
+    [[0, 0, 0], [1, 1, 1], [0, 0, 1]],
+    [[0, 1, 0], [0, 1, 0], [1, 1, 0]],
+    [[1, 0, 0], [1, 1, 1], [0, 0, 0]],
+    [[0, 1, 1], [0, 1, 0], [0, 1, 0]]
+  ],
+  L: [
+    [[0, 0, 0], [1, 1, 1], [1, 0, 0]],
+    [[1, 1, 0], [0, 1, 0], [0, 1, 0]],
+    [[0, 0, 1], [1, 1, 1], [0, 0, 0]],
+    [[0, 1, 0], [0, 1, 0], [0, 1, 1]]
+  ]
+};
+
+// ARS で壁蹴りを試す順（その場 → 右 → 左）
+const ARS_KICKS = [[0, 0], [1, 0], [-1, 0]];
+
+// 中央列ルールの対象となるテトリミノ
+const CENTER_COLUMN_TYPES = ['J', 'L', 'T'];
+
+/**
+ * 回転後の位置で最初に重なるブロックが中央列にあるかを判定する（ARS の中央列ルール）
+ * 
+ * 3×3 枠を左上から行ごとに調べ、最初に見つかった重なりが中央列なら壁蹴りしない
+ * 
+ * @param {number[][]} board - ゲームボード
+ * @param {Object} rotated - 回転後（壁蹴り前）のテトリミノ
+ * @returns {boolean} 中央列で最初に重なる場合は true
+ */
+function isBlockedInCenterColumn(board, rotated) {
+  const { shape, x, y } = rotated;
+
+  for (let row = 0; row < shape.length; row++) {
+    for (let col = 0; col < shape[row].length; col++) {
+      if (shape[row][col] === 0) {
+        continue;
+      }
+
+      const boardX = x + col;
+      const boardY = y + row;
+      const isOccupied = boardX < 0 || boardX >= board[0].length || boardY >= board.length ||
+        (boardY >= 0 && board[boardY][boardX] !== 0);
+      if (isOccupied) {
+        return col === 1;
+      }
+    }
+  }
+
+  return false;
+}
+
+/**
+ * ARS の壁蹴りテストを取得する
+ * 
+ * I-piece は壁蹴りせず、J・L・T は中央列ルールに該当する場合は壁蹴りしない
+ * 
+ * @param {string} type - テトリミノの種類
+ * @param {number} fromRotation - 回転前の状態
+ * @param {number} toRotation - 回転後の状態
+ * @param {number[][]} board - ゲームボード
+ * @param {Object} rotated - 回転後（壁蹴り前）のテトリミノ
+ * @returns {number[][]} 試す順の [x, y] オフセット配列
+ */
+function getArsKickTests(type, fromRotation, toRotation, board, rotated) {
+  if (type === 'I' || type === 'O') {
+    return [[0, 0]];
+  }
+  if (CENTER_COLUMN_TYPES.includes(type) && isBlockedInCenterColumn(board, rotated)) {
+    return [[0, 0]];
+  }
+  return ARS_KICKS;
+}
+
+/**
+ * 壁蹴りしない回転システム用の壁蹴りテスト
+ * 
+ * @returns {number[][]} その場のみ
+ */
+function getNoKickTests() {
+  return [[0, 0]];
+}
+
+// 選択可能な回転システムの一覧
+export const ROTATION_SYSTEMS = {
+  srs: {
+    name: 'SRS',
+    shapes: Object.fromEntries(Object.entries(TETROMINOS).map(([type, { shapes }]) => [type, shapes])),
+    spawnRotation: 0,
+    spawnOffsetY: 0,
+    tSpins: true,
+    getKickTests: (type, fromRotation, toRotation) => getKickTests(type, fromRotation, toRotation)
+  },
+  ars: {
+    name: 'ARS',
+    shapes: ARS_SHAPES,
+    spawnRotation: 0,
+    spawnOffsetY: -1,
+    tSpins: false,
+    getKickTests: getArsKickTests
+  },
+  nes: {
+    name: 'NES',
+    shapes: NES_SHAPES,
+    spawnRotation: 0,
+    spawnOffsetY: -1,
+    tSpins: false,
+    getKickTests: getNoKickTests
+  },
+  sega: {
+    name: 'Sega',
+    shapes: ARS_SHAPES,
+    spawnRotation: 0,
+    spawnOffsetY: -1,
+    tSpins: false,
+    getKickTests: getNoKickTests
+  }
+};
+
+/**
+ * 名前を指定して回転システムを取得する
+ * 
+ * @param {string} name - 回転システム名（ROTATION_SYSTEMS のキー）
+ * @returns {Object} 回転システム
+ * @throws {Error} 未知の回転システム名の場合
+ */
+export function getRotationSystem(name) {
+  const system = ROTATION_SYSTEMS[name];
+  if (!system) {
+    throw new Error(`Unknown rotation system: ${name}`);
+  }
+  return system;
+}
@@ -0,0 +1,267 @@
+/**
+ * Tetris スコアシステム - 得点計算と連続ボーナスの管理
+ * 
+ * このファイルは以下の機能を提供します：
+ * - ScoringSystem クラス（コンボ・Back-to-Back の状態管理）
+ * - スコアプロファイル（ガイドライン / クラシック / TGM）
+ * - パーフェクトクリア（全消し）ボーナス
+ * - ソフトドロップ・ハードドロップ得点
+ * - 得点の内訳（どの要素から何点得たか）の記録
+ */
+
+import { calculateScore, T_SPIN_NONE, HARD_DROP_POINTS_PER_CELL } from './game.js';
+
+/**
+ * スコアプロファイルの定義
+ * 
+ * guideline: 現行ガイドライン準拠（T-spin・コンボ・B2B・全消しあり）
+ * classic:   従来の 100/300/500/800 × レベルのみ
+ * tgm:       TGM（初代）の計算式（内部レベル・ソフトドロップ・コンボ・全消しの倍率、マスターモード用）
+ */
+export const SCORING_PROFILES = {
+  guideline: {
+    formula: 'table',            // 消去得点の計算方法（'table': ライン数ごとの表 × レベル、'tgm': TGM の計算式）
+    tSpin: true,                 // T-spin 得点を使うか
+    combo: true,                 // コンボボーナスを使うか
+    backToBack: true,            // Back-to-Back ボーナスを使うか
+    perfectClear: true,          // 全消しボーナスを使うか
+    softDropPerCell: 1,          // ソフトドロップ1セルあたりの得点
+    hardDropPerCell: HARD_DROP_POINTS_PER_CELL // ハードドロップ1セルあたりの得点
+  },
+  classic: {
+    formula: 'table',
+    tSpin: false,
+    combo: false,
+    backToBack: false,
+    perfectClear: false,
+    softDropPerCell: 0,
+    hardDropPerCell: HARD_DROP_POINTS_PER_CELL
+  },
+  tgm: {
+    formula: 'tgm',
+    tSpin: false,
+    combo: false,
+    backToBack: false,
+    perfectClear: false,
+    softDropPerCell: 0,
+    hardDropPerCell: 0
+  }
+};
+
+// コンボ1回あたりのボーナス（× コンボ数 × レベル）
+const COMBO_BONUS = 50;
+
+// Back-to-Back 時の倍率
+const BACK_TO_BACK_MULTIPLIER = 1.5;
+
+// 全消しボーナス（消去ライン数ごと、× レベル）
+const PERFECT_CLEAR_BONUS = {
+  1: 800,
+  2: 1200,
+  3: 1800,
+  4: 2000,
+  5: 2400
+};
+
+// Back-to-Back のテトリスで全消しした場合のボーナス
+const PERFECT_CLEAR_B2B_TETRIS_BONUS = 3200;
+
+// TGM の計算式で全消し（Bravo）した場合の倍率
+const TGM_BRAVO_MULTIPLIER = 4;
+
+/**
+ * ScoringSystem クラス - 固定ごとの得点計算と連続ボーナスの状態を管理する
+ */
+export class ScoringSystem {
+  /**
+   * @param {string} profileName - スコアプロファイル名（SCORING_PROFILES のキー）
+   * @throws {Error} 未知のプロファイル名の場合
+   */
+  constructor(profileName = 'guideline') {
+    if (!SCORING_PROFILES[profileName]) {
+      throw new Error(`Unknown scoring profile: ${profileName}`);
+    }
+
+    this.profileName = profileName;
+    this.profile = SCORING_PROFILES[profileName];
+
+    this.combo = -1;             // 連続でラインを消した回数（-1 は連続していない状態）
+    this.backToBack = false;     // 直前の消去が難しい消去（テトリス・T-spin）だったか
+    this.tgmCombo = 1;           // TGM の計算式のコンボ倍率（ラインを消さない固定で 1 に戻る）
+    this.softDropCells = 0;      // 現在のテトリミノをソフトドロップしたセル数（TGM の計算式で加算する）
+
+    // 得点要素ごとの累計
+    this.totals = {
+      lineClear: 0,
+      backToBack: 0,
+      combo: 0,
+      perfectClear: 0,
+      softDrop: 0,
+      hardDrop: 0
+    };
+  }
+
+  /**
+   * テトリミノ固定時の得点を計算し、コンボ・B2B の状態を更新する
+   * 
+   * @param {Object} lock - 固定の情報
+   * @param {number} lock.linesCleared - 消去したライン数
+   * @param {string} lock.tSpin - T-spin の判定結果
+   * @param {number} lock.level - 現在のレベル
+   * @param {boolean} lock.perfectClear - 消去後にボードが空になったか
+   * @returns {Object} 得点の内訳（points に要素ごとの得点、total に合計）
+   */
+  scoreLock({ linesCleared, tSpin = T_SPIN_NONE, level, perfectClear = false }) {
+    const { profile } = this;
+    if (profile.formula === 'tgm') {
+      return this.scoreTgmLock({ linesCleared, level, perfectClear });
+    }
+    this.softDropCells = 0;
+    const effectiveTSpin = profile.tSpin ? tSpin : T_SPIN_NONE;
+    const points = { lineClear: 0, backToBack: 0, combo: 0, perfectClear: 0 };
+
+    points.lineClear = calculateScore(linesCleared, level, effectiveTSpin);
+
+    // Back-to-Back: テトリス（ペントミノの5ラインを含む）または T-spin のライン消去が続いた場合に1.5倍
+    const isDifficult = linesCleared > 0 && (linesCleared >= 4 || effectiveTSpin !== T_SPIN_NONE);
+    const isBackToBack = profile.backToBack && isDifficult && this.backToBack;
+    if (isBackToBack) {
+      points.backToBack = Math.floor(points.lineClear * (BACK_TO_BACK_MULTIPLIER - 1));
+    }
+    if (linesCleared > 0) {
+      this.backToBack = isDifficult;
+    }
+
+    // コンボ: ラインを消した固定が続くほど加算
+    if (linesCleared > 0) {
+      this.combo++;
+      if (profile.combo) {
+        points.combo = COMBO_BONUS * this.combo * level;
+      }
+    } else {
+      this.combo = -1;
+    }
+
+    // 全消し
+    const isPerfectClear = profile.perfectClear && perfectClear && linesCleared > 0;
+    if (isPerfectClear) {
+      const bonus = linesCleared === 4 && isBackToBack
+        ? PERFECT_CLEAR_B2B_TETRIS_BONUS
+        : PERFECT_CLEAR_BONUS[linesCleared] ?? 0;
+      points.perfectClear = bonus * level;
+    }
+
+    Object.keys(points).forEach(key => {
+      this.totals[key] += points[key];
+    });
+
+    return {
+      linesCleared,
+      tSpin: effectiveTSpin,
+      backToBack: isBackToBack,
+      combo: profile.combo ? Math.max(this.combo, 0) : 0,
+      perfectClear: isPerfectClear,
+      points,
+      total: points.lineClear + points.backToBack + points.combo + points.perfectClear
+    };
+  }
+
+  /**
+   * TGM（初代）の計算式で固定時の得点を計算する
+   * 
+   * (ceil((レベル + ライン数) / 4) + ソフトドロップのセル数) × ライン数 × コンボ × Bravo
+   * コンボはラインを消すたびに (ライン数 × 2 - 2) 増え、Bravo は全消しで 4（それ以外は 1）
+   * 
+   * @param {Object} lock - 固定の情報
+   * @param {number} lock.linesCleared - 消去したライン数
+   * @param {number} lock.level - 消去前の内部レベル
+   * @param {boolean} lock.perfectClear - 消去後にボードが空になったか
+   * @returns {Object} 得点の内訳（得点は全て lineClear に含める）
+   */
+  scoreTgmLock({ linesCleared, level, perfectClear }) {
+    const points = { lineClear: 0, backToBack: 0, combo: 0, perfectClear: 0 };
+    const isPerfectClear = perfectClear && linesCleared > 0;
+
+    if (linesCleared > 0) {
+      this.tgmCombo += linesCleared * 2 - 2;
+      const bravo = isPerfectClear ? TGM_BRAVO_MULTIPLIER : 1;
+      points.lineClear = (Math.ceil((level + linesCleared) / 4) + this.softDropCells) *
+        linesCleared * this.tgmCombo * bravo;
+    } else {
+      this.tgmCombo = 1;
+    }
+    this.softDropCells = 0;
+    this.totals.lineClear += points.lineClear;
+
+    return {
+      linesCleared,
+      tSpin: T_SPIN_NONE,
+      backToBack: false,
+      combo: 0,
+      perfectClear: isPerfectClear,
+      points,
+      total: points.lineClear
+    };
+  }
+
+  /**
+   * ソフトドロップの得点を計算する
+   * 
+   * @param {number} cells - 落下したセル数
+   * @returns {number} 得点
+   */
+  scoreSoftDrop(cells) {
+    this.softDropCells += cells;
+    const points = cells * this.profile.softDropPerCell;
+    this.totals.softDrop += points;
+    return points;
+  }
+
+  /**
+   * ハードドロップの得点を計算する
+   * 
+   * @param {number} cells - 落下したセル数
+   * @returns {number} 得点
+   */
+  scoreHardDrop(cells) {
+    const points = cells * this.profile.hardDropPerCell;
+    this.totals.hardDrop += points;
+    return points;
+  }
+}
+
+/**
+ * 得点の内訳から表示用の消去名を作成する
+ * 
+ * @param {Object} breakdown - ScoringSystem#scoreLock の戻り値
+ * @returns {string} 表示用テキスト（特筆すべき消去が無い場合は空文字）
+ */
+export function describeClear(breakdown) {
+  if (!breakdown) {
+    return '';
+  }
+
+  const lineNames = ['', 'Single', 'Double', 'Triple', 'Tetris', 'Pentris'];
+  const parts = [];
+
+  if (breakdown.backToBack) {
+    parts.push('Back-to-Back');
+  }
+
+  if (breakdown.tSpin !== T_SPIN_NONE) {
+    const tSpinName = breakdown.tSpin === 'mini' ? 'T-Spin Mini' : 'T-Spin';
+    parts.push(breakdown.linesCleared > 0 ? `${tSpinName} ${lineNames[breakdown.linesCleared]}` : tSpinName);
+  } else if (breakdown.linesCleared > 0) {
+    parts.push(lineNames[breakdown.linesCleared]);
+  }
+
+  if (breakdown.combo > 0) {
+    parts.push(`${breakdown.combo} Combo`);
+  }
+
+  if (breakdown.perfectClear) {
+    parts.push('Perfect Clear');
+  }
+
+  return parts.join(' ');
+}
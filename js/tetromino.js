@@ -1,5 +1,7 @@
 // テトリミノシステム - 最小実装
 
+import { checkCollision, getSpawnColumn, BOARD_WIDTH } from './game.js';
+
 // テトリミノの形状と色の定義
 export const TETROMINOS = {
   'I': {
@@ -192,27 +194,131 @@ export const TETROMINOS = {
   }
 };
 
+// 標準テトリミノのボード上の色値（Renderer の色マップ 1〜7 に対応）
+const TETROMINO_COLOR_VALUES = { I: 1, O: 2, T: 3, S: 4, Z: 5, J: 6, L: 7 };
+
+// 追加したピースに割り当てる最初の色値（組み込みの色値と重ならないようにする）
+const FIRST_CUSTOM_COLOR_VALUE = 100;
+
+// 登録済みのピース（タイプ → 色・回転状態の形状・ボード上の色値）
+const PIECES = Object.fromEntries(
+  Object.entries(TETROMINOS).map(([type, { color, shapes }]) => [
+    type,
+    { color, shapes, colorValue: TETROMINO_COLOR_VALUES[type] }
+  ])
+);
+
+let nextColorValue = FIRST_CUSTOM_COLOR_VALUE;
+
+/**
+ * 形状を右回転させた4つの回転状態を作成する
+ * @param {number[][]} shape - 回転状態 0 の形状（正方形の枠）
+ * @returns {number[][][]} 回転状態 0〜3 の形状配列
+ */
+export function createRotations(shape) {
+  const rotations = [shape];
+  for (let i = 1; i < 4; i++) {
+    const previous = rotations[i - 1];
+    // 右回転: 新しい行 r は元の列 r を下から読んだもの
+    rotations.push(previous[0].map((_, col) => previous.map(row => row[col]).reverse()));
+  }
+  return rotations;
+}
+
+/**
+ * ピースを登録する（ペントミノなどテトリミノ以外のポリオミノを追加する）
+ * @param {string} type - ピースの種類（他のピースと重複しない名前）
+ * @param {Object} definition - ピースの定義
+ * @param {string} definition.color - 描画色（CSS色指定）
+ * @param {number[][][]} [definition.shapes] - 回転状態 0〜3 の形状
+ * @param {number[][]} [definition.shape] - 回転状態 0 の形状（shapes を省略した場合は右回転で作成）
+ * @returns {Object} 登録したピースの定義
+ * @throws {Error} 同じ種類のピースが登録済みの場合、または形状が無い場合
+ */
+export function registerPiece(type, { color, shapes, shape }) {
+  if (PIECES[type]) {
+    throw new Error(`Piece already registered: ${type}`);
+  }
+  if (!shapes && !shape) {
+    throw new Error(`Piece shape is required: ${type}`);
+  }
+
+  PIECES[type] = {
+    color,
+    shapes: shapes || createRotations(shape),
+    colorValue: nextColorValue++
+  };
+  return PIECES[type];
+}
+
+/**
+ * 登録済みのピースの定義を取得する
+ * @param {string} type - ピースの種類
+ * @returns {Object|null} ピースの定義（未登録の場合は null）
+ */
+export function getPieceDefinition(type) {
+  return PIECES[type] || null;
+}
+
+/**
+ * ピースをボードに固定する時の色値を取得する
+ * @param {string} type - ピースの種類
+ * @returns {number} 色値（未登録の場合は 1）
+ */
+export function getPieceColorValue(type) {
+  return PIECES[type] ? PIECES[type].colorValue : 1;
+}
+
+/**
+ * 色値から追加したピースの描画色を取得する
+ * @param {number} colorValue - ボード上の色値
+ * @returns {string|null} 描画色（該当する追加ピースが無い場合は null）
+ */
+export function getCustomPieceColor(colorValue) {
+  if (colorValue < FIRST_CUSTOM_COLOR_VALUE) {
+    return null;
+  }
+  const piece = Object.values(PIECES).find(definition => definition.colorValue === colorValue);
+  return piece ? piece.color : null;
+}
+
 /**
  * 新しいテトリミノを作成する
- * @param {string} type - テトリミノの種類 ('I', 'O', 'T', 'S', 'Z', 'J', 'L')
+ * @param {string} type - ピースの種類 ('I', 'O', 'T', 'S', 'Z', 'J', 'L' または登録したピース)
+ * @param {Object|null} system - 回転システム（rotationSystems.js、null の場合は SRS の形状）
+ * @param {number} boardWidth - 出現位置を中央に揃えるボードの幅（デフォルト: 10）
  * @returns {Object} テトリミノオブジェクト
  */
-export function createTetromino(type) {
+export function createTetromino(type, system = null, boardWidth = BOARD_WIDTH) {
   // 無効なタイプの場合はI-pieceをデフォルトとする
-  if (!TETROMINOS[type]) {
+  if (!PIECES[type]) {
     type = 'I';
   }
 
+  const rotation = system ? system.spawnRotation : 0;
+  const shape = getShapes(type, system)[rotation];
+
   return {
     type,
-    shape: TETROMINOS[type].shapes[0], // 初期回転状態
-    color: TETROMINOS[type].color,
-    x: 4, // ゲームフィールドの中央 (10幅の場合)
+    shape, // 初期回転状態
+    color: PIECES[type].color,
+    x: getSpawnColumn(boardWidth, shape[0].length), // ゲームフィールドの中央
     y: 0, // 上部
-    rotation: 0 // 初期回転状態
+    rotation // 初期回転状態
   };
 }
 
+/**
+ * テトリミノの回転状態ごとの形状を取得する
+ * （回転システムが形状を定義していないピースは登録時の形状を使う）
+ * @param {string} type - テトリミノの種類
+ * @param {Object|null} system - 回転システム（null の場合は SRS の形状）
+ * @returns {number[][][]} 回転状態 0〜3 の形状配列
+ */
+function getShapes(type, system) {
+  return (system && system.shapes[type]) || PIECES[type].shapes;
+}
+
 /**
  * テトリミノを移動させる（元のオブジェクトは変更しない）
  * @param {Object} tetromino - 移動させるテトリミノ
@@ -244,10 +350,11 @@ export function moveTetromino(tetromino, direction) {
 /**
  * テトリミノを回転させる（元のオブジェクトは変更しない）
  * @param {Object} tetromino - 回転させるテトリミノ
- * @param {string} direction - 回転方向 ('right', 'left')
+ * @param {string} direction - 回転方向 ('right', 'left', '180')
+ * @param {Object|null} system - 回転システム（null の場合は SRS の形状）
  * @returns {Object} 回転後の新しいテトリミノオブジェクト
  */
-export function rotateTetromino(tetromino, direction = 'right') {
+export function rotateTetromino(tetromino, direction = 'right', system = null) {
   // 元のオブジェクトをコピー
   const newTetromino = { ...tetromino };
   
@@ -259,11 +366,109 @@ export function rotateTetromino(tetromino, direction = 'right') {
     newRotation = (newRotation + 1) % 4;
   } else if (direction === 'left') {
     newRotation = (newRotation + 3) % 4; // 左回転は右回転3回と同じ
+  } else if (direction === '180') {
+    newRotation = (newRotation + 2) % 4;
   }
   
   // 新しい回転状態を設定
   newTetromino.rotation = newRotation;
-  newTetromino.shape = TETROMINOS[tetromino.type].shapes[newRotation];
+  newTetromino.shape = getShapes(tetromino.type, system)[newRotation];
   
   return newTetromino;
 }
+
+
+// SRS（スーパーローテーションシステム）の壁蹴りテーブル
+// キーは「回転前の状態>回転後の状態」（0: 初期, 1: 右, 2: 180度, 3: 左）
+// オフセットはガイドライン表記（x: 右が正, y: 上が正）で記述し、適用時にY軸を反転する
+export const SRS_KICKS_JLSTZ = {
+  '0>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  '1>0': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  '1>2': [[0, 0], [1, 0], [1, -1], [0, 2], [1, 2]],
+  '2>1': [[0, 0], [-1, 0], [-1, 1], [0, -2], [-1, -2]],
+  '2>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]],
+  '3>2': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  '3>0': [[0, 0], [-1, 0], [-1, -1], [0, 2], [-1, 2]],
+  '0>3': [[0, 0], [1, 0], [1, 1], [0, -2], [1, -2]]
+};
+
+// I-piece 専用の壁蹴りテーブル
+export const SRS_KICKS_I = {
+  '0>1': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  '1>0': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  '1>2': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]],
+  '2>1': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '2>3': [[0, 0], [2, 0], [-1, 0], [2, 1], [-1, -2]],
+  '3>2': [[0, 0], [-2, 0], [1, 0], [-2, -1], [1, 2]],
+  '3>0': [[0, 0], [1, 0], [-2, 0], [1, -2], [-2, 1]],
+  '0>3': [[0, 0], [-1, 0], [2, 0], [-1, 2], [2, -1]]
+};
+
+// 180度回転の壁蹴りテーブル（SRS+ 方式）
+export const SRS_KICKS_180 = {
+  '0>2': [[0, 0], [0, 1], [1, 1], [-1, 1], [1, 0], [-1, 0]],
+  '2>0': [[0, 0], [0, -1], [-1, -1], [1, -1], [-1, 0], [1, 0]],
+  '1>3': [[0, 0], [1, 0], [1, 2], [1, 1], [0, 2], [0, 1]],
+  '3>1': [[0, 0], [-1, 0], [-1, 2], [-1, 1], [0, 2], [0, 1]]
+};
+
+// I-piece 専用の180度回転の壁蹴りテーブル
+export const SRS_KICKS_I_180 = {
+  '0>2': [[0, 0], [0, 1]],
+  '2>0': [[0, 0], [0, -1]],
+  '1>3': [[0, 0], [1, 0]],
+  '3>1': [[0, 0], [-1, 0]]
+};
+
+/**
+ * 回転時に試す壁蹴りオフセットの一覧を取得する
+ * @param {string} type - テトリミノの種類
+ * @param {number} fromRotation - 回転前の状態（0-3）
+ * @param {number} toRotation - 回転後の状態（0-3）
+ * @returns {number[][]} 試す順の [x, y] オフセット配列（ガイドライン表記）
+ */
+export function getKickTests(type, fromRotation, toRotation) {
+  // O-piece は壁蹴りしない
+  if (type === 'O') {
+    return [[0, 0]];
+  }
+
+  // 180度回転（回転状態が2つ離れている）は専用のテーブルを使う
+  const is180 = Math.abs(fromRotation - toRotation) === 2;
+  const table = type === 'I'
+    ? (is180 ? SRS_KICKS_I_180 : SRS_KICKS_I)
+    : (is180 ? SRS_KICKS_180 : SRS_KICKS_JLSTZ);
+  return table[`${fromRotation}>${toRotation}`] || [[0, 0]];
+}
+
+/**
+ * 壁蹴りを考慮してテトリミノを回転させる（元のオブジェクトは変更しない）
+ * 
+ * 回転システムの壁蹴りテスト（デフォルトは SRS）を順に試し、最初に衝突しなかった位置を採用する
+ * 
+ * @param {number[][]} board - ゲームボード
+ * @param {Object} tetromino - 回転させるテトリミノ
+ * @param {string} direction - 回転方向 ('right', 'left', '180')
+ * @param {Object|null} system - 回転システム（null の場合は SRS）
+ * @returns {{tetromino: Object, kickIndex: number}|null} 回転後のテトリミノと
+ *          採用した壁蹴りテストの番号（0 は壁蹴りなし）、全て衝突する場合は null
+ */
+export function rotateWithKicks(board, tetromino, direction = 'right', system = null) {
+  const rotated = rotateTetromino(tetromino, direction, system);
+  const kicks = system
+    ? system.getKickTests(tetromino.type, tetromino.rotation, rotated.rotation, board, rotated)
+    : getKickTests(tetromino.type, tetromino.rotation, rotated.rotation);
+
+  for (let kickIndex = 0; kickIndex < kicks.length; kickIndex++) {
+    const [offsetX, offsetY] = kicks[kickIndex];
+    // ガイドライン表記は上が正のため、ボード座標ではY軸を反転する
+    const x = rotated.x + offsetX;
+    const y = rotated.y - offsetY;
+
+    if (!checkCollision(board, rotated.shape, x, y)) {
+      return { tetromino: { ...rotated, x, y }, kickIndex };
+    }
+  }
+
+  return null;
+}